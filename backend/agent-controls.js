@@ -0,0 +1,261 @@
+const { ethers } = require('ethers');
+const { createTokenMetadata, NATIVE_TOKEN } = require('./erc20.js');
+
+// On-chain safety controls of Agent contracts (Agent.sol VERSION 2)
+//
+// - pause()/unpause(): circuit breaker, execute() reverts while paused (withdraw and withdrawToken still work)
+// - allowlist: targets execute() may call, optionally restricted to some function selectors
+// - spending limits: per-period cap on how much native token / ERC-20 execute() may spend
+// The backend wallet owns every agent it registers, so it sends all of these transactions.
+// Agents registered by an older factory (VERSION 1) have none of this and can't be upgraded.
+
+const CONTROLS_VERSION = 2;
+const MAX_PERIOD_SECONDS = 365 * 24 * 60 * 60;
+
+function parseAddress(value) {
+  try {
+    return ethers.getAddress(String(value));
+  } catch (error) {
+    return null;
+  }
+}
+
+// "0xa9059cbb" or a signature like "transfer(address,uint256)"
+function parseSelector(value) {
+  const text = String(value).trim();
+  if (/^0x[0-9a-fA-F]{8}$/.test(text)) return text.toLowerCase();
+  if (/^[A-Za-z_$][A-Za-z0-9_$]*\(.*\)$/.test(text)) return ethers.id(text.replace(/\s+/g, '')).substring(0, 10);
+  return null;
+}
+
+/**
+ * Validate a PUT body. Every field is optional; `targets` and `spending_limits` replace the whole list.
+ *   allowlist_enabled: boolean
+ *   targets:           [{ address, selectors?: [selector | signature] }]
+ *   spending_limits:   [{ token: 'native' | address, cap: decimal string in token units, period_seconds }]
+ * Returns { changes } or { error }.
+ */
+function parseControlsUpdate(body = {}) {
+  const changes = {};
+
+  if (body.allowlist_enabled !== undefined) {
+    if (typeof body.allowlist_enabled !== 'boolean') {
+      return { error: 'allowlist_enabled must be true or false' };
+    }
+    changes.allowlist_enabled = body.allowlist_enabled;
+  }
+
+  if (body.targets !== undefined) {
+    if (!Array.isArray(body.targets)) {
+      return { error: 'targets must be an array of { address, selectors }' };
+    }
+    changes.targets = new Map();
+    for (const target of body.targets) {
+      const address = parseAddress(target && target.address);
+      if (!address) {
+        return { error: `Invalid target address: ${target && target.address}` };
+      }
+      const selectors = [];
+      for (const value of target.selectors || []) {
+        const selector = parseSelector(value);
+        if (!selector) {
+          return { error: `Invalid selector for ${address}: ${value} (use 0x12345678 or a signature like transfer(address,uint256))` };
+        }
+        if (!selectors.includes(selector)) selectors.push(selector);
+      }
+      changes.targets.set(address, selectors);
+    }
+  }
+
+  if (body.spending_limits !== undefined) {
+    if (!Array.isArray(body.spending_limits)) {
+      return { error: 'spending_limits must be an array of { token, cap, period_seconds }' };
+    }
+    changes.spending_limits = new Map();
+    for (const limit of body.spending_limits) {
+      const token = limit && String(limit.token).toLowerCase() === NATIVE_TOKEN ? ethers.ZeroAddress : parseAddress(limit && limit.token);
+      if (!token) {
+        return { error: `Invalid token: ${limit && limit.token} (use "native" or an ERC-20 address)` };
+      }
+      if (!/^\d+(\.\d+)?$/.test(String(limit.cap)) || Number(limit.cap) <= 0) {
+        return { error: `cap for ${limit.token} must be a positive decimal amount` };
+      }
+      if (!Number.isInteger(limit.period_seconds) || limit.period_seconds < 1 || limit.period_seconds > MAX_PERIOD_SECONDS) {
+        return { error: `period_seconds for ${limit.token} must be an integer from 1 to ${MAX_PERIOD_SECONDS}` };
+      }
+      changes.spending_limits.set(token, { cap: String(limit.cap), period: limit.period_seconds });
+    }
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { error: 'Nothing to update: pass allowlist_enabled, targets and/or spending_limits' };
+  }
+  return { changes };
+}
+
+/**
+ * Create the controls client. `agentAbi` must include the VERSION 2 functions.
+ */
+function createAgentControls({ getEthersSetup, agentAbi }) {
+  const tokens = createTokenMetadata(() => getEthersSetup().provider);
+
+  function agentContract(agentAddress) {
+    const { wallet } = getEthersSetup();
+    return new ethers.Contract(agentAddress, agentAbi, wallet);
+  }
+
+  // 1 for agents that predate VERSION (the call reverts or returns nothing)
+  async function version(agentAddress) {
+    try {
+      return Number(await agentContract(agentAddress).VERSION());
+    } catch (error) {
+      return 1;
+    }
+  }
+
+  async function readTargets(agent) {
+    const targets = new Map();
+    for (const address of await agent.getAllowedTargets()) {
+      const selectors = await agent.getAllowedSelectors(address);
+      targets.set(ethers.getAddress(address), selectors.map(selector => selector.toLowerCase()));
+    }
+    return targets;
+  }
+
+  async function readLimits(agent) {
+    const limits = new Map();
+    for (const token of await agent.getLimitedTokens()) {
+      const limit = await agent.spendingLimits(token);
+      limits.set(ethers.getAddress(token), {
+        cap: limit.cap,
+        period: limit.period,
+        periodStart: limit.periodStart,
+        remaining: await agent.remainingAllowance(token)
+      });
+    }
+    return limits;
+  }
+
+  async function read(agentAddress) {
+    const agent = agentContract(agentAddress);
+    const [paused, allowlistEnabled, targets, limits] = await Promise.all([
+      agent.paused(),
+      agent.allowlistEnabled(),
+      readTargets(agent),
+      readLimits(agent)
+    ]);
+
+    const spendingLimits = [];
+    for (const [token, limit] of limits) {
+      const info = await tokens.info(token);
+      const spent = limit.cap - limit.remaining;
+      spendingLimits.push({
+        ...info,
+        cap: ethers.formatUnits(limit.cap, info.decimals),
+        spent: ethers.formatUnits(spent, info.decimals),
+        remaining: ethers.formatUnits(limit.remaining, info.decimals),
+        period_seconds: Number(limit.period),
+        period_start: limit.periodStart > 0n ? new Date(Number(limit.periodStart) * 1000).toISOString() : null
+      });
+    }
+
+    return {
+      agent_address: agentAddress,
+      paused,
+      allowlist_enabled: allowlistEnabled,
+      targets: [...targets].map(([address, selectors]) => ({ address, selectors })),
+      spending_limits: spendingLimits
+    };
+  }
+
+  const tokenLabel = token => token === ethers.ZeroAddress ? NATIVE_TOKEN : token;
+
+  // Send only the transactions needed to go from the current on-chain state to `changes`.
+  // On failure the error carries `transactions` already confirmed.
+  async function update(agentAddress, changes) {
+    const agent = agentContract(agentAddress);
+    const transactions = [];
+    const send = async (action, call) => {
+      const tx = await call();
+      await tx.wait();
+      transactions.push({ action, tx_hash: tx.hash });
+    };
+
+    try {
+      if (changes.targets) {
+        const current = await readTargets(agent);
+        for (const address of current.keys()) {
+          if (!changes.targets.has(address)) {
+            await send(`disallow ${address}`, () => agent.setTargetAllowed(address, false));
+          }
+        }
+        for (const [address, selectors] of changes.targets) {
+          const currentSelectors = current.get(address);
+          if (!currentSelectors) {
+            await send(`allow ${address}`, () => agent.setTargetAllowed(address, true));
+          }
+          for (const selector of currentSelectors || []) {
+            if (!selectors.includes(selector)) {
+              await send(`disallow ${address} ${selector}`, () => agent.setSelectorAllowed(address, selector, false));
+            }
+          }
+          for (const selector of selectors) {
+            if (!(currentSelectors || []).includes(selector)) {
+              await send(`allow ${address} ${selector}`, () => agent.setSelectorAllowed(address, selector, true));
+            }
+          }
+        }
+      }
+
+      if (changes.spending_limits) {
+        const current = await readLimits(agent);
+        for (const token of current.keys()) {
+          if (!changes.spending_limits.has(token)) {
+            await send(`remove limit ${tokenLabel(token)}`, () => agent.setSpendingLimit(token, 0, 0));
+          }
+        }
+        for (const [token, limit] of changes.spending_limits) {
+          const { decimals } = await tokens.info(token);
+          const cap = ethers.parseUnits(limit.cap, decimals);
+          const existing = current.get(token);
+          if (!existing || existing.cap !== cap || Number(existing.period) !== limit.period) {
+            await send(`limit ${tokenLabel(token)}`, () => agent.setSpendingLimit(token, cap, limit.period));
+          }
+        }
+      }
+
+      // Last, so an allowlist is only switched on once the targets it checks are in place
+      if (changes.allowlist_enabled !== undefined && (await agent.allowlistEnabled()) !== changes.allowlist_enabled) {
+        await send(changes.allowlist_enabled ? 'enable allowlist' : 'disable allowlist',
+          () => agent.setAllowlistEnabled(changes.allowlist_enabled));
+      }
+    } catch (error) {
+      error.transactions = transactions;
+      throw error;
+    }
+
+    return transactions;
+  }
+
+  // Returns the transaction hash, or null when the agent was already in that state
+  async function setPaused(agentAddress, paused) {
+    const agent = agentContract(agentAddress);
+    if ((await agent.paused()) === paused) return null;
+    const tx = paused ? await agent.pause() : await agent.unpause();
+    await tx.wait();
+    return tx.hash;
+  }
+
+  return {
+    version,
+    read,
+    update,
+    setPaused
+  };
+}
+
+module.exports = {
+  createAgentControls,
+  parseControlsUpdate,
+  CONTROLS_VERSION
+};
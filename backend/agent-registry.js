@@ -0,0 +1,157 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// Durable branch_hash -> repo/branch mapping (agent-registry.json by default)
+//
+// branch_hash is keccak256(repo_url + "/" + branch_name), so chain data alone can't tell which
+// repository an agent belongs to. This file is what recovery reads after the SQLite DB is lost:
+// keep it on a volume that outlives the database (AGENT_REGISTRY_FILE). The default is outside the
+// backend directory (~/.somniapush) so whatever replaces db.sqlite doesn't take the registry with it.
+// Agents torn down on purpose keep their entry with `archived_at`, so recovery doesn't bring them back.
+// It also remembers the AgentRegistered events already scanned, so later scans only read new blocks.
+//
+// {
+//   "version": 1,
+//   "agents": { "<branch_hash>": { repo_url, branch_name, agent_address, recorded_at, archived_at } },
+//   "scan": { factory_address, start_block, last_block, events: { "<branch_hash>": { owner, agent_address, block_number, tx_hash } } }
+// }
+
+const REGISTRY_VERSION = 1;
+
+function branchHashFor(repo_url, branch_name) {
+  return ethers.id(repo_url + "/" + branch_name);
+}
+
+function emptyRegistry() {
+  return { version: REGISTRY_VERSION, agents: {}, scan: null };
+}
+
+// Where the registry lived before it moved out of the backend directory
+const LEGACY_REGISTRY_FILE = path.join(__dirname, 'agent-registry.json');
+
+function registryFileFromEnv(env = process.env) {
+  return env.AGENT_REGISTRY_FILE
+    ? path.resolve(env.AGENT_REGISTRY_FILE)
+    : path.join(os.homedir(), '.somniapush', 'agent-registry.json');
+}
+
+/**
+ * Create the registry backed by `file`. The whole file is small and rewritten atomically
+ * (temp file + rename) on every change. Without `file`, a registry left at the old default
+ * location is read from there and written to the new one.
+ */
+function createAgentRegistry({ file = registryFileFromEnv(), legacyFile = process.env.AGENT_REGISTRY_FILE ? null : LEGACY_REGISTRY_FILE } = {}) {
+  let data = null;
+
+  function read(source) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(source, 'utf8'));
+      return { ...emptyRegistry(), ...parsed, agents: parsed.agents || {} };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      // Don't overwrite a file we couldn't read - recovery would lose every mapping in it
+      throw new Error(`Could not read agent registry ${source}: ${error.message}`);
+    }
+  }
+
+  function load() {
+    if (data) return data;
+    data = read(file);
+    if (!data && legacyFile && legacyFile !== file) {
+      data = read(legacyFile);
+      if (data) {
+        save();
+        console.log(`📦 Moved agent registry from ${legacyFile} to ${file}`);
+      }
+    }
+    data = data || emptyRegistry();
+    return data;
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + '\n');
+    fs.renameSync(tmp, file);
+  }
+
+  function get(branch_hash) {
+    return load().agents[branch_hash] || null;
+  }
+
+  function all() {
+    return { ...load().agents };
+  }
+
+  // Remember which repo/branch a branch_hash belongs to. Mappings that don't hash to branch_hash are refused.
+  // Recording an archived agent again (its branch was pushed again) makes it recoverable again.
+  function record({ branch_hash, repo_url, branch_name, agent_address = null }) {
+    if (branchHashFor(repo_url, branch_name) !== branch_hash) {
+      throw new Error(`${repo_url}/${branch_name} does not hash to ${branch_hash}`);
+    }
+    const agents = load().agents;
+    const existing = agents[branch_hash];
+    if (existing && existing.repo_url === repo_url && existing.branch_name === branch_name &&
+        (!agent_address || existing.agent_address === agent_address) && !existing.archived_at) {
+      return existing;
+    }
+    agents[branch_hash] = {
+      repo_url,
+      branch_name,
+      agent_address: agent_address || (existing && existing.agent_address) || null,
+      recorded_at: new Date().toISOString()
+    };
+    save();
+    return agents[branch_hash];
+  }
+
+  // The agent was torn down on purpose (branch deleted): keep the entry, but recovery must skip it
+  function markArchived(branch_hash) {
+    const agents = load().agents;
+    const existing = agents[branch_hash];
+    if (existing && existing.archived_at) return existing;
+    agents[branch_hash] = {
+      repo_url: null,
+      branch_name: null,
+      agent_address: null,
+      ...existing,
+      archived_at: new Date().toISOString()
+    };
+    save();
+    return agents[branch_hash];
+  }
+
+  // Scan progress for a factory; null when nothing was scanned yet or the factory/start block changed.
+  // Without `start_block`, any earlier scan of the factory.
+  function getScan(factory_address, start_block) {
+    const scan = load().scan;
+    if (!scan || scan.factory_address.toLowerCase() !== factory_address.toLowerCase() ||
+        (start_block !== undefined && scan.start_block !== start_block)) {
+      return null;
+    }
+    return scan;
+  }
+
+  function saveScan(scan) {
+    load().scan = scan;
+    save();
+  }
+
+  return {
+    file,
+    get,
+    all,
+    record,
+    markArchived,
+    getScan,
+    saveScan
+  };
+}
+
+module.exports = {
+  createAgentRegistry,
+  registryFileFromEnv,
+  branchHashFor
+};
@@ -0,0 +1,261 @@
+const nodeCrypto = require('crypto');
+
+// API authentication and per-repository ownership
+//
+// - Users get an API token after the GitHub OAuth flow (/auth/github/callback). Only its SHA-256 is stored.
+// - The same flow records the user's GitHub permission on each repository it looked at.
+//   Mutating routes require write access (push, maintain or admin) on the agent's repository.
+//   A recorded permission is trusted for REPO_PERMISSION_TTL_HOURS (default 1); after that it is
+//   checked with GitHub again (`fetchRepoPermissions`) and dropped when access is gone or GitHub can't be asked.
+// - ADMIN_API_TOKEN is an operator token that passes every check (restart-all, recovery, non-GitHub repos).
+// - Read-only dashboard routes are public unless DASHBOARD_READ_ACCESS=private.
+// - ALLOW_UNAUTHENTICATED_API=true turns all checks off (local development only).
+
+const TOKEN_PREFIX = 'sp_';
+const WRITE_PERMISSIONS = ['admin', 'maintain', 'push'];
+// GitHub's permission flags, strongest first
+const PERMISSION_ORDER = ['admin', 'maintain', 'push', 'triage', 'pull'];
+const DEFAULT_PERMISSION_TTL_HOURS = 1;
+
+function permissionTtlMsFromEnv(env = process.env) {
+  const hours = parseFloat(env.REPO_PERMISSION_TTL_HOURS);
+  return (hours > 0 ? hours : DEFAULT_PERMISSION_TTL_HOURS) * 60 * 60 * 1000;
+}
+
+function hashToken(token) {
+  return nodeCrypto.createHash('sha256').update(token).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && nodeCrypto.timingSafeEqual(bufA, bufB);
+}
+
+// "owner/repo" (lowercased) for a GitHub URL, or null for anything else
+function repoFullNameFromUrl(repoUrl) {
+  const match = typeof repoUrl === 'string' && repoUrl.match(/github\.com[/:]([^/]+)\/([^/]+?)(?:\.git)?\/?$/);
+  return match ? `${match[1]}/${match[2]}`.toLowerCase() : null;
+}
+
+// Highest permission from a GitHub `permissions` object ({ admin, maintain, push, triage, pull })
+function highestPermission(permissions) {
+  if (!permissions) return null;
+  return PERMISSION_ORDER.find(level => permissions[level]) || null;
+}
+
+function bearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Create the auth helpers and Express middleware.
+ * `req.auth` is set to { user_id, token_id, admin } for authenticated requests.
+ * `fetchRepoPermissions(user_id, repoFullName)` asks GitHub for the user's current `permissions` on a repository:
+ * it resolves to null when they have no access any more and rejects when GitHub can't be asked.
+ */
+function createAuth({ db, fetchRepoPermissions = null, permissionTtlMs = permissionTtlMsFromEnv() }) {
+  const adminToken = process.env.ADMIN_API_TOKEN || null;
+  const authDisabled = process.env.ALLOW_UNAUTHENTICATED_API === 'true';
+  const publicReads = (process.env.DASHBOARD_READ_ACCESS || 'public') !== 'private';
+
+  const dbGet = (sql, params = []) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+  });
+  const dbAll = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+  const dbRun = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve(this);
+    });
+  });
+
+  // Issue a new API token for a GitHub user; the plaintext is only ever returned here
+  async function issueToken(user_id, label = 'oauth') {
+    const token = TOKEN_PREFIX + nodeCrypto.randomBytes(32).toString('hex');
+    await dbRun('INSERT INTO api_tokens (user_id, token_hash, label) VALUES (?, ?, ?)', [user_id, hashToken(token), label]);
+    return token;
+  }
+
+  async function revokeToken(token_id) {
+    await dbRun('UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?', [token_id]);
+  }
+
+  // Remember what GitHub says this user may do on a repository
+  async function recordRepoPermission(user_id, repoFullName, permissions) {
+    const permission = highestPermission(permissions);
+    if (!repoFullName || !permission) return;
+    await dbRun(
+      `INSERT INTO repo_permissions (user_id, repo_full_name, permission) VALUES (?, ?, ?)
+       ON CONFLICT(user_id, repo_full_name) DO UPDATE SET permission = excluded.permission, updated_at = CURRENT_TIMESTAMP`,
+      [user_id, repoFullName.toLowerCase(), permission]
+    );
+  }
+
+  async function forgetRepoPermission(user_id, repoFullName) {
+    await dbRun('DELETE FROM repo_permissions WHERE user_id = ? AND repo_full_name = ?', [user_id, repoFullName.toLowerCase()]);
+  }
+
+  // Record every repository of a full GitHub listing and forget the ones missing from it
+  async function syncRepoPermissions(user_id, repos) {
+    const listed = new Set();
+    for (const repo of repos) {
+      if (!repo.full_name) continue;
+      listed.add(repo.full_name.toLowerCase());
+      await recordRepoPermission(user_id, repo.full_name, repo.permissions);
+    }
+    const known = await dbAll('SELECT repo_full_name FROM repo_permissions WHERE user_id = ?', [user_id]);
+    for (const { repo_full_name } of known) {
+      if (!listed.has(repo_full_name)) {
+        await forgetRepoPermission(user_id, repo_full_name);
+      }
+    }
+  }
+
+  async function listRepoPermissions(user_id) {
+    return dbAll('SELECT repo_full_name, permission, updated_at FROM repo_permissions WHERE user_id = ? ORDER BY repo_full_name', [user_id]);
+  }
+
+  // updated_at is CURRENT_TIMESTAMP (UTC, "YYYY-MM-DD HH:MM:SS")
+  function isFresh(updatedAt) {
+    const time = new Date(String(updatedAt).replace(' ', 'T') + 'Z').getTime();
+    return Date.now() - time < permissionTtlMs;
+  }
+
+  // Ask GitHub again about a stale permission; null when access was revoked (the row is removed) or couldn't be checked
+  async function refreshRepoPermission(user_id, repoFullName) {
+    if (!fetchRepoPermissions) return null;
+    let permissions;
+    try {
+      permissions = await fetchRepoPermissions(user_id, repoFullName);
+    } catch (error) {
+      // Fail closed: an unverifiable permission counts as absent, but is kept for the next try
+      console.warn(`[Auth] Could not re-check ${user_id}'s permission on ${repoFullName}: ${error.message}`);
+      return null;
+    }
+    const permission = highestPermission(permissions);
+    if (!permission) {
+      await forgetRepoPermission(user_id, repoFullName);
+      console.log(`[Auth] ${user_id} no longer has access to ${repoFullName} - permission removed`);
+      return null;
+    }
+    await recordRepoPermission(user_id, repoFullName, permissions);
+    return permission;
+  }
+
+  async function canWriteRepo(auth, repoUrl) {
+    if (auth.admin) return true;
+    const repoFullName = repoFullNameFromUrl(repoUrl);
+    if (!repoFullName) return false;
+    const row = await dbGet('SELECT permission, updated_at FROM repo_permissions WHERE user_id = ? AND repo_full_name = ?', [auth.user_id, repoFullName]);
+    if (!row) return false;
+    const permission = isFresh(row.updated_at) ? row.permission : await refreshRepoPermission(auth.user_id, repoFullName);
+    return WRITE_PERMISSIONS.includes(permission);
+  }
+
+  // Resolve the caller from the Authorization header (null when missing or invalid)
+  async function identify(req) {
+    const token = bearerToken(req);
+    if (!token) return null;
+    if (adminToken && safeEqual(token, adminToken)) {
+      return { user_id: 'admin', token_id: null, admin: true };
+    }
+    const row = await dbGet('SELECT id, user_id FROM api_tokens WHERE token_hash = ? AND revoked_at IS NULL', [hashToken(token)]);
+    if (!row) return null;
+    db.run('UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [row.id]);
+    return { user_id: row.user_id, token_id: row.id, admin: false };
+  }
+
+  function unauthorized(res) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Send an API token as "Authorization: Bearer <token>". Get one by connecting GitHub at /auth/github.'
+    });
+  }
+
+  // Any valid token
+  function requireUser(req, res, next) {
+    if (authDisabled) return next();
+    identify(req).then((auth) => {
+      if (!auth) return unauthorized(res);
+      req.auth = auth;
+      next();
+    }).catch(next);
+  }
+
+  // ADMIN_API_TOKEN only
+  function requireAdmin(req, res, next) {
+    if (authDisabled) return next();
+    identify(req).then((auth) => {
+      if (!auth) return unauthorized(res);
+      if (!auth.admin) return res.status(403).json({ error: 'This action requires the admin API token' });
+      req.auth = auth;
+      next();
+    }).catch(next);
+  }
+
+  /**
+   * Write access to the repository a request targets.
+   * `resolveRepoUrl(req)` returns (or resolves to) the repo_url; null/undefined answers 404.
+   */
+  function requireRepoAccess(resolveRepoUrl) {
+    return (req, res, next) => {
+      if (authDisabled) return next();
+      identify(req).then(async (auth) => {
+        if (!auth) return unauthorized(res);
+        req.auth = auth;
+        const repoUrl = await resolveRepoUrl(req);
+        if (!repoUrl) {
+          return res.status(404).json({ error: 'Agent not found' });
+        }
+        if (!(await canWriteRepo(auth, repoUrl))) {
+          return res.status(403).json({
+            error: `No write access to ${repoFullNameFromUrl(repoUrl) || repoUrl}`,
+            message: 'Connect the repository with /auth/github?repo_url=... using an account that can push to it.'
+          });
+        }
+        next();
+      }).catch(next);
+    };
+  }
+
+  // EventSource can't set headers: streaming routes also accept the token as ?access_token=
+  function allowQueryToken(req, res, next) {
+    if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+      req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    next();
+  }
+
+  // Read-only dashboard routes: open by default, any valid token when DASHBOARD_READ_ACCESS=private
+  function readAccess(req, res, next) {
+    if (publicReads) return next();
+    return requireUser(req, res, next);
+  }
+
+  return {
+    issueToken,
+    revokeToken,
+    recordRepoPermission,
+    syncRepoPermissions,
+    listRepoPermissions,
+    identify,
+    requireUser,
+    requireAdmin,
+    requireRepoAccess,
+    readAccess,
+    allowQueryToken,
+    authDisabled,
+    publicReads
+  };
+}
+
+module.exports = {
+  createAuth,
+  repoFullNameFromUrl,
+  highestPermission
+};
@@ -0,0 +1,344 @@
+const { parseTimeParam, parseDuration, toSqliteTimestamp, fromSqliteTimestamp } = require('./log-store.js');
+
+// Custom agent metrics: named counters, gauges and histograms an agent pushes with optional tags
+// (e.g. llm_tokens_used, rsi{symbol=NIA}, slippage_bps{side=buy}), stored in agent_custom_metrics.
+//
+// - counter:   value is an increment; windows report the sum (and the rate per second)
+// - gauge:     value is a reading; windows report last/min/max/avg
+// - histogram: value is one observation; windows report count/sum/min/max/avg and percentiles
+// A name keeps the type it was first reported with (agent_custom_metric_names).
+// Points are kept CUSTOM_METRICS_RETENTION_DAYS (default 30) and pruned every hour.
+
+const METRIC_TYPES = ['counter', 'gauge', 'histogram'];
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_.:-]{0,99}$/;
+const TAG_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_.-]{0,63}$/;
+const MAX_TAGS = 10;
+const MAX_TAG_VALUE_LENGTH = 128;
+const MAX_POINTS_PER_REQUEST = 500;
+const MAX_FUTURE_MS = 5 * 60 * 1000; // tolerate agent clock skew, nothing more
+const INSERT_BATCH_SIZE = 100; // rows per INSERT, 6 params each - well under SQLite's 999
+const DEFAULT_RETENTION_DAYS = 30;
+const MAX_RETENTION_DAYS = 365;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const DEFAULT_RANGE_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_WINDOW = '5m';
+const MAX_BUCKETS = 2000;
+const MAX_SCAN_POINTS = 100000; // newest points read per query; older ones are reported as truncated
+const PERCENTILES = [50, 90, 95, 99];
+
+function retentionDaysFromEnv(env = process.env) {
+  const days = parseInt(env.CUSTOM_METRICS_RETENTION_DAYS, 10);
+  return days >= 1 && days <= MAX_RETENTION_DAYS ? days : DEFAULT_RETENTION_DAYS;
+}
+
+// { key: value } -> JSON with sorted keys and string values (null without tags); { error } if invalid
+function normalizeTags(tags) {
+  if (tags === undefined || tags === null) return { tags: null };
+  if (typeof tags !== 'object' || Array.isArray(tags)) {
+    return { error: 'tags must be an object of key/value pairs' };
+  }
+  const keys = Object.keys(tags).sort();
+  if (keys.length > MAX_TAGS) {
+    return { error: `at most ${MAX_TAGS} tags per point` };
+  }
+  const normalized = {};
+  for (const key of keys) {
+    const value = tags[key];
+    if (!TAG_KEY_PATTERN.test(key)) {
+      return { error: `Invalid tag name: ${key}` };
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof value) || String(value).length > MAX_TAG_VALUE_LENGTH) {
+      return { error: `Tag ${key} must be a string, number or boolean of at most ${MAX_TAG_VALUE_LENGTH} characters` };
+    }
+    normalized[key] = String(value);
+  }
+  return { tags: keys.length > 0 ? JSON.stringify(normalized) : null };
+}
+
+/**
+ * Validate a POST /api/metrics/custom body:
+ *   metrics: [{ name, type: counter | gauge | histogram, value, tags?: { key: value }, timestamp?: ISO date | epoch ms }]
+ * Returns { points } or { error }.
+ */
+function parseMetricPoints(body = {}, now = Date.now()) {
+  const { metrics } = body;
+  if (!Array.isArray(metrics) || metrics.length === 0) {
+    return { error: 'metrics must be a non-empty array of { name, type, value, tags, timestamp }' };
+  }
+  if (metrics.length > MAX_POINTS_PER_REQUEST) {
+    return { error: `At most ${MAX_POINTS_PER_REQUEST} metrics per request` };
+  }
+
+  const points = [];
+  for (const metric of metrics) {
+    const { name, type, value, timestamp } = metric || {};
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      return { error: `Invalid metric name: ${name} (letters, digits, _ . : -, starting with a letter or _)` };
+    }
+    if (!METRIC_TYPES.includes(type)) {
+      return { error: `type of ${name} must be one of: ${METRIC_TYPES.join(', ')}` };
+    }
+    if (typeof value !== 'number' || !isFinite(value)) {
+      return { error: `value of ${name} must be a number` };
+    }
+    if (type === 'counter' && value < 0) {
+      return { error: `${name} is a counter: value is an increment and can't be negative` };
+    }
+    const { tags, error } = normalizeTags(metric.tags);
+    if (error) {
+      return { error: `${name}: ${error}` };
+    }
+    let time = new Date(now);
+    if (timestamp !== undefined && timestamp !== null) {
+      time = new Date(timestamp);
+      if (isNaN(time.getTime()) || time.getTime() > now + MAX_FUTURE_MS) {
+        return { error: `timestamp of ${name} must be an ISO date or epoch milliseconds, not in the future` };
+      }
+    }
+    points.push({ name, type, value, tags, timestamp: time });
+  }
+  return { points };
+}
+
+/**
+ * Validate the query of GET /api/agents/:branch_hash/custom-metrics/:name
+ *   from, to:  ISO date or a duration ago ("24h"); default the last 24 hours
+ *   window:    bucket size like 1m, 5m, 1h, 1d (default 5m)
+ *   tags:      only points with these tags, "key:value,key2:value2"
+ *   group_by:  one series per value of this tag
+ * Returns { options } or { error }.
+ */
+function parseMetricQuery(query = {}, now = Date.now()) {
+  const options = { from: new Date(now - DEFAULT_RANGE_MS), to: new Date(now), tags: {}, group_by: null };
+
+  for (const name of ['from', 'to']) {
+    if (query[name] === undefined) continue;
+    options[name] = parseTimeParam(query[name], now);
+    if (!options[name]) {
+      return { error: `${name} must be an ISO date or a duration like 15m, 24h or 7d` };
+    }
+  }
+  if (options.from > options.to) {
+    return { error: 'from must be before to' };
+  }
+
+  options.window = query.window || DEFAULT_WINDOW;
+  options.window_ms = parseDuration(options.window);
+  if (!options.window_ms || options.window_ms < 1000) {
+    return { error: 'window must be a duration like 1m, 5m, 1h or 1d (at least 1s)' };
+  }
+  if ((options.to - options.from) / options.window_ms > MAX_BUCKETS) {
+    return { error: `That range has more than ${MAX_BUCKETS} windows of ${options.window} - use a larger window or a shorter range` };
+  }
+
+  if (query.tags) {
+    for (const pair of String(query.tags).split(',').map(item => item.trim()).filter(Boolean)) {
+      const separator = pair.indexOf(':');
+      const key = pair.substring(0, separator);
+      if (separator < 1 || !TAG_KEY_PATTERN.test(key)) {
+        return { error: 'tags must look like key:value,key2:value2' };
+      }
+      options.tags[key] = pair.substring(separator + 1);
+    }
+  }
+  if (query.group_by !== undefined) {
+    if (!TAG_KEY_PATTERN.test(String(query.group_by))) {
+      return { error: 'group_by must be a tag name' };
+    }
+    options.group_by = String(query.group_by);
+  }
+  return { options };
+}
+
+// Nearest-rank percentile of sorted values
+function percentile(sorted, p) {
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+// Aggregate one window's values (oldest first) for the metric type
+function aggregate(type, values, windowMs) {
+  const sum = values.reduce((total, value) => total + value, 0);
+  if (type === 'counter') {
+    return { count: values.length, sum, rate_per_second: sum / (windowMs / 1000) };
+  }
+  // reduce rather than Math.min(...values): a window can hold more values than fit in an argument list
+  const min = values.reduce((lowest, value) => Math.min(lowest, value), Infinity);
+  const max = values.reduce((highest, value) => Math.max(highest, value), -Infinity);
+  const avg = sum / values.length;
+  if (type === 'gauge') {
+    return { count: values.length, last: values[values.length - 1], min, max, avg };
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const result = { count: values.length, sum, min, max, avg };
+  for (const p of PERCENTILES) {
+    result[`p${p}`] = percentile(sorted, p);
+  }
+  return result;
+}
+
+/**
+ * Create the custom metrics store.
+ */
+function createCustomMetrics({ db, retentionDays = retentionDaysFromEnv() }) {
+  const dbGet = (sql, params = []) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+  });
+  const dbAll = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+  const dbRun = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve(this);
+    });
+  });
+  let pruneTimer = null;
+
+  // Store validated points. Returns { recorded } or { error } when a name is reported with another type.
+  async function record(branch_hash, points) {
+    const types = new Map();
+    for (const point of points) {
+      if (types.has(point.name) && types.get(point.name) !== point.type) {
+        return { error: `${point.name} is reported as both ${types.get(point.name)} and ${point.type}` };
+      }
+      types.set(point.name, point.type);
+    }
+
+    const names = [...types.keys()];
+    const known = await dbAll(
+      `SELECT name, type FROM agent_custom_metric_names WHERE branch_hash = ? AND name IN (${names.map(() => '?').join(', ')})`,
+      [branch_hash, ...names]
+    );
+    for (const row of known) {
+      if (row.type !== types.get(row.name)) {
+        return { error: `${row.name} is a ${row.type}; it can't be reported as a ${types.get(row.name)}` };
+      }
+    }
+    for (const [name, type] of types) {
+      if (!known.some(row => row.name === name)) {
+        await dbRun('INSERT OR IGNORE INTO agent_custom_metric_names (branch_hash, name, type) VALUES (?, ?, ?)', [branch_hash, name, type]);
+      }
+    }
+
+    for (let i = 0; i < points.length; i += INSERT_BATCH_SIZE) {
+      const chunk = points.slice(i, i + INSERT_BATCH_SIZE);
+      await dbRun(
+        `INSERT INTO agent_custom_metrics (branch_hash, name, type, value, tags, timestamp)
+         VALUES ${chunk.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}`,
+        chunk.flatMap(point => [branch_hash, point.name, point.type, point.value, point.tags, toSqliteTimestamp(point.timestamp)])
+      );
+    }
+    return { recorded: points.length };
+  }
+
+  // Every metric name the agent has reported, with its latest point
+  async function list(branch_hash) {
+    const rows = await dbAll(
+      `SELECT n.name, n.type, n.created_at,
+         (SELECT timestamp FROM agent_custom_metrics m WHERE m.branch_hash = n.branch_hash AND m.name = n.name
+          ORDER BY timestamp DESC LIMIT 1) AS last_timestamp,
+         (SELECT value FROM agent_custom_metrics m WHERE m.branch_hash = n.branch_hash AND m.name = n.name
+          ORDER BY timestamp DESC LIMIT 1) AS last_value
+       FROM agent_custom_metric_names n WHERE n.branch_hash = ? ORDER BY n.name`,
+      [branch_hash]
+    );
+    return rows.map(row => ({
+      name: row.name,
+      type: row.type,
+      first_reported: fromSqliteTimestamp(row.created_at),
+      last_value: row.last_value,
+      last_timestamp: row.last_timestamp ? fromSqliteTimestamp(row.last_timestamp) : null
+    }));
+  }
+
+  /**
+   * Windowed aggregates of one metric (options from parseMetricQuery). Resolves to null for unknown names.
+   * Windows are aligned to multiples of the window size (UTC) and only windows with points are returned.
+   */
+  async function query(branch_hash, name, options) {
+    const metric = await dbGet('SELECT type FROM agent_custom_metric_names WHERE branch_hash = ? AND name = ?', [branch_hash, name]);
+    if (!metric) return null;
+
+    // Newest first so a truncated scan drops the oldest points
+    const rows = await dbAll(
+      `SELECT value, tags, timestamp FROM agent_custom_metrics
+       WHERE branch_hash = ? AND name = ? AND timestamp >= ? AND timestamp <= ?
+       ORDER BY timestamp DESC, id DESC LIMIT ?`,
+      [branch_hash, name, toSqliteTimestamp(options.from), toSqliteTimestamp(options.to), MAX_SCAN_POINTS + 1]
+    );
+    const truncated = rows.length > MAX_SCAN_POINTS;
+    const filters = Object.entries(options.tags);
+
+    // group -> window start -> values (oldest first)
+    const groups = new Map();
+    for (const row of rows.slice(0, MAX_SCAN_POINTS).reverse()) {
+      const tags = row.tags ? JSON.parse(row.tags) : {};
+      if (filters.some(([key, value]) => tags[key] !== value)) continue;
+      const group = options.group_by ? (tags[options.group_by] === undefined ? null : tags[options.group_by]) : null;
+      const time = new Date(fromSqliteTimestamp(row.timestamp)).getTime();
+      const start = Math.floor(time / options.window_ms) * options.window_ms;
+      if (!groups.has(group)) groups.set(group, new Map());
+      const windows = groups.get(group);
+      if (!windows.has(start)) windows.set(start, []);
+      windows.get(start).push(row.value);
+    }
+
+    const series = [...groups].map(([group, windows]) => ({
+      tags: options.group_by ? { [options.group_by]: group } : options.tags,
+      points: [...windows].map(([start, values]) => ({
+        timestamp: new Date(start).toISOString(),
+        ...aggregate(metric.type, values, options.window_ms)
+      }))
+    }));
+
+    return {
+      name,
+      type: metric.type,
+      from: options.from.toISOString(),
+      to: options.to.toISOString(),
+      window: options.window,
+      truncated,
+      series
+    };
+  }
+
+  async function prune() {
+    const result = await dbRun(
+      "DELETE FROM agent_custom_metrics WHERE timestamp < datetime('now', '-' || ? || ' days')",
+      [retentionDays]
+    );
+    if (result.changes > 0) {
+      console.log(`🧹 Pruned ${result.changes} custom metric point(s) past retention`);
+    }
+    return result.changes;
+  }
+
+  function start() {
+    pruneTimer = setInterval(() => {
+      prune().catch(err => console.error('[CustomMetrics] Prune failed:', err.message));
+    }, PRUNE_INTERVAL_MS);
+    pruneTimer.unref();
+    return prune().catch(err => console.error('[CustomMetrics] Prune failed:', err.message));
+  }
+
+  function stop() {
+    clearInterval(pruneTimer);
+  }
+
+  return {
+    retentionDays,
+    record,
+    list,
+    query,
+    prune,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  createCustomMetrics,
+  parseMetricPoints,
+  parseMetricQuery,
+  METRIC_TYPES
+};
@@ -1,5 +1,6 @@
 const sqlite3 = require('sqlite3');
 const path = require('path');
+const { backfillActions } = require('./decisions.js');
 
 // Create database instance
 const db = new sqlite3.Database(path.join(__dirname, 'db.sqlite'));
@@ -56,6 +57,26 @@ function initializeDatabase() {
         console.log('✅ Secrets table created/verified');
       });
 
+      // Repo-level secrets shared by every branch of a repository (branch secrets override them)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS repo_secrets (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          repo_url TEXT NOT NULL,
+          key TEXT NOT NULL,
+          encrypted_value TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(repo_url, key)
+        )
+      `, (err) => {
+        if (err) {
+          console.error('Error creating repo_secrets table:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Repo secrets table created/verified');
+      });
+
       // Create index on branch_hash for faster lookups
       db.run(`
         CREATE INDEX IF NOT EXISTS idx_agents_branch_hash ON agents(branch_hash)
@@ -91,6 +112,13 @@ function initializeDatabase() {
           trade_executed BOOLEAN DEFAULT 0,
           trade_tx_hash TEXT,
           trade_amount REAL,
+          trade_fee REAL,
+          action TEXT,
+          asset_pair TEXT,
+          confidence REAL,
+          reasoning TEXT,
+          model TEXT,
+          latency_ms INTEGER,
           FOREIGN KEY(agent_id) REFERENCES agents(id) ON DELETE CASCADE
         )
       `, (err) => {
@@ -124,6 +152,309 @@ function initializeDatabase() {
         console.log('✅ GitHub OAuth table created/verified');
       });
 
+      // Create webhook_secrets table for per-repository webhook signing secrets
+      // Keyed by GitHub full_name (owner/repo) since that is present in every webhook payload
+      db.run(`
+        CREATE TABLE IF NOT EXISTS webhook_secrets (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          repo_full_name TEXT NOT NULL UNIQUE,
+          encrypted_secret TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `, (err) => {
+        if (err) {
+          console.error('Error creating webhook_secrets table:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Webhook secrets table created/verified');
+      });
+
+      // Create deployment_jobs table - the persistent queue behind the deployment pipeline
+      // Jobs left 'running' when the backend stops are re-queued on the next start
+      db.run(`
+        CREATE TABLE IF NOT EXISTS deployment_jobs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          type TEXT NOT NULL,
+          branch_hash TEXT NOT NULL,
+          repo_url TEXT NOT NULL,
+          branch_name TEXT NOT NULL,
+          source TEXT NOT NULL,
+          payload TEXT,
+          status TEXT DEFAULT 'queued',
+          attempts INTEGER DEFAULT 0,
+          error TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          started_at DATETIME,
+          finished_at DATETIME
+        )
+      `, (err) => {
+        if (err) {
+          console.error('Error creating deployment_jobs table:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Deployment jobs table created/verified');
+      });
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_deployment_jobs_status ON deployment_jobs(status, id)
+      `, (err) => {
+        if (err) {
+          console.error('Error creating deployment_jobs index:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Deployment jobs index created/verified');
+      });
+
+      // Create deployments table - one row per pipeline run (deploy or restart) of an agent
+      // commit_sha is what was actually checked out; requested_sha is what the push asked for
+      db.run(`
+        CREATE TABLE IF NOT EXISTS deployments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          job_id INTEGER,
+          agent_id INTEGER,
+          branch_hash TEXT NOT NULL,
+          repo_url TEXT NOT NULL,
+          branch_name TEXT NOT NULL,
+          type TEXT NOT NULL,
+          source TEXT NOT NULL,
+          commit_sha TEXT,
+          commit_message TEXT,
+          requested_sha TEXT,
+          pusher TEXT,
+          outcome TEXT DEFAULT 'running',
+          error TEXT,
+          started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          finished_at DATETIME,
+          clone_ms INTEGER,
+          install_ms INTEGER,
+          register_ms INTEGER,
+          start_ms INTEGER,
+          stdout TEXT,
+          stderr TEXT,
+          FOREIGN KEY(job_id) REFERENCES deployment_jobs(id)
+        )
+      `, (err) => {
+        if (err) {
+          console.error('Error creating deployments table:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Deployments table created/verified');
+      });
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_deployments_branch_hash ON deployments(branch_hash, id)
+      `, (err) => {
+        if (err) {
+          console.error('Error creating deployments index:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Deployments index created/verified');
+      });
+
+      // API tokens issued after GitHub OAuth (only the SHA-256 of each token is stored)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS api_tokens (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id TEXT NOT NULL,
+          token_hash TEXT NOT NULL UNIQUE,
+          label TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          last_used_at DATETIME,
+          revoked_at DATETIME
+        )
+      `, (err) => {
+        if (err) {
+          console.error('Error creating api_tokens table:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ API tokens table created/verified');
+      });
+
+      // GitHub permission of each user on each repository ("owner/repo", lowercased)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS repo_permissions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id TEXT NOT NULL,
+          repo_full_name TEXT NOT NULL,
+          permission TEXT NOT NULL,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(user_id, repo_full_name)
+        )
+      `, (err) => {
+        if (err) {
+          console.error('Error creating repo_permissions table:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Repo permissions table created/verified');
+      });
+
+      // Per-agent ingestion token for POST /api/metrics (hash for lookup, encrypted copy to inject into the agent)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS agent_ingest_tokens (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          branch_hash TEXT NOT NULL UNIQUE,
+          token_hash TEXT NOT NULL,
+          encrypted_token TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          rotated_at DATETIME
+        )
+      `, (err) => {
+        if (err) {
+          console.error('Error creating agent_ingest_tokens table:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Agent ingest tokens table created/verified');
+      });
+
+      // Captured agent console output (stdout/stderr from the PM2 bus), pruned per agent by retention
+      // Keyed by branch_hash like secrets, so logs survive agents being re-created with new ids
+      db.run(`
+        CREATE TABLE IF NOT EXISTS agent_logs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          branch_hash TEXT NOT NULL,
+          deployment_id INTEGER,
+          stream TEXT NOT NULL,
+          level TEXT NOT NULL,
+          message TEXT NOT NULL,
+          timestamp DATETIME NOT NULL
+        )
+      `, (err) => {
+        if (err) {
+          console.error('Error creating agent_logs table:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Agent logs table created/verified');
+      });
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_agent_logs_branch_hash ON agent_logs(branch_hash, id)
+      `, (err) => {
+        if (err) {
+          console.error('Error creating agent_logs index:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Agent logs index created/verified');
+      });
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_agent_logs_timestamp ON agent_logs(timestamp)
+      `, (err) => {
+        if (err) {
+          console.error('Error creating agent_logs timestamp index:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Agent logs timestamp index created/verified');
+      });
+
+      // Per-agent log retention (agents without a row use AGENT_LOG_RETENTION_DAYS)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS agent_log_settings (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          branch_hash TEXT NOT NULL UNIQUE,
+          retention_days INTEGER NOT NULL,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `, (err) => {
+        if (err) {
+          console.error('Error creating agent_log_settings table:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Agent log settings table created/verified');
+      });
+
+      // Custom agent metrics (custom-metrics.js): one row per counter increment, gauge reading or histogram observation
+      // Keyed by branch_hash like agent_logs; tags is JSON with sorted keys
+      db.run(`
+        CREATE TABLE IF NOT EXISTS agent_custom_metrics (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          branch_hash TEXT NOT NULL,
+          name TEXT NOT NULL,
+          type TEXT NOT NULL,
+          value REAL NOT NULL,
+          tags TEXT,
+          timestamp DATETIME NOT NULL
+        )
+      `, (err) => {
+        if (err) {
+          console.error('Error creating agent_custom_metrics table:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Agent custom metrics table created/verified');
+      });
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_agent_custom_metrics_name ON agent_custom_metrics(branch_hash, name, timestamp)
+      `, (err) => {
+        if (err) {
+          console.error('Error creating agent_custom_metrics index:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Agent custom metrics index created/verified');
+      });
+
+      db.run(`
+        CREATE INDEX IF NOT EXISTS idx_agent_custom_metrics_timestamp ON agent_custom_metrics(timestamp)
+      `, (err) => {
+        if (err) {
+          console.error('Error creating agent_custom_metrics timestamp index:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Agent custom metrics timestamp index created/verified');
+      });
+
+      // The type each custom metric name was first reported with (a name can't change type)
+      db.run(`
+        CREATE TABLE IF NOT EXISTS agent_custom_metric_names (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          branch_hash TEXT NOT NULL,
+          name TEXT NOT NULL,
+          type TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(branch_hash, name)
+        )
+      `, (err) => {
+        if (err) {
+          console.error('Error creating agent_custom_metric_names table:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Agent custom metric names table created/verified');
+      });
+
+      // Running position/PnL of each agent (pnl.js): the accounting state after replaying its metrics rows up to last_metric_id
+      db.run(`
+        CREATE TABLE IF NOT EXISTS agent_pnl_snapshots (
+          agent_id INTEGER PRIMARY KEY,
+          last_metric_id INTEGER NOT NULL,
+          state TEXT NOT NULL,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY(agent_id) REFERENCES agents(id) ON DELETE CASCADE
+        )
+      `, (err) => {
+        if (err) {
+          console.error('Error creating agent_pnl_snapshots table:', err);
+          reject(err);
+          return;
+        }
+        console.log('✅ Agent PnL snapshots table created/verified');
+      });
+
       // Create index on agent_id for metrics table
       db.run(`
         CREATE INDEX IF NOT EXISTS idx_metrics_agent_id ON metrics(agent_id)
@@ -140,6 +471,45 @@ function initializeDatabase() {
   });
 }
 
+// Columns added after their table was first created. CREATE TABLE above already has them for new
+// databases; older databases get them through ALTER TABLE on startup.
+const COLUMN_MIGRATIONS = [
+  { table: 'metrics', column: 'trade_fee', definition: 'REAL' },
+  // Structured decisions (decisions.js); existing rows get `action` from their decision text
+  { table: 'metrics', column: 'action', definition: 'TEXT' },
+  { table: 'metrics', column: 'asset_pair', definition: 'TEXT' },
+  { table: 'metrics', column: 'confidence', definition: 'REAL' },
+  { table: 'metrics', column: 'reasoning', definition: 'TEXT' },
+  { table: 'metrics', column: 'model', definition: 'TEXT' },
+  { table: 'metrics', column: 'latency_ms', definition: 'INTEGER' }
+];
+
+// Indexes on migrated columns - created after the columns exist
+const MIGRATED_INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_metrics_agent_action ON metrics(agent_id, action)'
+];
+
+/**
+ * Add any missing columns from COLUMN_MIGRATIONS (safe to run on every start)
+ */
+function migrateColumns() {
+  const all = (sql) => new Promise((resolve, reject) => {
+    db.all(sql, [], (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+  const run = (sql) => new Promise((resolve, reject) => {
+    db.run(sql, [], (err) => err ? reject(err) : resolve());
+  });
+
+  const columnsAdded = COLUMN_MIGRATIONS.reduce((previous, { table, column, definition }) => previous.then(async () => {
+    const columns = await all(`PRAGMA table_info(${table})`);
+    if (columns.some(existing => existing.name === column)) return;
+    await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`✅ Added ${table}.${column}`);
+  }), Promise.resolve());
+
+  return columnsAdded.then(() => MIGRATED_INDEXES.reduce((previous, sql) => previous.then(() => run(sql)), Promise.resolve()));
+}
+
 /**
  * Get database instance
  */
@@ -163,15 +533,13 @@ function closeDatabase() {
   });
 }
 
-module.exports = {
-  getDatabase,
-  closeDatabase
-};
-
 /**
  * Initialize database on startup
+ * Exported as `databaseReady` so callers can wait for the schema before querying
  */
-initializeDatabase()
+const databaseReady = initializeDatabase()
+  .then(migrateColumns)
+  .then(() => backfillActions(db))
   .then(() => {
     console.log('🎉 Database initialization completed successfully');
   })
@@ -180,3 +548,8 @@ initializeDatabase()
     process.exit(1);
   });
 
+module.exports = {
+  getDatabase,
+  closeDatabase,
+  databaseReady
+};
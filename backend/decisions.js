@@ -0,0 +1,131 @@
+// Structured trading decisions reported through POST /api/metrics
+//
+// A decision has an `action` (BUY, SELL, HOLD or CLOSE) plus optional context: the asset pair it is
+// about, the model's confidence (0-1), its reasoning, the model name and how long the model took.
+// `decision` stays the free-form text agents always sent; when there's no `action` it is derived from it.
+
+const ACTIONS = ['BUY', 'SELL', 'HOLD', 'CLOSE'];
+const ACTION_LABELS = { BUY: '🟢 BUY', SELL: '🔴 SELL', HOLD: '🟡 HOLD', CLOSE: '⚪ CLOSE' };
+
+const MAX_DECISION_LENGTH = 200;
+const MAX_REASONING_LENGTH = 10000;
+const MAX_MODEL_LENGTH = 200;
+const ASSET_PAIR_PATTERN = /^[A-Za-z0-9._-]{1,20}\/[A-Za-z0-9._-]{1,20}$/;
+
+// The first action word in a decision text ("BUY", "AI decided: HOLD"), null if there is none
+function actionFromText(text) {
+  const match = String(text || '').match(/\b(BUY|SELL|HOLD|CLOSE)\b/i);
+  return match ? match[1].toUpperCase() : null;
+}
+
+// Action of a metrics row, falling back to its text for rows saved before the action column
+function actionOf(row) {
+  return row.action || actionFromText(row.decision);
+}
+
+// "🟢 BUY" etc. for log lines; unknown decisions are shown as sent
+function decisionLabel(row) {
+  const action = actionOf(row);
+  return action ? ACTION_LABELS[action] : String(row.decision || '');
+}
+
+/**
+ * Validate the decision fields of a POST /api/metrics body. `decision` or `action` is required.
+ *   action:     BUY | SELL | HOLD | CLOSE (any case)
+ *   decision:   free-form text, defaults to the action
+ *   asset_pair: "BASE/QUOTE", e.g. "NIA/USDT"
+ *   confidence: 0-1
+ *   reasoning:  free-form text
+ *   model:      model name
+ *   latency_ms: time the decision took
+ * Returns { decision } with the columns to store, or { error }.
+ */
+function parseDecision(body = {}) {
+  const { action, decision, asset_pair, confidence, reasoning, model, latency_ms } = body;
+  const present = value => value !== undefined && value !== null;
+
+  if (!present(action) && !present(decision)) {
+    return { error: 'Missing required field: decision or action' };
+  }
+  if (present(decision) && (typeof decision !== 'string' || !decision.trim() || decision.length > MAX_DECISION_LENGTH)) {
+    return { error: `decision must be a non-empty string of at most ${MAX_DECISION_LENGTH} characters` };
+  }
+
+  let parsedAction = null;
+  if (present(action)) {
+    parsedAction = String(action).toUpperCase();
+    if (!ACTIONS.includes(parsedAction)) {
+      return { error: `action must be one of: ${ACTIONS.join(', ')}` };
+    }
+  } else {
+    parsedAction = actionFromText(decision);
+  }
+
+  if (present(asset_pair) && !ASSET_PAIR_PATTERN.test(String(asset_pair))) {
+    return { error: 'asset_pair must look like BASE/QUOTE, e.g. NIA/USDT' };
+  }
+  if (present(confidence) && !(typeof confidence === 'number' && confidence >= 0 && confidence <= 1)) {
+    return { error: 'confidence must be a number from 0 to 1' };
+  }
+  if (present(reasoning) && (typeof reasoning !== 'string' || reasoning.length > MAX_REASONING_LENGTH)) {
+    return { error: `reasoning must be a string of at most ${MAX_REASONING_LENGTH} characters` };
+  }
+  if (present(model) && (typeof model !== 'string' || !model.trim() || model.length > MAX_MODEL_LENGTH)) {
+    return { error: `model must be a non-empty string of at most ${MAX_MODEL_LENGTH} characters` };
+  }
+  if (present(latency_ms) && !(typeof latency_ms === 'number' && latency_ms >= 0 && isFinite(latency_ms))) {
+    return { error: 'latency_ms must be a non-negative number' };
+  }
+
+  return {
+    decision: {
+      decision: present(decision) ? decision : parsedAction,
+      action: parsedAction,
+      asset_pair: present(asset_pair) ? String(asset_pair).toUpperCase() : null,
+      confidence: present(confidence) ? confidence : null,
+      reasoning: present(reasoning) ? reasoning : null,
+      model: present(model) ? model.trim() : null,
+      latency_ms: present(latency_ms) ? Math.round(latency_ms) : null
+    }
+  };
+}
+
+/**
+ * Fill metrics.action for rows saved before it existed, from their decision text.
+ * Rows whose text has no action word keep a NULL action (reported as unclassified).
+ */
+function backfillActions(db) {
+  const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+  const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve(this.changes);
+    });
+  });
+
+  return all('SELECT DISTINCT decision FROM metrics WHERE action IS NULL').then(async (rows) => {
+    let updated = 0;
+    for (const { decision } of rows) {
+      const action = actionFromText(decision);
+      if (action) {
+        updated += await run('UPDATE metrics SET action = ? WHERE action IS NULL AND decision = ?', [action, decision]);
+      }
+    }
+    if (updated > 0) {
+      console.log(`✅ Classified ${updated} existing metrics row(s) by action`);
+    }
+    return updated;
+  });
+}
+
+module.exports = {
+  ACTIONS,
+  ACTION_LABELS,
+  actionFromText,
+  actionOf,
+  decisionLabel,
+  parseDecision,
+  backfillActions
+};
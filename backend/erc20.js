@@ -0,0 +1,132 @@
+const { ethers } = require('ethers');
+
+// ERC-20 helpers shared by the treasury and agent controls.
+// Tokens are referred to as "native" (SOMI) or by ERC-20 address; AGENT_TOKENS gives addresses a symbol.
+
+const NATIVE_TOKEN = 'native';
+const NATIVE_SYMBOL = 'SOMI';
+const NATIVE_DECIMALS = 18;
+
+// ERC-20 ABI (subset: balances, metadata and transfer)
+const ERC20_ABI = [
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "account",
+        "type": "address"
+      }
+    ],
+    "name": "balanceOf",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "decimals",
+    "outputs": [
+      {
+        "internalType": "uint8",
+        "name": "",
+        "type": "uint8"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "symbol",
+    "outputs": [
+      {
+        "internalType": "string",
+        "name": "",
+        "type": "string"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "to",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "amount",
+        "type": "uint256"
+      }
+    ],
+    "name": "transfer",
+    "outputs": [
+      {
+        "internalType": "bool",
+        "name": "",
+        "type": "bool"
+      }
+    ],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  }
+];
+
+const erc20Interface = new ethers.Interface(ERC20_ABI);
+
+// AGENT_TOKENS="NIA=0x...,USDT=0x..." -> [{ symbol, address }]; bad entries are skipped with a warning
+function tokensFromEnv(env = process.env) {
+  const tokens = [];
+  for (const entry of String(env.AGENT_TOKENS || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const [symbol, address] = entry.split('=').map(part => part && part.trim());
+    if (!symbol || !address || !ethers.isAddress(address)) {
+      console.warn(`⚠️  Ignoring AGENT_TOKENS entry "${entry}" (expected SYMBOL=0xAddress)`);
+      continue;
+    }
+    tokens.push({ symbol, address: ethers.getAddress(address) });
+  }
+  return tokens;
+}
+
+/**
+ * Token metadata (symbol, decimals) read once per address.
+ * `getProvider` is called lazily so the RPC doesn't have to be up when the backend starts.
+ */
+function createTokenMetadata(getProvider) {
+  const cache = new Map();
+
+  // Resolves to { token, symbol, decimals }; token is "native" or the checksummed address
+  async function info(token) {
+    if (!token || token === NATIVE_TOKEN || token === ethers.ZeroAddress) {
+      return { token: NATIVE_TOKEN, symbol: NATIVE_SYMBOL, decimals: NATIVE_DECIMALS };
+    }
+    const address = ethers.getAddress(token);
+    if (!cache.has(address)) {
+      const erc20 = new ethers.Contract(address, ERC20_ABI, getProvider());
+      const decimals = Number(await erc20.decimals());
+      const symbol = await erc20.symbol().catch(() => null);
+      cache.set(address, { token: address, symbol, decimals });
+    }
+    return cache.get(address);
+  }
+
+  return { info };
+}
+
+module.exports = {
+  ERC20_ABI,
+  erc20Interface,
+  tokensFromEnv,
+  createTokenMetadata,
+  NATIVE_TOKEN,
+  NATIVE_SYMBOL,
+  NATIVE_DECIMALS
+};
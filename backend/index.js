@@ -1,13 +1,27 @@
 require('dotenv').config();
 const express = require('express');
 const { ethers } = require('ethers');
-const SimpleCrypto = require('simple-crypto-js').default;
-const { getDatabase } = require('./database.js');
+const { getDatabase, databaseReady } = require('./database.js');
+const { createDeploymentPipeline } = require('./pipeline.js');
+const { loadManifest, resolveInterpreter, checkSecrets, matchesPattern } = require('./manifest.js');
+const { keyringFromEnv, isUsingDefaultKey } = require('./keyring.js');
+const { createAuth, repoFullNameFromUrl } = require('./auth.js');
+const { createLogStream, parseLogFilter, metricEvent, LEVELS } = require('./log-stream.js');
+const { createLogStore, retentionDaysFromEnv, parseTimeParam, MAX_RETENTION_DAYS } = require('./log-store.js');
+const { createAgentRegistry, branchHashFor } = require('./agent-registry.js');
+const { createRecovery } = require('./recovery.js');
+const { createAgentControls, parseControlsUpdate, CONTROLS_VERSION } = require('./agent-controls.js');
+const { createTreasury } = require('./treasury.js');
+const { createPnl } = require('./pnl.js');
+const { parseDecision, decisionLabel, ACTIONS } = require('./decisions.js');
+const { createCustomMetrics, parseMetricPoints, parseMetricQuery } = require('./custom-metrics.js');
+const { createMetricsQuery, parsePageQuery, parseBucketQuery } = require('./metrics-query.js');
 const pm2 = require('pm2');
 const shell = require('shelljs');
 const path = require('path');
 const fs = require('fs');
 const axios = require('axios');
+const nodeCrypto = require('crypto');
 
 // Safe PM2 wrapper to prevent crashes
 const safePm2 = {
@@ -146,7 +160,7 @@ const AGENTS_DIR = path.join(__dirname, 'agents');
 // Ensure this directory exists
 shell.mkdir('-p', AGENTS_DIR);
 
-// AgentFactory ABI
+// AgentFactory ABI (registerAgentWithMetadata / recordDeployment / AgentDeployed need the extended factory)
 const ABI = [
   {
     "anonymous": false,
@@ -210,9 +224,456 @@ const ABI = [
     ],
     "stateMutability": "nonpayable",
     "type": "function"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {
+        "indexed": true,
+        "internalType": "bytes32",
+        "name": "branchHash",
+        "type": "bytes32"
+      },
+      {
+        "indexed": true,
+        "internalType": "address",
+        "name": "agentAddress",
+        "type": "address"
+      },
+      {
+        "indexed": false,
+        "internalType": "string",
+        "name": "repoUrl",
+        "type": "string"
+      },
+      {
+        "indexed": false,
+        "internalType": "string",
+        "name": "branchName",
+        "type": "string"
+      },
+      {
+        "indexed": false,
+        "internalType": "string",
+        "name": "commitSha",
+        "type": "string"
+      }
+    ],
+    "name": "AgentDeployed",
+    "type": "event"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "",
+        "type": "bytes32"
+      }
+    ],
+    "name": "metadata",
+    "outputs": [
+      {
+        "internalType": "string",
+        "name": "repoUrl",
+        "type": "string"
+      },
+      {
+        "internalType": "string",
+        "name": "branchName",
+        "type": "string"
+      },
+      {
+        "internalType": "string",
+        "name": "commitSha",
+        "type": "string"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "_branchHash",
+        "type": "bytes32"
+      },
+      {
+        "internalType": "string",
+        "name": "_repoUrl",
+        "type": "string"
+      },
+      {
+        "internalType": "string",
+        "name": "_branchName",
+        "type": "string"
+      },
+      {
+        "internalType": "string",
+        "name": "_commitSha",
+        "type": "string"
+      }
+    ],
+    "name": "recordDeployment",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bytes32",
+        "name": "_branchHash",
+        "type": "bytes32"
+      },
+      {
+        "internalType": "string",
+        "name": "_repoUrl",
+        "type": "string"
+      },
+      {
+        "internalType": "string",
+        "name": "_branchName",
+        "type": "string"
+      },
+      {
+        "internalType": "string",
+        "name": "_commitSha",
+        "type": "string"
+      },
+      {
+        "internalType": "bool",
+        "name": "_storeMetadata",
+        "type": "bool"
+      }
+    ],
+    "name": "registerAgentWithMetadata",
+    "outputs": [
+      {
+        "internalType": "address",
+        "name": "agentAddress",
+        "type": "address"
+      }
+    ],
+    "stateMutability": "nonpayable",
+    "type": "function"
   }
 ];
 
+// Agent contract ABI (subset used by the backend, which is the owner of every agent it registers).
+// Everything after execute needs Agent VERSION 2 (allowlist, spending limits, pause).
+const AGENT_ABI = [
+  {
+    "inputs": [],
+    "name": "owner",
+    "outputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address payable",
+        "name": "_to",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_amount",
+        "type": "uint256"
+      }
+    ],
+    "name": "withdraw",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "_target",
+        "type": "address"
+      },
+      {
+        "internalType": "bytes",
+        "name": "_data",
+        "type": "bytes"
+      }
+    ],
+    "name": "execute",
+    "outputs": [
+      {
+        "internalType": "bytes",
+        "name": "response",
+        "type": "bytes"
+      }
+    ],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "VERSION",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "_token",
+        "type": "address"
+      },
+      {
+        "internalType": "address",
+        "name": "_to",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_amount",
+        "type": "uint256"
+      }
+    ],
+    "name": "withdrawToken",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "paused",
+    "outputs": [
+      {
+        "internalType": "bool",
+        "name": "",
+        "type": "bool"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "pause",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "unpause",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "allowlistEnabled",
+    "outputs": [
+      {
+        "internalType": "bool",
+        "name": "",
+        "type": "bool"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "bool",
+        "name": "_enabled",
+        "type": "bool"
+      }
+    ],
+    "name": "setAllowlistEnabled",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "_target",
+        "type": "address"
+      },
+      {
+        "internalType": "bool",
+        "name": "_allowed",
+        "type": "bool"
+      }
+    ],
+    "name": "setTargetAllowed",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "_target",
+        "type": "address"
+      },
+      {
+        "internalType": "bytes4",
+        "name": "_selector",
+        "type": "bytes4"
+      },
+      {
+        "internalType": "bool",
+        "name": "_allowed",
+        "type": "bool"
+      }
+    ],
+    "name": "setSelectorAllowed",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "getAllowedTargets",
+    "outputs": [
+      {
+        "internalType": "address[]",
+        "name": "",
+        "type": "address[]"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "_target",
+        "type": "address"
+      }
+    ],
+    "name": "getAllowedSelectors",
+    "outputs": [
+      {
+        "internalType": "bytes4[]",
+        "name": "",
+        "type": "bytes4[]"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "_token",
+        "type": "address"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_cap",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "_period",
+        "type": "uint256"
+      }
+    ],
+    "name": "setSpendingLimit",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "getLimitedTokens",
+    "outputs": [
+      {
+        "internalType": "address[]",
+        "name": "",
+        "type": "address[]"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "",
+        "type": "address"
+      }
+    ],
+    "name": "spendingLimits",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "cap",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "period",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "spent",
+        "type": "uint256"
+      },
+      {
+        "internalType": "uint256",
+        "name": "periodStart",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {
+        "internalType": "address",
+        "name": "_token",
+        "type": "address"
+      }
+    ],
+    "name": "remainingAllowance",
+    "outputs": [
+      {
+        "internalType": "uint256",
+        "name": "",
+        "type": "uint256"
+      }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  }
+];
+
+// Where to send an agent's remaining native balance when its branch is deleted (optional)
+const AGENT_SWEEP_ADDRESS = process.env.AGENT_SWEEP_ADDRESS || null;
+
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3005;
@@ -222,7 +683,8 @@ const BACKEND_URL = process.env.BACKEND_URL || `http://localhost:${PORT}`;
 let provider, wallet, agentFactoryContract;
 
 function getEthersSetup() {
-  if (!provider) {
+  // Check the contract rather than the provider: a failed earlier attempt leaves provider set but nothing else
+  if (!agentFactoryContract) {
     const rpcUrl = process.env.SOMNIA_RPC_URL || 'https://dream-rpc.somnia.network';
     provider = new ethers.JsonRpcProvider(rpcUrl);
     
@@ -249,7 +711,17 @@ function getEthersSetup() {
 }
 
 // Crypto setup
-const crypto = new SimpleCrypto(process.env.MASTER_SECRET_KEY || 'default-key-change-me');
+// Refuse to encrypt anything with the well-known default key unless explicitly running in dev
+if (isUsingDefaultKey()) {
+  if (process.env.ALLOW_DEFAULT_MASTER_KEY !== 'true') {
+    console.error('❌ MASTER_SECRET_KEY is not set (or is the default). Set a strong key, or ALLOW_DEFAULT_MASTER_KEY=true for local development.');
+    process.exit(1);
+  }
+  console.warn('⚠️  Using the default MASTER_SECRET_KEY (ALLOW_DEFAULT_MASTER_KEY=true) - never do this in production');
+}
+// Keyring: encrypts with MASTER_SECRET_KEY, still decrypts values written under MASTER_SECRET_KEY_PREVIOUS
+const crypto = keyringFromEnv();
+console.log(`🔑 Master key ${crypto.currentKeyId} (${crypto.keyIds.length - 1} previous key(s) loaded)`);
 
 // Try to initialize ethers on startup, but don't crash if RPC is unavailable
 try {
@@ -259,8 +731,69 @@ try {
   console.warn('   Server will start but agent deployment will fail until RPC is available.');
 }
 
+// Secrets that apply to an agent: repo-level rows first, branch-level rows override them.
+// Each row carries `source` ('repo' | 'branch') and `overrides_repo` for branch rows shadowing a repo value.
+function getAgentSecretRows(branch_hash, repo_url) {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT key, encrypted_value, created_at, updated_at, 'repo' AS source FROM repo_secrets WHERE repo_url = ?
+       UNION ALL
+       SELECT key, encrypted_value, created_at, updated_at, 'branch' AS source FROM secrets WHERE branch_hash = ?`,
+      [repo_url || '', branch_hash],
+      (err, rows) => {
+        if (err) return reject(err);
+        const merged = new Map();
+        rows.forEach(row => {
+          const existing = merged.get(row.key);
+          if (!existing || row.source === 'branch') {
+            merged.set(row.key, { ...row, overrides_repo: !!existing });
+          }
+        });
+        resolve(Array.from(merged.values()).sort((a, b) => a.key.localeCompare(b.key)));
+      }
+    );
+  });
+}
+
+// Per-agent ingestion token for POST /api/metrics, injected into the agent as AGENT_INGEST_TOKEN.
+// Stored as a hash (to check posts) and encrypted (to hand to the agent on every start).
+function hashIngestToken(token) {
+  return nodeCrypto.createHash('sha256').update(token).digest('hex');
+}
+
+function saveIngestToken(branch_hash) {
+  const token = 'ing_' + nodeCrypto.randomBytes(32).toString('hex');
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO agent_ingest_tokens (branch_hash, token_hash, encrypted_token) VALUES (?, ?, ?)
+       ON CONFLICT(branch_hash) DO UPDATE SET
+         token_hash = excluded.token_hash,
+         encrypted_token = excluded.encrypted_token,
+         rotated_at = CURRENT_TIMESTAMP`,
+      [branch_hash, hashIngestToken(token), crypto.encrypt(token)],
+      (err) => err ? reject(err) : resolve(token)
+    );
+  });
+}
+
+function getOrCreateIngestToken(branch_hash) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT encrypted_token FROM agent_ingest_tokens WHERE branch_hash = ?', [branch_hash], (err, row) => {
+      if (err) return reject(err);
+      if (row) {
+        try {
+          return resolve(crypto.decrypt(row.encrypted_token));
+        } catch (decryptError) {
+          console.warn(`[Ingest] Could not decrypt token for ${branch_hash}, issuing a new one: ${decryptError.message}`);
+        }
+      }
+      saveIngestToken(branch_hash).then(resolve, reject);
+    });
+  });
+}
+
 // Helper function to fetch/decrypt secrets and start/reload pm2
-async function startOrReloadAgent(agent, agentPath, branch_hash = null) {
+async function startOrReloadAgent(agent, agentPath, branch_hash = null, deployment_id = null) {
   // Get branch_hash from agent object or calculate it
   if (!branch_hash && agent.branch_hash) {
     branch_hash = agent.branch_hash;
@@ -275,9 +808,14 @@ async function startOrReloadAgent(agent, agentPath, branch_hash = null) {
     }
   }
 
+  // Entry point, interpreter and env defaults come from the agent's deploy manifest (somnia.json / .gitagent.json)
+  const manifest = loadManifest(agentPath);
+
   // 1. Fetch and decrypt secrets
   const env = await new Promise((resolve, reject) => {
     const secrets = {
+      // Manifest env defaults first - everything below (and stored secrets) overrides them
+      ...manifest.env,
       AGENT_CONTRACT_ADDRESS: agent.agent_address,
       REPO_URL: agent.repo_url || '',
       BRANCH_NAME: agent.branch_name || 'main',
@@ -309,11 +847,10 @@ async function startOrReloadAgent(agent, agentPath, branch_hash = null) {
       return reject(new Error('branch_hash not available'));
     }
     
-    db.all('SELECT key, encrypted_value FROM secrets WHERE branch_hash = ?', [agentBranchHash], async (err, rows) => {
-      if (err) return reject(err);
-      
+    // Repo-level secrets are merged in under the branch's own values
+    getAgentSecretRows(agentBranchHash, agent.repo_url).then(async (rows) => {
       // If no secrets found by branch_hash, try to update agent_id for existing secrets (backward compatibility)
-      if (rows && rows.length > 0) {
+      if (rows.some(row => row.source === 'branch')) {
         // Update agent_id to current agent for backward compatibility
         await new Promise((resolve, reject) => {
           db.run('UPDATE secrets SET agent_id = ? WHERE branch_hash = ? AND (agent_id IS NULL OR agent_id != ?)', 
@@ -324,13 +861,16 @@ async function startOrReloadAgent(agent, agentPath, branch_hash = null) {
             }
           );
         });
-      } else {
+      } else if (rows.length === 0) {
         console.log(`[startOrReloadAgent] No secrets found for branch_hash ${agentBranchHash}`);
       }
       
       rows.forEach(row => {
         secrets[row.key] = crypto.decrypt(row.encrypted_value);
       });
+
+      // Set after stored secrets so it can't be overridden - POST /api/metrics only accepts this token
+      secrets.AGENT_INGEST_TOKEN = await getOrCreateIngestToken(agentBranchHash);
       
       // Ensure repo_url and branch_name are always set (from agent object if not in secrets)
       if (!secrets.REPO_URL && agent.repo_url) {
@@ -343,45 +883,47 @@ async function startOrReloadAgent(agent, agentPath, branch_hash = null) {
       console.log(`[startOrReloadAgent] Final env keys: ${Object.keys(secrets).join(', ')}`);
       console.log(`[startOrReloadAgent] REPO_URL: ${secrets.REPO_URL || '❌ EMPTY - AGENT WILL NOT SEND METRICS'}`);
       console.log(`[startOrReloadAgent] BRANCH_NAME: ${secrets.BRANCH_NAME || '❌ EMPTY'}`);
-      console.log(`[startOrReloadAgent] GROQ_API_KEY: ${secrets.GROQ_API_KEY ? '✅ SET' : '❌ NOT SET - AGENT WILL CRASH'}`);
-      console.log(`[startOrReloadAgent] AGENT_PRIVATE_KEY: ${secrets.AGENT_PRIVATE_KEY ? '✅ SET' : '❌ NOT SET'}`);
       console.log(`[startOrReloadAgent] Agent ID: ${agent.id}, Branch: ${agent.branch_name}`);
       resolve(secrets);
-    });
+    }).catch(reject);
+  });
+
+  // Refuse to start an agent whose declared secrets are missing or malformed - it would only crash-loop
+  const secretCheck = checkSecrets(manifest, env);
+  secretCheck.status.forEach((secret) => {
+    const state = !secret.set ? (secret.required ? '❌ NOT SET' : '○ not set') : (secret.valid ? '✅ SET' : '❌ INVALID');
+    console.log(`[startOrReloadAgent] ${secret.key}: ${state}`);
   });
+  if (secretCheck.missing.length > 0 || secretCheck.invalid.length > 0) {
+    const problems = [];
+    if (secretCheck.missing.length > 0) problems.push(`missing required secrets: ${secretCheck.missing.join(', ')}`);
+    if (secretCheck.invalid.length > 0) problems.push(`invalid secrets: ${secretCheck.invalid.join(', ')}`);
+    const secretsError = new Error(`Refusing to start ${agent.branch_name || branch_hash}: ${problems.join('; ')}`);
+    secretsError.agentStatus = 'missing_secrets';
+    throw secretsError;
+  }
 
   // 2. Define PM2 app configuration
   // CRITICAL: env is already the resolved secrets object (not a Promise) because of 'await' on line 279
   // Use a safe name (remove 0x prefix and use first 16 chars)
   const pm2Name = branch_hash.replace('0x', '').substring(0, 16);
   
-  // Use local ts-node from agent's node_modules (resolve symlink to get real path)
-  const tsNodeBin = path.join(agentPath, 'node_modules', '.bin', 'ts-node');
-  let tsNodePath = tsNodeBin;
+  // Interpreter from the manifest (local ts-node from the agent's node_modules by default)
+  const interpreter = resolveInterpreter(manifest, agentPath);
   
-  if (fs.existsSync(tsNodeBin)) {
-    try {
-      // Resolve symlink to get actual path
-      tsNodePath = fs.realpathSync(tsNodeBin);
-    } catch (e) {
-      // If resolution fails, use the symlink path
-      tsNodePath = tsNodeBin;
-    }
-  } else {
-    // Fallback to global ts-node if local doesn't exist
-    tsNodePath = 'ts-node';
-  }
-  
-  // CRITICAL: env is the resolved secrets object (awaited on line 279), so env: env is correct
+  // CRITICAL: env is the resolved secrets object (awaited above), so env: env is correct
   const pm2App = {
     name: pm2Name,
-    script: path.join(agentPath, 'agent.ts'),
+    script: manifest.entryPath,
     env: env,
     exec_mode: 'fork',
-    interpreter: tsNodePath, // Use ts-node directly (absolute path)
+    interpreter: interpreter,
     cwd: agentPath, // Set working directory to agent path (so node_modules are found)
   };
 
+  // Console output from here on belongs to this deployment (agent_logs.deployment_id)
+  logStore.setDeployment(branch_hash, deployment_id);
+
   // 3. Connect to PM2 and start/reload
   return new Promise((resolve, reject) => {
     safePm2.connect((err) => {
@@ -442,18 +984,18 @@ async function startOrReloadAgent(agent, agentPath, branch_hash = null) {
             }
           });
         } else {
-          // App not found, check if agent directory exists first
-          const agentTsPath = path.join(agentPath, 'agent.ts');
-          if (!fs.existsSync(agentTsPath)) {
+          // App not found, check if the entry point exists first
+          const entryPath = manifest.entryPath;
+          if (!fs.existsSync(entryPath)) {
             safePm2.disconnect();
-            const errorMsg = `Agent file not found: ${agentTsPath}`;
+            const errorMsg = `Agent file not found: ${entryPath}`;
             console.error(`❌ ${errorMsg}`);
             db.run('UPDATE agents SET status = ? WHERE id = ?', ['error', agent.id]);
             return reject(new Error(errorMsg));
           }
           
           // App not found, start it
-          console.log(`[PM2] Starting agent ${agent.id} (${agent.branch_name}) at ${agentTsPath}`);
+          console.log(`[PM2] Starting agent ${agent.id} (${agent.branch_name}) at ${entryPath}`);
           safePm2.start(pm2App, (startErr, proc) => {
             safePm2.disconnect();
             if (startErr) {
@@ -486,6 +1028,105 @@ async function startOrReloadAgent(agent, agentPath, branch_hash = null) {
   });
 }
 
+// Helper function to stop and remove an agent's PM2 process (resolves even if it was not running)
+function stopAgentProcess(branch_hash) {
+  const pm2Name = branch_hash.replace('0x', '').substring(0, 16);
+  return new Promise((resolve) => {
+    safePm2.connect((err) => {
+      if (err) {
+        console.warn(`[PM2] Could not connect to stop ${pm2Name}:`, err.message);
+        return resolve(false);
+      }
+      safePm2.list((listErr, processList) => {
+        if (listErr || !processList.find(p => p.name === pm2Name)) {
+          safePm2.disconnect();
+          return resolve(false);
+        }
+        safePm2.delete(pm2Name, (deleteErr) => {
+          safePm2.disconnect();
+          resolve(!deleteErr);
+        });
+      });
+    });
+  });
+}
+
+// Send the agent contract's remaining native balance to `to` via Agent.withdraw (backend wallet is the owner)
+async function sweepAgentBalance(agentAddress, to) {
+  const { provider: rpcProvider, wallet: backendWallet } = getEthersSetup();
+  const balance = await rpcProvider.getBalance(agentAddress);
+  if (balance === 0n) {
+    return { swept: false, amount: '0' };
+  }
+  const agentContract = new ethers.Contract(agentAddress, AGENT_ABI, backendWallet);
+  const tx = await agentContract.withdraw(to, balance);
+  await tx.wait();
+  return { swept: true, amount: ethers.formatEther(balance), tx_hash: tx.hash };
+}
+
+// Tear down an agent whose branch was deleted:
+// stop PM2, archive the working copy, mark the row archived, optionally sweep the contract balance
+async function teardownAgent(branch_hash, branch_name) {
+  const agent = await new Promise((resolve, reject) => {
+    db.get('SELECT * FROM agents WHERE branch_hash = ?', [branch_hash], (err, row) => {
+      if (err) return reject(err);
+      resolve(row);
+    });
+  });
+
+  // 1. Stop the PM2 process so the orphaned strategy stops trading
+  const stopped = await stopAgentProcess(branch_hash);
+  console.log(`[Teardown] ${branch_name}: PM2 process ${stopped ? 'stopped and removed' : 'was not running'}`);
+
+  // 2. Move the working copy out of the way (kept for post-mortems, not deleted)
+  const agentPath = path.join(AGENTS_DIR, branch_hash);
+  let archivePath = null;
+  if (fs.existsSync(agentPath)) {
+    const archiveDir = path.join(AGENTS_DIR, '.archive');
+    shell.mkdir('-p', archiveDir);
+    archivePath = path.join(archiveDir, `${branch_hash}-${Date.now()}`);
+    shell.mv(agentPath, archivePath);
+    console.log(`[Teardown] ${branch_name}: working copy archived to ${archivePath}`);
+  }
+
+  // 3. Tell the registry, so recovery after a database loss doesn't redeploy a deleted branch
+  try {
+    agentRegistry.markArchived(branch_hash);
+  } catch (registryError) {
+    console.error(`[Teardown] ⚠️ ${branch_name}: could not mark the agent archived in the registry: ${registryError.message}`);
+  }
+
+  if (!agent) {
+    console.log(`[Teardown] ${branch_name}: no agent record in database`);
+    return { archived: false, archive_path: archivePath };
+  }
+
+  // 4. Mark the DB row archived (keeps metrics and secrets for history)
+  await new Promise((resolve, reject) => {
+    db.run('UPDATE agents SET status = ?, pid = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?', ['archived', agent.id], (err) => {
+      if (err) return reject(err);
+      resolve();
+    });
+  });
+  console.log(`[Teardown] ${branch_name}: agent ${agent.id} marked as archived`);
+
+  // 5. Optionally sweep the remaining balance back to the configured address
+  let sweep = null;
+  if (AGENT_SWEEP_ADDRESS && agent.agent_address) {
+    try {
+      sweep = await sweepAgentBalance(agent.agent_address, AGENT_SWEEP_ADDRESS);
+      if (sweep.swept) {
+        console.log(`[Teardown] ${branch_name}: swept ${sweep.amount} SOMI to ${AGENT_SWEEP_ADDRESS} (tx ${sweep.tx_hash})`);
+      }
+    } catch (sweepError) {
+      console.error(`[Teardown] ⚠️ ${branch_name}: failed to sweep balance: ${sweepError.message}`);
+      sweep = { swept: false, error: sweepError.message };
+    }
+  }
+
+  return { archived: true, agent_id: agent.id, archive_path: archivePath, sweep };
+}
+
 // Helper function to get PM2 status
 function getPm2Status(branchHash) {
   return new Promise((resolve) => {
@@ -507,13 +1148,70 @@ function getPm2Status(branchHash) {
   });
 }
 
-// Middleware
-app.use(cors()); // Enable CORS for dashboard
-app.use(express.json({ limit: '10mb' })); // Parse JSON bodies (critical for webhooks)
-app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
+// Middleware
+app.use(cors()); // Enable CORS for dashboard
+// Keep the raw request bytes around - GitHub signs the exact payload, not the re-serialized JSON
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ limit: '10mb', verify: captureRawBody })); // Parse JSON bodies (critical for webhooks)
+app.use(express.urlencoded({ extended: true, verify: captureRawBody })); // Parse URL-encoded bodies
+
+// Get database instance
+const db = getDatabase();
+
+// branch_hash -> repo/branch mapping kept outside the DB (AGENT_REGISTRY_FILE), read by recovery
+const agentRegistry = createAgentRegistry();
+
+// Single deployment pipeline - every clone/install/register/start goes through its job queue
+const deploymentPipeline = createDeploymentPipeline({
+  db,
+  agentsDir: AGENTS_DIR,
+  getEthersSetup,
+  startOrReloadAgent,
+  teardownAgent,
+  agentRegistry
+});
+
+// Pause, allowlist and spending limits of Agent contracts (VERSION 2)
+const agentControls = createAgentControls({ getEthersSetup, agentAbi: AGENT_ABI });
+
+// Agent contract balances for SOMI + AGENT_TOKENS, funding and withdrawals
+const treasury = createTreasury({ getEthersSetup, agentAbi: AGENT_ABI, agentVersion: agentControls.version });
+
+// Position and PnL replayed from the metrics trade rows
+const pnl = createPnl({ db });
+
+// Counters, gauges and histograms agents define themselves (POST /api/metrics/custom)
+const customMetrics = createCustomMetrics({ db });
+
+// Paged decisions/trades and OHLC buckets from the metrics table
+const metricsQuery = createMetricsQuery({ db });
+
+// Re-creates agents found in AgentRegistered events but missing from the DB
+const recovery = createRecovery({ db, registry: agentRegistry, getEthersSetup, deploymentPipeline, agentsDir: AGENTS_DIR });
+
+// API authentication - tokens come from the GitHub OAuth flow, write access is checked per repository
+const auth = createAuth({ db, fetchRepoPermissions: fetchGithubRepoPermissions });
+if (auth.authDisabled) {
+  console.warn('⚠️  API authentication is disabled (ALLOW_UNAUTHENTICATED_API=true) - never do this in production');
+}
+
+// Live console output and new metrics for the SSE log stream
+const logStream = createLogStream();
 
-// Get database instance
-const db = getDatabase();
+// Console output stored in agent_logs (AGENT_LOG_CAPTURE=false turns it off)
+const logStore = createLogStore({ db, logStream, defaultRetentionDays: retentionDaysFromEnv() });
+
+// Which repository a request targets, for auth.requireRepoAccess
+function agentRepoUrl(sql, param) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, [param], (err, row) => err ? reject(err) : resolve(row ? row.repo_url : null));
+  });
+}
+const repoFromBody = (req) => req.body.repo_url;
+const repoFromBranchHash = (req) => agentRepoUrl('SELECT repo_url FROM agents WHERE branch_hash = ?', req.params.branch_hash);
+const repoFromAgentId = (req) => agentRepoUrl('SELECT repo_url FROM agents WHERE id = ?', req.params.id);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -527,7 +1225,180 @@ app.get('/health', (req, res) => {
 // GitHub OAuth endpoints (Vercel-like automatic webhook setup)
 const GITHUB_CLIENT_ID = process.env.GITHUB_CLIENT_ID;
 const GITHUB_CLIENT_SECRET = process.env.GITHUB_CLIENT_SECRET;
-const WEBHOOK_SECRET = process.env.GITHUB_WEBHOOK_SECRET || 'gitagent-webhook-secret';
+// No default: a well-known fallback would let anyone sign deliveries for repos without their own secret
+const WEBHOOK_SECRET = process.env.GITHUB_WEBHOOK_SECRET || null;
+// Local development only: accept webhooks that can't be verified - no X-Hub-Signature-256, or no secret to check it against
+const ALLOW_UNSIGNED_WEBHOOKS = process.env.ALLOW_UNSIGNED_WEBHOOKS === 'true';
+if (!WEBHOOK_SECRET) {
+  if (ALLOW_UNSIGNED_WEBHOOKS) {
+    console.warn('⚠️  GITHUB_WEBHOOK_SECRET is not set - accepting unverified webhooks (ALLOW_UNSIGNED_WEBHOOKS=true), never do this in production');
+  } else {
+    console.warn('⚠️  GITHUB_WEBHOOK_SECRET is not set - webhooks are only accepted from repos connected through /auth/github');
+  }
+}
+
+const GITHUB_REPOS_PAGE_SIZE = 100;
+const MAX_GITHUB_REPO_PAGES = 50;
+
+// Every repository the OAuth user can see, with their `permissions` on each (GitHub pages /user/repos)
+async function listGithubRepos(access_token) {
+  const repos = [];
+  for (let page = 1; page <= MAX_GITHUB_REPO_PAGES; page++) {
+    const { data } = await axios.get('https://api.github.com/user/repos', {
+      headers: { 'Authorization': `token ${access_token}` },
+      params: { per_page: GITHUB_REPOS_PAGE_SIZE, page }
+    });
+    repos.push(...data);
+    if (data.length < GITHUB_REPOS_PAGE_SIZE) break;
+  }
+  return repos;
+}
+
+// A user's current permissions on "owner/repo", asked with the OAuth token saved at login (auth.js re-checks
+// stale permissions with this). null when they have no access or their token was revoked; throws when GitHub can't say.
+async function fetchGithubRepoPermissions(user_id, repoFullName) {
+  const row = await new Promise((resolve, reject) => {
+    db.get('SELECT encrypted_token FROM github_oauth WHERE user_id = ?', [user_id], (err, row) => err ? reject(err) : resolve(row));
+  });
+  if (!row || !row.encrypted_token) return null;
+  try {
+    const { data } = await axios.get(`https://api.github.com/repos/${repoFullName}`, {
+      headers: { 'Authorization': `token ${crypto.decrypt(row.encrypted_token)}` },
+      timeout: 10000
+    });
+    return data.permissions || null;
+  } catch (error) {
+    const status = error.response?.status;
+    const rateLimited = status === 403 && error.response.headers['x-ratelimit-remaining'] === '0';
+    if ((status === 401 || status === 403 || status === 404) && !rateLimited) return null;
+    throw error;
+  }
+}
+
+// Look up the per-repo webhook secret (created by the OAuth flow), if any
+function getRepoWebhookSecret(repoFullName) {
+  return new Promise((resolve, reject) => {
+    if (!repoFullName) return resolve(null);
+    db.get(
+      'SELECT encrypted_secret FROM webhook_secrets WHERE repo_full_name = ?',
+      [repoFullName.toLowerCase()],
+      (err, row) => {
+        if (err) return reject(err);
+        resolve(row ? crypto.decrypt(row.encrypted_secret) : null);
+      }
+    );
+  });
+}
+
+// Store (or replace) the per-repo webhook secret
+function saveRepoWebhookSecret(repoFullName, secret) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO webhook_secrets (repo_full_name, encrypted_secret) VALUES (?, ?)
+       ON CONFLICT(repo_full_name) DO UPDATE SET encrypted_secret = excluded.encrypted_secret, updated_at = CURRENT_TIMESTAMP`,
+      [repoFullName.toLowerCase(), crypto.encrypt(secret)],
+      (err) => err ? reject(err) : resolve()
+    );
+  });
+}
+
+// Split a git ref into its type and full name
+// refs/heads/feature/momentum -> { type: 'branch', name: 'feature/momentum' }
+// refs/tags/v1.0              -> { type: 'tag', name: 'v1.0' }
+function parseGitRef(ref) {
+  if (typeof ref !== 'string') return null;
+  if (ref.startsWith('refs/heads/')) {
+    const name = ref.slice('refs/heads/'.length);
+    return name ? { type: 'branch', name } : null;
+  }
+  if (ref.startsWith('refs/tags/')) {
+    const name = ref.slice('refs/tags/'.length);
+    return name ? { type: 'tag', name } : null;
+  }
+  return null;
+}
+
+// Constant-time comparison of X-Hub-Signature-256 against HMAC-SHA256(secret, rawBody)
+function isValidGithubSignature(rawBody, signature, secret) {
+  const expected = 'sha256=' + nodeCrypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  const expectedBuf = Buffer.from(expected);
+  const signatureBuf = Buffer.from(signature);
+  return expectedBuf.length === signatureBuf.length && nodeCrypto.timingSafeEqual(expectedBuf, signatureBuf);
+}
+
+// Middleware: reject webhook deliveries that are not signed with the repo's secret
+// Repos configured through OAuth get their own secret; everything else falls back to GITHUB_WEBHOOK_SECRET
+async function verifyGithubSignature(req, res, next) {
+  const signature = req.headers['x-hub-signature-256'];
+  const deliveryId = req.headers['x-github-delivery'];
+
+  if (!signature) {
+    if (ALLOW_UNSIGNED_WEBHOOKS) {
+      console.warn(`[Webhook] ⚠️ Accepting unsigned delivery ${deliveryId || ''} (ALLOW_UNSIGNED_WEBHOOKS=true)`);
+      return next();
+    }
+    console.error(`[Webhook] ❌ Rejected delivery ${deliveryId || ''}: missing X-Hub-Signature-256`);
+    return res.status(401).json({ error: 'Missing X-Hub-Signature-256 header. Configure the webhook with a secret.' });
+  }
+
+  if (!req.rawBody) {
+    return res.status(400).json({ error: 'Empty webhook payload' });
+  }
+
+  // The parsed payload is only used to pick which secret to check against - nothing else is trusted yet
+  let payload = req.body;
+  if (payload && typeof payload.payload === 'string') {
+    // application/x-www-form-urlencoded deliveries wrap the JSON in a "payload" field
+    try {
+      payload = JSON.parse(payload.payload);
+    } catch (parseErr) {
+      payload = {};
+    }
+  }
+  const repoFullName = payload?.repository?.full_name;
+
+  // The secret is picked by full_name but the push handler deploys clone_url: they must be the same repo
+  const cloneUrl = payload?.repository?.clone_url;
+  if (cloneUrl && repoFullNameFromUrl(cloneUrl) !== String(repoFullName || '').toLowerCase()) {
+    console.error(`[Webhook] ❌ Rejected delivery ${deliveryId || ''}: clone_url ${cloneUrl} does not belong to ${repoFullName || 'unknown repo'}`);
+    return res.status(400).json({ error: 'repository.clone_url does not match repository.full_name' });
+  }
+
+  try {
+    const repoSecret = await getRepoWebhookSecret(repoFullName);
+    const secret = repoSecret || WEBHOOK_SECRET;
+
+    if (!secret) {
+      if (ALLOW_UNSIGNED_WEBHOOKS) {
+        console.warn(`[Webhook] ⚠️ Accepting unverified delivery ${deliveryId || ''} for ${repoFullName || 'unknown repo'}: no webhook secret (ALLOW_UNSIGNED_WEBHOOKS=true)`);
+        req.body = payload;
+        return next();
+      }
+      console.error(`[Webhook] ❌ Rejected delivery ${deliveryId || ''} for ${repoFullName || 'unknown repo'}: no repo secret and GITHUB_WEBHOOK_SECRET is not set`);
+      return res.status(500).json({ error: 'Webhook secret is not configured for this repository' });
+    }
+
+    if (!isValidGithubSignature(req.rawBody, signature, secret)) {
+      console.error(`[Webhook] ❌ Rejected delivery ${deliveryId || ''} for ${repoFullName || 'unknown repo'}: signature mismatch (${repoSecret ? 'repo' : 'global'} secret)`);
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+
+    // Downstream handlers expect the JSON payload in req.body
+    req.body = payload;
+    next();
+  } catch (error) {
+    console.error('[Webhook] Error verifying signature:', error.message);
+    res.status(500).json({ error: 'Failed to verify webhook signature' });
+  }
+}
+
+// Shows a freshly issued API token on the OAuth result pages (it is never retrievable again)
+function apiTokenNotice(token) {
+  return `
+              <h2>🔑 Your API token</h2>
+              <p><code>${token}</code></p>
+              <p>It is shown only once. Use it with the CLI: <code>export SOMNIAPUSH_TOKEN=${token}</code></p>`;
+}
 
 // Initiate GitHub OAuth flow
 app.get('/auth/github', (req, res) => {
@@ -539,12 +1410,24 @@ app.get('/auth/github', (req, res) => {
   }
 
   const repoUrl = req.query.repo_url;
+
+  // `git somnia-agent login` listens on 127.0.0.1:<cli_port> and checks <cli_nonce> when the token comes back
+  let cli = null;
+  if (req.query.cli_port) {
+    const port = parseInt(req.query.cli_port, 10);
+    const nonce = String(req.query.cli_nonce || '');
+    if (!(port >= 1024 && port <= 65535) || !/^[a-f0-9]{16,64}$/.test(nonce)) {
+      return res.status(400).json({ error: 'Invalid cli_port or cli_nonce' });
+    }
+    cli = { port, nonce };
+  }
   
   // Store repo_url in state parameter (GitHub preserves state in callback)
-  // Format: state = base64(JSON.stringify({random: ..., repo_url: ...}))
+  // Format: state = base64(JSON.stringify({random: ..., repo_url: ..., cli: ...}))
   const stateData = {
-    random: require('crypto').randomBytes(32).toString('hex'),
-    repo_url: repoUrl || null
+    random: nodeCrypto.randomBytes(32).toString('hex'),
+    repo_url: repoUrl || null,
+    cli
   };
   const state = Buffer.from(JSON.stringify(stateData)).toString('base64');
   
@@ -572,12 +1455,14 @@ app.get('/auth/github/callback', async (req, res) => {
     return res.status(400).send('Missing authorization code. <a href="/auth/github">Try again</a>');
   }
   
-  // Decode repo_url from state parameter
+  // Decode repo_url (and CLI login details) from state parameter
   let repo_url = null;
+  let cliLogin = null;
   if (state) {
     try {
       const stateData = JSON.parse(Buffer.from(state, 'base64').toString('utf8'));
       repo_url = stateData.repo_url || null;
+      cliLogin = stateData.cli || null;
       console.log(`[OAuth] Decoded repo_url from state: ${repo_url}`);
     } catch (err) {
       console.warn(`[OAuth] Could not decode state, trying query param: ${err.message}`);
@@ -622,13 +1507,14 @@ app.get('/auth/github/callback', async (req, res) => {
     // If no repo specified, try to find user's repos
     if (!targetRepoUrl) {
       console.log(`[OAuth] No repo URL provided, trying to get user's repos...`);
-      const reposResponse = await axios.get('https://api.github.com/user/repos?per_page=5', {
-        headers: { 'Authorization': `token ${access_token}` }
-      });
+      const repos = await listGithubRepos(access_token);
       
-      if (reposResponse.data.length > 0) {
+      // The listing includes the user's permission on each repo - remember it for API ownership checks
+      await auth.syncRepoPermissions(userId, repos);
+
+      if (repos.length > 0) {
         // Use first repo as example
-        targetRepoUrl = reposResponse.data[0].clone_url;
+        targetRepoUrl = repos[0].clone_url;
         console.log(`[OAuth] Using first repo from user's account: ${targetRepoUrl}`);
       }
     }
@@ -640,7 +1526,8 @@ app.get('/auth/github/callback', async (req, res) => {
       db.run(
         `INSERT OR REPLACE INTO github_oauth (user_id, access_token, encrypted_token, repo_url, webhook_configured)
          VALUES (?, ?, ?, ?, ?)`,
-        [userId, access_token, encryptedToken, targetRepoUrl, 0],
+        // access_token column is kept for schema compatibility; only the encrypted copy is stored
+        [userId, '', encryptedToken, targetRepoUrl, 0],
         function(err) {
           if (err) return reject(err);
           resolve(this.lastID);
@@ -648,6 +1535,24 @@ app.get('/auth/github/callback', async (req, res) => {
       );
     });
 
+    // API token for the CLI and dashboard (only its hash is stored)
+    const apiToken = await auth.issueToken(userId, cliLogin ? 'cli' : 'oauth');
+
+    // CLI login: record permissions on every repo the user can see, then hand the token to the CLI's
+    // local listener. Webhook setup stays with the browser flow that `git somnia-agent init` prints.
+    if (cliLogin) {
+      const port = parseInt(cliLogin.port, 10);
+      if (!(port >= 1024 && port <= 65535)) {
+        return res.status(400).send('Invalid CLI login state. <a href="/">Home</a>');
+      }
+      const loginRepos = await listGithubRepos(access_token);
+      await auth.syncRepoPermissions(userId, loginRepos);
+      console.log(`[OAuth] CLI login for ${userId} (${loginRepos.length} repos)`);
+
+      const params = new URLSearchParams({ token: apiToken, user: userId, nonce: String(cliLogin.nonce || '') });
+      return res.redirect(`http://127.0.0.1:${port}/callback?${params}`);
+    }
+
     // Auto-configure webhook if repo URL is known
     if (targetRepoUrl) {
       console.log(`[OAuth] Starting webhook setup for repo: ${targetRepoUrl}`);
@@ -670,6 +1575,8 @@ app.get('/auth/github/callback', async (req, res) => {
               { headers: { 'Authorization': `token ${access_token}` } }
             );
             console.log(`[OAuth] ✅ Repo exists: ${repoName} (${repoInfo.data.private ? 'private' : 'public'})`);
+            // Ownership for mutating API routes comes from the permission GitHub reports here
+            await auth.recordRepoPermission(userId, repoInfo.data.full_name || `${owner}/${repoName}`, repoInfo.data.permissions);
           } catch (repoError) {
             if (repoError.response?.status === 404) {
               console.error(`[OAuth] ❌ Repo not found or no access: ${owner}/${repoName}`);
@@ -714,8 +1621,11 @@ app.get('/auth/github/callback', async (req, res) => {
                 <hr>
                 <p><strong>Manual Setup:</strong></p>
                 <p>Go to: <code>https://github.com/${owner}/${repoName}/settings/hooks</code></p>
-                <p>Add webhook URL: <code>https://somnia-git-agent.onrender.com/webhook/github/push</code></p>
+                <p>Add webhook URL: <code>${BACKEND_URL}/webhook/github/push</code></p>
+                <p>Content type: <code>application/json</code></p>
+                <p>Secret: the backend's <code>GITHUB_WEBHOOK_SECRET</code> (ask whoever runs the backend). Deliveries without it are rejected.</p>
                 <p>Events: Just the push event</p>
+                <p>See "Webhook Configuration" in <code>backend/README.md</code>.</p>
                 <hr>
                 <p><a href="/">Home</a> | <a href="/dashboard">Dashboard</a></p>
               `);
@@ -724,9 +1634,14 @@ app.get('/auth/github/callback', async (req, res) => {
           }
 
           const webhookUrl = `${BACKEND_URL}/webhook/github/push`;
-          const webhookExists = existingWebhooks.data.some(
+          const existingWebhook = existingWebhooks.data.find(
             hook => hook.config.url === webhookUrl
           );
+          const webhookExists = !!existingWebhook;
+
+          // Every repo gets its own signing secret so a leaked secret only exposes one repo
+          const repoFullName = repoInfo.data.full_name || `${owner}/${repoName}`;
+          const repoWebhookSecret = nodeCrypto.randomBytes(32).toString('hex');
 
           if (!webhookExists) {
             // Create webhook
@@ -740,12 +1655,13 @@ app.get('/auth/github/callback', async (req, res) => {
                   config: {
                     url: webhookUrl,
                     content_type: 'json',
-                    secret: WEBHOOK_SECRET,
+                    secret: repoWebhookSecret,
                     insecure_ssl: '0'
                   }
                 },
                 { headers: { 'Authorization': `token ${access_token}` } }
               );
+              await saveRepoWebhookSecret(repoFullName, repoWebhookSecret);
               console.log(`[OAuth] ✅ Webhook created successfully for ${owner}/${repoName}`);
             } catch (createError) {
               if (createError.response?.status === 403) {
@@ -757,7 +1673,9 @@ app.get('/auth/github/callback', async (req, res) => {
                   <p>Go to: <code>https://github.com/${owner}/${repoName}/settings/hooks</code></p>
                   <p>Add webhook URL: <code>${webhookUrl}</code></p>
                   <p>Content type: <code>application/json</code></p>
+                  <p>Secret: the backend's <code>GITHUB_WEBHOOK_SECRET</code> (ask whoever runs the backend). Deliveries without it are rejected.</p>
                   <p>Events: <code>Just the push event</code></p>
+                  <p>See "Webhook Configuration" in <code>backend/README.md</code>.</p>
                   <hr>
                   <p><a href="/">Home</a> | <a href="/dashboard">Dashboard</a></p>
                 `);
@@ -779,16 +1697,39 @@ app.get('/auth/github/callback', async (req, res) => {
               <p>GitHub OAuth authorized for <strong>${userId}</strong></p>
               <p>✅ Webhook automatically configured for <strong>${owner}/${repoName}</strong></p>
               <p>Now you can <code>git push</code> and deployments will trigger automatically!</p>
+              ${apiTokenNotice(apiToken)}
               <hr>
               <p><a href="/dashboard">View Dashboard</a> | <a href="/auth/github?repo_url=${encodeURIComponent(targetRepoUrl)}">Configure Another Repo</a></p>
             `);
             return;
           } else {
+            // Rotate the existing hook onto a per-repo secret (older hooks were created with the global one)
+            try {
+              await axios.patch(
+                `https://api.github.com/repos/${owner}/${repoName}/hooks/${existingWebhook.id}`,
+                {
+                  config: {
+                    url: webhookUrl,
+                    content_type: 'json',
+                    secret: repoWebhookSecret,
+                    insecure_ssl: '0'
+                  }
+                },
+                { headers: { 'Authorization': `token ${access_token}` } }
+              );
+              await saveRepoWebhookSecret(repoFullName, repoWebhookSecret);
+              console.log(`[OAuth] ✅ Rotated webhook secret for ${owner}/${repoName}`);
+            } catch (patchError) {
+              // Keep the existing hook (and its global secret) working rather than failing the whole flow
+              console.warn(`[OAuth] ⚠️ Could not rotate webhook secret for ${owner}/${repoName}: ${patchError.response?.data?.message || patchError.message}`);
+            }
+
             res.send(`
               <h1>✅ Successfully Connected!</h1>
               <p>GitHub OAuth authorized for <strong>${userId}</strong></p>
               <p>ℹ️ Webhook already exists for <strong>${owner}/${repoName}</strong></p>
               <p>You're all set! Just <code>git push</code> to deploy.</p>
+              ${apiTokenNotice(apiToken)}
               <hr>
               <p><a href="/dashboard">View Dashboard</a></p>
             `);
@@ -875,6 +1816,7 @@ app.get('/auth/github/callback', async (req, res) => {
       <p>GitHub connected for <strong>${userId}</strong></p>
       <p>To set up webhook for a specific repo, visit:</p>
       <p><code>/auth/github?repo_url=YOUR_REPO_URL</code></p>
+      ${apiTokenNotice(apiToken)}
       <hr>
       <p><a href="/dashboard">View Dashboard</a></p>
     `);
@@ -888,567 +1830,155 @@ app.get('/auth/github/callback', async (req, res) => {
   }
 });
 
-// Main GitHub webhook listener endpoint
-// This endpoint handles all events, but routes push events to deployment logic
-app.post('/webhook/github', (req, res) => {
-  console.log('--- GitHub Webhook Received ---');
-  
-  // Log the event type from GitHub headers
-  const eventType = req.headers['x-github-event'];
-  console.log(`Event Type: ${eventType}`);
-  
-  // Log the delivery ID for tracking
-  const deliveryId = req.headers['x-github-delivery'];
-  console.log(`Delivery ID: ${deliveryId}`);
-  
-  // Handle ping events (GitHub sends this when webhook is created/tested)
-  if (eventType === 'ping') {
-    console.log('✅ Webhook ping received - webhook is working correctly');
-    return res.status(200).json({ message: 'Webhook ping received', status: 'ok' });
+// Handle a GitHub push event: validate, then hand the branch to the deployment pipeline
+// Shared by /webhook/github and /webhook/github/push
+async function handlePushEvent(req, res) {
+  // Validate required fields
+  if (!req.body.repository || !req.body.repository.clone_url) {
+    console.error('Error: Missing repository information in webhook payload');
+    return res.status(400).send('Missing repository information');
   }
-  
-  // If it's a push event, forward to the push handler (which does deployment)
-  if (eventType === 'push') {
-    // Forward to push handler - we'll import the handler logic
-    // For now, we'll handle it inline by requiring the push handler logic
-    // But since it's in the same file, we can just call it directly
-    // Actually, let's just manually trigger the push logic here
-    
-    // Validate required fields
-    if (!req.body.repository || !req.body.repository.clone_url) {
-      console.error('Error: Missing repository information in webhook payload');
-      return res.status(400).send('Missing repository information');
-    }
-
-    if (!req.body.ref) {
-      console.error('Error: Missing ref information in webhook payload');
-      return res.status(400).send('Missing ref information');
-    }
-
-    const repo_url = req.body.repository.clone_url;
-    const branch_name = req.body.ref.split('/').pop();
-    
-    if (!branch_name) {
-      console.error('Error: Could not extract branch name from ref:', req.body.ref);
-      return res.status(400).send('Invalid ref format');
-    }
-
-    const branch_hash = ethers.id(repo_url + "/" + branch_name);
-    console.log(`Processing push for branch: ${branch_name} (${branch_hash})`);
-
-    // Respond immediately
-    res.status(200).send('Webhook received, processing...');
-
-    // Process asynchronously (same logic as /webhook/github/push)
-    db.get('SELECT * FROM agents WHERE branch_hash = ?', [branch_hash], async (err, agent) => {
-      if (err) {
-        console.error('Database error:', err);
-        return;
-      }
-
-      try {
-        const agentPath = path.join(AGENTS_DIR, branch_hash);
-        let agentAddress = null;
-        let isNewDeployment = false;
-
-        try {
-          const { agentFactoryContract: factoryContract } = getEthersSetup();
-          agentAddress = await factoryContract.agents(branch_hash);
-          
-          if (agentAddress && agentAddress !== ethers.ZeroAddress && agentAddress !== "0x0000000000000000000000000000000000000000") {
-            console.log(`Agent found on-chain at: ${agentAddress}`);
-            
-            if (agent) {
-              if (agent.agent_address !== agentAddress) {
-                db.run('UPDATE agents SET agent_address = ? WHERE id = ?', [agentAddress, agent.id]);
-                agent.agent_address = agentAddress;
-              }
-              
-              console.log(`Agent for ${branch_name} already exists. Pulling latest code...`);
-              shell.cd(agentPath);
-              // Reset any local changes and pull latest from the specific branch
-              shell.exec('git reset --hard HEAD');
-              shell.exec(`git fetch origin && git checkout ${branch_name} && git pull origin ${branch_name}`);
-              shell.exec('npm install');
-              
-              try {
-                await startOrReloadAgent(agent, agentPath, branch_hash);
-                console.log(`✅ Agent ${branch_name} updated successfully`);
-              } catch (pm2Error) {
-                console.error(`⚠️ Error starting/reloading agent: ${pm2Error.message}`);
-                console.error(`   Agent exists in DB (ID: ${agent.id}), but PM2 process failed to start.`);
-                console.error(`   You can manually start it or check PM2 logs.`);
-                db.run('UPDATE agents SET status = ? WHERE id = ?', ['error', agent.id]);
-              }
-              return;
-            } else {
-              // Agent exists on-chain but not in DB - create DB entry
-              console.log(`Agent exists on-chain but not in database. Creating DB entry...`);
-              
-              const newAgentId = await new Promise((resolve, reject) => {
-                db.run('INSERT INTO agents (repo_url, branch_name, branch_hash, agent_address, status) VALUES (?, ?, ?, ?, ?)',
-                  [repo_url, branch_name, branch_hash, agentAddress, 'deploying'],
-                  function (err) {
-                    if (err) return reject(err);
-                    resolve(this.lastID);
-                  });
-              });
-              
-              agent = { 
-                id: newAgentId, 
-                agent_address: agentAddress,
-                repo_url: repo_url,
-                branch_name: branch_name,
-                branch_hash: branch_hash
-              };
-              console.log(`Created DB entry for existing on-chain agent (ID: ${newAgentId})`);
-            }
-          }
-        } catch (checkError) {
-          console.warn('Could not check contract state:', checkError.message);
-        }
-
-        if (agent) {
-          // Check if directory exists, if not clone it
-          const dirExists = fs.existsSync(agentPath);
-          if (dirExists) {
-            console.log(`Agent for ${branch_name} already exists. Pulling latest code...`);
-            shell.cd(agentPath);
-            // Reset any local changes and pull latest from the specific branch
-            shell.exec('git reset --hard HEAD');
-            shell.exec(`git fetch origin && git checkout ${branch_name} && git pull origin ${branch_name}`);
-            shell.exec('npm install');
-          } else {
-            console.log(`Agent directory doesn't exist. Cloning repository...`);
-            shell.exec(`git clone ${repo_url} ${agentPath} --branch ${branch_name}`);
-            shell.cd(agentPath);
-            shell.exec('npm install');
-          }
-          
-          try {
-            await startOrReloadAgent(agent, agentPath, branch_hash);
-            console.log(`✅ Agent ${branch_name} updated successfully`);
-          } catch (pm2Error) {
-            console.error(`⚠️ Error starting/reloading agent: ${pm2Error.message}`);
-            console.error(`   Agent exists in DB (ID: ${agent.id}), but PM2 process failed to start.`);
-            console.error(`   You can manually start it or check PM2 logs.`);
-            // Update status to 'error' but don't fail the webhook
-            db.run('UPDATE agents SET status = ? WHERE id = ?', ['error', agent.id]);
-          }
-        } else {
-          console.log(`New branch ${branch_name} detected. Deploying new agent...`);
-          
-          try {
-            const { agentFactoryContract: factoryContract } = getEthersSetup();
-            
-            if (!agentAddress) {
-              console.log(`Registering agent with branch_hash: ${branch_hash}...`);
-              try {
-                const tx = await factoryContract.registerAgent(branch_hash);
-                console.log(`Transaction sent: ${tx.hash}, waiting for confirmation...`);
-                const receipt = await tx.wait();
-                console.log(`Transaction confirmed in block ${receipt.blockNumber}`);
-                agentAddress = await factoryContract.agents(branch_hash);
-                isNewDeployment = true;
-              } catch (deployError) {
-                if (deployError.reason === 'Agent already registered' || 
-                    deployError.message?.includes('Agent already registered')) {
-                  console.log(`Agent already registered on-chain. Fetching address...`);
-                  agentAddress = await factoryContract.agents(branch_hash);
-                  isNewDeployment = false;
-                } else {
-                  throw deployError;
-                }
-              }
-            }
-            
-            if (!agentAddress || agentAddress === ethers.ZeroAddress || agentAddress === "0x0000000000000000000000000000000000000000") {
-              throw new Error("Agent address not found after registration.");
-            }
-            console.log(`✅ Agent contract found/deployed at: ${agentAddress}`);
-            console.log(`🔗 Explorer: https://shannon-explorer.somnia.network/address/${agentAddress}`);
-
-            const dirExists = fs.existsSync(agentPath);
-            if (dirExists) {
-              console.log(`Agent directory exists. Pulling latest code...`);
-              shell.cd(agentPath);
-              // Reset any local changes and pull latest from the specific branch
-              shell.exec('git reset --hard HEAD');
-              shell.exec(`git fetch origin && git checkout ${branch_name} && git pull origin ${branch_name}`);
-              shell.exec('npm install');
-            } else {
-              console.log(`Cloning repository...`);
-              shell.exec(`git clone ${repo_url} ${agentPath} --branch ${branch_name}`);
-              shell.cd(agentPath);
-              shell.exec('npm install');
-            }
-
-            let newAgent;
-            const existingAgentInDb = await new Promise((resolve, reject) => {
-              db.get('SELECT * FROM agents WHERE branch_hash = ?', [branch_hash], (err, row) => {
-                if (err) return reject(err);
-                resolve(row);
-              });
-            });
-
-            if (existingAgentInDb) {
-              await new Promise((resolve, reject) => {
-                db.run('UPDATE agents SET agent_address = ?, status = ? WHERE id = ?',
-                  [agentAddress, 'deploying', existingAgentInDb.id], (err) => {
-                    if (err) return reject(err);
-                    resolve();
-                  });
-              });
-              newAgent = { 
-                ...existingAgentInDb,
-                id: existingAgentInDb.id, 
-                agent_address: agentAddress,
-                repo_url: existingAgentInDb.repo_url || repo_url,
-                branch_name: existingAgentInDb.branch_name || branch_name,
-                branch_hash: branch_hash
-              };
-              console.log(`Updated existing agent record in database.`);
-            } else {
-              const newAgentId = await new Promise((resolve, reject) => {
-                db.run('INSERT INTO agents (repo_url, branch_name, branch_hash, agent_address, status) VALUES (?, ?, ?, ?, ?)',
-                  [repo_url, branch_name, branch_hash, agentAddress, 'deploying'],
-                  function (err) {
-                    if (err) return reject(err);
-                    resolve(this.lastID);
-                  });
-              });
-              newAgent = { 
-                id: newAgentId, 
-                agent_address: agentAddress,
-                repo_url: repo_url,
-                branch_name: branch_name,
-                branch_hash: branch_hash
-              };
-              console.log(`Created new agent record in database.`);
-            }
-
-            try {
-              await startOrReloadAgent(newAgent, agentPath, branch_hash);
-              console.log(`✅ ${isNewDeployment ? 'New agent deployed, cloned, and started' : 'Agent recovered and started'}`);
-            } catch (pm2Error) {
-              console.error(`⚠️ Error starting/reloading agent: ${pm2Error.message}`);
-              console.error(`   Agent created in DB (ID: ${newAgent.id}), but PM2 process failed to start.`);
-              console.error(`   You can manually start it or check PM2 logs.`);
-              db.run('UPDATE agents SET status = ? WHERE id = ?', ['error', newAgent.id]);
-            }
-          } catch (contractError) {
-            console.error('Error deploying agent contract:', contractError.message);
-          }
-        }
-      } catch (callbackError) {
-        console.error('Error in webhook callback:', callbackError);
-      }
-    });
 
-    return; // Response already sent
+  if (!req.body.ref) {
+    console.error('Error: Missing ref information in webhook payload');
+    return res.status(400).send('Missing ref information - this might be a non-push event');
   }
+
+  const repo_url = req.body.repository.clone_url;
+  const parsedRef = parseGitRef(req.body.ref);
   
-  // For non-push events, just log
-  console.log('Full payload:', JSON.stringify(req.body, null, 2));
-  
-  if (eventType === 'pull_request') {
-    const { action, pull_request, repository } = req.body;
-    console.log(`🔀 Pull Request Event:`);
-    console.log(`   Action: ${action}`);
-    console.log(`   PR #${pull_request?.number}: ${pull_request?.title}`);
-    console.log(`   Repository: ${repository?.full_name}`);
-  } else if (eventType === 'issues') {
-    const { action, issue, repository } = req.body;
-    console.log(`🐛 Issue Event:`);
-    console.log(`   Action: ${action}`);
-    console.log(`   Issue #${issue?.number}: ${issue?.title}`);
-    console.log(`   Repository: ${repository?.full_name}`);
+  if (!parsedRef) {
+    console.error('Error: Could not extract branch name from ref:', req.body.ref);
+    return res.status(400).send('Invalid ref format');
   }
-  
-  // Always respond with 200 OK to acknowledge receipt
-  res.status(200).send('Webhook received');
-});
-
-// Additional webhook endpoints for different event types
-app.post('/webhook/github/push', async (req, res) => {
-  // Set a timeout to ensure we always respond
-  const timeout = setTimeout(() => {
-    if (!res.headersSent) {
-      console.error('Webhook processing timeout - sending 200 to GitHub');
-      res.status(200).send('Webhook received (processing in background)');
-    }
-  }, 25000); // 25 second timeout (GitHub expects response within 30s)
-
-  // Track if response was sent
-  let responseSent = false;
-
-  const sendResponse = (status, message) => {
-    if (!responseSent && !res.headersSent) {
-      responseSent = true;
-      clearTimeout(timeout);
-      res.status(status).send(message);
-    }
-  };
-
-  try {
-    // Check event type from headers
-    const eventType = req.headers['x-github-event'];
-    
-    // Handle ping events (GitHub sends this when webhook is created/tested)
-    if (eventType === 'ping') {
-      console.log('✅ Webhook ping received - webhook is working correctly');
-      return sendResponse(200, JSON.stringify({ message: 'Webhook ping received', status: 'ok' }));
-    }
-    
-    // Validate required fields
-    if (!req.body.repository || !req.body.repository.clone_url) {
-      console.error('Error: Missing repository information in webhook payload');
-      return sendResponse(400, 'Missing repository information');
-    }
-
-    if (!req.body.ref) {
-      console.error('Error: Missing ref information in webhook payload');
-      console.error('Webhook payload:', JSON.stringify(req.body, null, 2));
-      return sendResponse(400, 'Missing ref information - this might be a non-push event');
-    }
-
-    const repo_url = req.body.repository.clone_url;
-    const branch_name = req.body.ref.split('/').pop();
-    
-    if (!branch_name) {
-      console.error('Error: Could not extract branch name from ref:', req.body.ref);
-      return sendResponse(400, 'Invalid ref format');
-    }
-
-    const branch_hash = ethers.id(repo_url + "/" + branch_name);
-
-    console.log(`Processing push for branch: ${branch_name} (${branch_hash})`);
-
-    // Respond immediately to GitHub to prevent timeout
-    sendResponse(200, 'Webhook received, processing...');
-
-    // Process asynchronously
-    db.get('SELECT * FROM agents WHERE branch_hash = ?', [branch_hash], async (err, agent) => {
-      if (err) {
-        console.error('Database error:', err);
-        return; // Response already sent, just log
-      }
-
-      try {
-        const agentPath = path.join(AGENTS_DIR, branch_hash);
-
-        // Check contract first to see if agent exists on-chain (even if not in DB)
-        let agentAddress = null;
-        let isNewDeployment = false;
-
-        try {
-          const { agentFactoryContract: factoryContract } = getEthersSetup();
-          const onChainAddress = await factoryContract.agents(branch_hash);
-          
-          // Check if agent exists on-chain
-          if (onChainAddress && onChainAddress !== ethers.ZeroAddress && onChainAddress !== "0x0000000000000000000000000000000000000000") {
-            agentAddress = onChainAddress; // Set it here
-            console.log(`Agent found on-chain at: ${agentAddress}`);
-            
-            // If agent exists in DB, proceed with update
-            if (agent) {
-              // Make sure DB has correct address (in case it changed)
-              if (agent.agent_address !== agentAddress) {
-                db.run('UPDATE agents SET agent_address = ? WHERE id = ?', [agentAddress, agent.id]);
-                agent.agent_address = agentAddress;
-              }
-              
-              // --- 1. AGENT EXISTS: UPDATE (PULL) ---
-              console.log(`Agent for ${branch_name} already exists. Pulling latest code...`);
-              shell.cd(agentPath);
-              // Reset any local changes and pull latest from the specific branch
-              shell.exec('git reset --hard HEAD');
-              shell.exec(`git fetch origin && git checkout ${branch_name} && git pull origin ${branch_name}`);
-              shell.exec('npm install'); // Re-run install for any new dependencies
-
-              // Now, reload the process with secrets
-              await startOrReloadAgent(agent, agentPath, branch_hash);
-              console.log(`✅ Agent ${branch_name} updated successfully`);
-              return;
-            } else {
-              // Agent exists on-chain but not in DB - recover from blockchain
-              console.log(`Agent exists on-chain but not in database. Recovering...`);
-              // We'll use the agentAddress we just found below
-            }
-          }
-        } catch (checkError) {
-          console.warn('Could not check contract state:', checkError.message);
-          // Continue with DB check logic - agentAddress remains null
-        }
-
-        if (agent) {
-          // --- 1. AGENT EXISTS IN DB: UPDATE (PULL) ---
-          console.log(`Agent for ${branch_name} already exists. Pulling latest code...`);
-          shell.cd(agentPath);
-          // Reset any local changes and pull latest from the specific branch
-          shell.exec('git reset --hard HEAD');
-          shell.exec(`git fetch origin && git checkout ${branch_name} && git pull origin ${branch_name}`);
-          shell.exec('npm install'); // Re-run install for any new dependencies
-
-          // Now, reload the process with secrets
-          await startOrReloadAgent(agent, agentPath, branch_hash);
-          console.log(`✅ Agent ${branch_name} updated successfully`);
-
-        } else {
-          // --- 2. NEW AGENT: DEPLOY (CLONE) ---
-          console.log(`New branch ${branch_name} detected. Deploying new agent...`);
-
-          try {
-            // 2a. Get ethers setup (lazy initialization)
-            const { agentFactoryContract: factoryContract } = getEthersSetup();
-            
-            // 2b. If we don't have an address yet, try to get it from chain first, then register if needed
-            if (!agentAddress || agentAddress === ethers.ZeroAddress || agentAddress === "0x0000000000000000000000000000000000000000") {
-              // Check if agent already exists on-chain (double-check)
-              agentAddress = await factoryContract.agents(branch_hash);
-              
-              if (!agentAddress || agentAddress === ethers.ZeroAddress || agentAddress === "0x0000000000000000000000000000000000000000") {
-                // Agent doesn't exist, register it
-                console.log(`Registering agent with branch_hash: ${branch_hash}...`);
-                try {
-                  const tx = await factoryContract.registerAgent(branch_hash);
-                  console.log(`Transaction sent: ${tx.hash}, waiting for confirmation...`);
-                  const receipt = await tx.wait();
-                  console.log(`Transaction confirmed in block ${receipt.blockNumber}`);
-                  
-                  // Wait a bit for state to propagate, then get agent address
-                  await new Promise(resolve => setTimeout(resolve, 1000)); // 1 second delay
-                  agentAddress = await factoryContract.agents(branch_hash);
-                  isNewDeployment = true;
-                } catch (deployError) {
-                  // Check if error is "Agent already registered"
-                  if (deployError.reason === 'Agent already registered' || 
-                      deployError.message?.includes('Agent already registered')) {
-                    console.log(`Agent already registered on-chain. Fetching address...`);
-                    // Try again after a short delay
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                    agentAddress = await factoryContract.agents(branch_hash);
-                    isNewDeployment = false;
-                  } else {
-                    throw deployError; // Re-throw if it's a different error
-                  }
-                }
-              } else {
-                console.log(`Agent already exists on-chain at: ${agentAddress}`);
-                isNewDeployment = false;
-              }
-            }
-            
-            if (!agentAddress || agentAddress === ethers.ZeroAddress || agentAddress === "0x0000000000000000000000000000000000000000") {
-              throw new Error("Agent address not found after registration. Transaction may have failed.");
-            }
-            console.log(`✅ Agent contract found/deployed at: ${agentAddress}`);
-            console.log(`🔗 Explorer: https://shannon-explorer.somnia.network/address/${agentAddress}`);
-
-            // 2c. Clone or pull code (check if directory exists)
-            const dirExists = fs.existsSync(agentPath);
-            if (dirExists) {
-              console.log(`Agent directory exists. Pulling latest code...`);
-              shell.cd(agentPath);
-              // Reset any local changes and pull latest from the specific branch
-              shell.exec('git reset --hard HEAD');
-              shell.exec(`git fetch origin && git checkout ${branch_name} && git pull origin ${branch_name}`);
-              shell.exec('npm install');
-            } else {
-              console.log(`Cloning repository...`);
-              shell.exec(`git clone ${repo_url} ${agentPath} --branch ${branch_name}`);
-              shell.cd(agentPath);
-              shell.exec('npm install');
-            }
-
-            // 2d. Save to DB (or update if recovering from blockchain)
-            let newAgent;
-            const existingAgentInDb = await new Promise((resolve, reject) => {
-              db.get('SELECT * FROM agents WHERE branch_hash = ?', [branch_hash], (err, row) => {
-                if (err) return reject(err);
-                resolve(row);
-              });
-            });
 
-            if (existingAgentInDb) {
-              // Update existing record
-              await new Promise((resolve, reject) => {
-                db.run(
-                  'UPDATE agents SET agent_address = ?, status = ? WHERE id = ?',
-                  [agentAddress, 'deploying', existingAgentInDb.id],
-                  (err) => {
-                    if (err) return reject(err);
-                    resolve();
-                  }
-                );
-              });
-              newAgent = { 
-                ...existingAgentInDb,
-                id: existingAgentInDb.id, 
-                agent_address: agentAddress,
-                repo_url: existingAgentInDb.repo_url || repo_url,
-                branch_name: existingAgentInDb.branch_name || branch_name,
-                branch_hash: branch_hash
-              };
-              console.log(`Updated existing agent record in database.`);
-            } else {
-              // Insert new record
-              const newAgentId = await new Promise((resolve, reject) => {
-                db.run(
-                  'INSERT INTO agents (repo_url, branch_name, branch_hash, agent_address, status) VALUES (?, ?, ?, ?, ?)',
-                  [repo_url, branch_name, branch_hash, agentAddress, 'deploying'],
-                  function (err) { // Must use function() to get this.lastID
-                    if (err) return reject(err);
-                    resolve(this.lastID);
-                  }
-                );
-              });
-              newAgent = { 
-                id: newAgentId, 
-                agent_address: agentAddress,
-                repo_url: repo_url,
-                branch_name: branch_name,
-                branch_hash: branch_hash
-              };
-              console.log(`Created new agent record in database.`);
-            }
+  // Agents are deployed per branch only - tag pushes are acknowledged and ignored
+  if (parsedRef.type === 'tag') {
+    console.log(`Ignoring tag push: ${parsedRef.name}`);
+    return res.status(200).send('Tag push ignored');
+  }
 
-            // 2e. Start the process with secrets
-            await startOrReloadAgent(newAgent, agentPath, branch_hash);
-            console.log(`✅ ${isNewDeployment ? 'New agent deployed, cloned, and started' : 'Agent recovered and started'}`);
-          } catch (contractError) {
-            console.error('Error deploying agent contract:', contractError);
-            
-            // Log the error but don't send response (already sent)
-            if (contractError.message.includes('getaddrinfo') || 
-                contractError.message.includes('network') ||
-                contractError.code === 'EAI_AGAIN') {
-              console.error('❌ Cannot connect to blockchain RPC');
-            } else {
-              console.error('❌ Error deploying agent contract:', contractError.message);
-            }
-          }
-        }
-      } catch (callbackError) {
-        console.error('Error in webhook callback:', callbackError);
-        // Response already sent, just log
-      }
-    });
+  const branch_name = parsedRef.name;
+  const branch_hash = ethers.id(repo_url + "/" + branch_name);
+  const payload = {
+    commit_sha: req.body.after || null,
+    pusher: req.body.pusher?.name || req.body.sender?.login || null,
+    delivery_id: req.headers['x-github-delivery'] || null
+  };
+
+  try {
+    // Branch deleted: GitHub sends a push with deleted=true and an all-zero "after" SHA
+    if (req.body.deleted) {
+      console.log(`Branch deleted: ${branch_name} (${branch_hash}). Queueing teardown...`);
+      const job = await deploymentPipeline.enqueue({ type: 'teardown', repo_url, branch_name, branch_hash, source: 'webhook', payload });
+      return res.status(200).send(`Branch deletion received, teardown job ${job.id} queued`);
+    }
+
+    console.log(`Processing push for branch: ${branch_name} (${branch_hash})`);
+    const job = await deploymentPipeline.enqueue({ type: 'deploy', repo_url, branch_name, branch_hash, source: 'webhook', payload });
+    res.status(200).send(`Webhook received, deployment job ${job.id} queued`);
   } catch (error) {
-    console.error('Error in webhook processing:', error);
-    // Response already sent, just log the error
+    console.error('Error queueing deployment:', error);
+    res.status(500).send('Failed to queue deployment');
+  }
+}
+
+// Main GitHub webhook listener endpoint
+// This endpoint handles all events, but routes push events to deployment logic
+app.post('/webhook/github', verifyGithubSignature, (req, res) => {
+  console.log('--- GitHub Webhook Received ---');
+  
+  // Log the event type from GitHub headers
+  const eventType = req.headers['x-github-event'];
+  console.log(`Event Type: ${eventType}`);
+  
+  // Log the delivery ID for tracking
+  const deliveryId = req.headers['x-github-delivery'];
+  console.log(`Delivery ID: ${deliveryId}`);
+  
+  // Handle ping events (GitHub sends this when webhook is created/tested)
+  if (eventType === 'ping') {
+    console.log('✅ Webhook ping received - webhook is working correctly');
+    return res.status(200).json({ message: 'Webhook ping received', status: 'ok' });
+  }
+  
+  // Push events go to the deployment pipeline
+  if (eventType === 'push') {
+    return handlePushEvent(req, res);
+  }
+  
+  // For non-push events, just log
+  console.log('Full payload:', JSON.stringify(req.body, null, 2));
+  
+  if (eventType === 'pull_request') {
+    const { action, pull_request, repository } = req.body;
+    console.log(`🔀 Pull Request Event:`);
+    console.log(`   Action: ${action}`);
+    console.log(`   PR #${pull_request?.number}: ${pull_request?.title}`);
+    console.log(`   Repository: ${repository?.full_name}`);
+  } else if (eventType === 'issues') {
+    const { action, issue, repository } = req.body;
+    console.log(`🐛 Issue Event:`);
+    console.log(`   Action: ${action}`);
+    console.log(`   Issue #${issue?.number}: ${issue?.title}`);
+    console.log(`   Repository: ${repository?.full_name}`);
+  }
+  
+  // Always respond with 200 OK to acknowledge receipt
+  res.status(200).send('Webhook received');
+});
+
+// Additional webhook endpoints for different event types
+app.post('/webhook/github/push', verifyGithubSignature, (req, res) => {
+  // Check event type from headers
+  const eventType = req.headers['x-github-event'];
+  
+  // Handle ping events (GitHub sends this when webhook is created/tested)
+  if (eventType === 'ping') {
+    console.log('✅ Webhook ping received - webhook is working correctly');
+    return res.status(200).json({ message: 'Webhook ping received', status: 'ok' });
   }
+
+  return handlePushEvent(req, res);
 });
 
-app.post('/webhook/github/pr', (req, res) => {
+app.post('/webhook/github/pr', verifyGithubSignature, (req, res) => {
   console.log('--- GitHub PR Webhook Received ---');
   console.log(`Event Type: ${req.headers['x-github-event']}`);
   console.log('PR payload:', JSON.stringify(req.body, null, 2));
   res.status(200).send('PR webhook received');
 });
 
+// Who the token belongs to and which repositories it can manage
+app.get('/api/auth/me', auth.requireUser, async (req, res) => {
+  if (!req.auth) {
+    return res.json({ user: null, auth_disabled: true });
+  }
+  try {
+    const repos = req.auth.admin ? [] : await auth.listRepoPermissions(req.auth.user_id);
+    res.json({ user: req.auth.user_id, admin: req.auth.admin, repos });
+  } catch (error) {
+    console.error('Error loading permissions:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Revoke the token used for this request
+app.delete('/api/auth/token', auth.requireUser, async (req, res) => {
+  if (!req.auth || !req.auth.token_id) {
+    return res.status(400).json({ error: 'Only user tokens can be revoked' });
+  }
+  try {
+    await auth.revokeToken(req.auth.token_id);
+    res.json({ success: true, revoked: true });
+  } catch (error) {
+    console.error('Error revoking token:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
 // Manual trigger endpoint for testing
-app.post('/api/agents/manual-trigger', async (req, res) => {
+app.post('/api/agents/manual-trigger', auth.requireRepoAccess(repoFromBody), async (req, res) => {
   const { repo_url, branch_name } = req.body;
   
   if (!repo_url || !branch_name) {
@@ -1456,99 +1986,18 @@ app.post('/api/agents/manual-trigger', async (req, res) => {
   }
 
   const branch_hash = ethers.id(repo_url + "/" + branch_name);
-  
-  try {
-    // Create a mock request object to trigger the deployment logic
-    const mockReq = {
-      body: {
-        repository: { clone_url: repo_url },
-        ref: `refs/heads/${branch_name}`
-      },
-      headers: { 'x-github-event': 'push' }
-    };
-    const mockRes = {
-      status: (code) => ({
-        send: (msg) => console.log(`Response: ${code} - ${msg}`)
-      })
-    };
-    
-    // Reuse the webhook logic
-    console.log(`Manual trigger for ${repo_url} / ${branch_name}`);
-    
-    db.get('SELECT * FROM agents WHERE branch_hash = ?', [branch_hash], async (err, agent) => {
-      if (err) {
-        console.error('Database error:', err);
-        return res.status(500).json({ error: 'Database error' });
-      }
-
-      if (agent) {
-        const explorerUrl = agent.agent_address ? `https://shannon-explorer.somnia.network/address/${agent.agent_address}` : null;
-        return res.json({ 
-          message: 'Agent already exists', 
-          agent,
-          explorer_url: explorerUrl
-        });
-      }
-
-      // Process deployment (simplified version)
-      const agentPath = path.join(AGENTS_DIR, branch_hash);
-      let agentAddress = null;
-
-      try {
-        const { agentFactoryContract: factoryContract } = getEthersSetup();
-        
-        agentAddress = await factoryContract.agents(branch_hash);
-        
-        if (!agentAddress || agentAddress === ethers.ZeroAddress) {
-          const tx = await factoryContract.registerAgent(branch_hash);
-          const receipt = await tx.wait();
-          agentAddress = await factoryContract.agents(branch_hash);
-        }
-
-        if (!agentAddress || agentAddress === ethers.ZeroAddress) {
-          return res.status(500).json({ error: 'Failed to get agent address' });
-        }
-
-        const dirExists = fs.existsSync(agentPath);
-        if (!dirExists) {
-          shell.exec(`git clone ${repo_url} ${agentPath} --branch ${branch_name}`);
-          shell.cd(agentPath);
-          shell.exec('npm install');
-        }
-
-        const newAgentId = await new Promise((resolve, reject) => {
-          db.run('INSERT INTO agents (repo_url, branch_name, branch_hash, agent_address, status) VALUES (?, ?, ?, ?, ?)',
-            [repo_url, branch_name, branch_hash, agentAddress, 'deploying'],
-            function (err) {
-              if (err) return reject(err);
-              resolve(this.lastID);
-            });
-        });
+  console.log(`Manual trigger for ${repo_url} / ${branch_name}`);
 
-        const newAgent = { 
-          id: newAgentId, 
-          agent_address: agentAddress,
-          repo_url: repo_url,
-          branch_name: branch_name,
-          branch_hash: branch_hash
-        };
-        await startOrReloadAgent(newAgent, agentPath, branch_hash);
-
-        // Return detailed response with explorer link
-        const explorerUrl = `https://shannon-explorer.somnia.network/address/${agentAddress}`;
-        res.json({ 
-          success: true, 
-          agent_id: newAgentId, 
-          agent_address: agentAddress,
-          explorer_url: explorerUrl,
-          message: `Agent deployed! Contract address: ${agentAddress}`,
-          branch_name: branch_name,
-          repo_url: repo_url
-        });
-      } catch (error) {
-        console.error('Manual trigger error:', error);
-        res.status(500).json({ error: error.message });
-      }
+  try {
+    const job = await deploymentPipeline.enqueue({ type: 'deploy', repo_url, branch_name, branch_hash, source: 'manual' });
+    res.status(202).json({
+      success: true,
+      job_id: job.id,
+      branch_hash,
+      branch_name,
+      repo_url,
+      status_url: `/api/jobs/${job.id}`,
+      message: `Deployment queued as job ${job.id}`
     });
   } catch (error) {
     console.error('Manual trigger error:', error);
@@ -1556,8 +2005,36 @@ app.post('/api/agents/manual-trigger', async (req, res) => {
   }
 });
 
+// Deployment job status
+app.get('/api/jobs', auth.readAccess, async (req, res) => {
+  try {
+    const jobs = await deploymentPipeline.listJobs({
+      branch_hash: req.query.branch_hash,
+      status: req.query.status,
+      limit: req.query.limit
+    });
+    res.json({ jobs });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+app.get('/api/jobs/:id', auth.readAccess, async (req, res) => {
+  try {
+    const job = await deploymentPipeline.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ job });
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
 // Agent management endpoints
-app.get('/api/agents', async (req, res) => {
+app.get('/api/agents', auth.readAccess, async (req, res) => {
   const repo_url = req.query.repo_url; // Optional filter by repository
   
   let query = 'SELECT id, repo_url, branch_name, branch_hash, agent_address, status, pid, created_at FROM agents';
@@ -1686,18 +2163,511 @@ app.get('/api/agents', async (req, res) => {
           });
         });
       });
-      
-      // Don't await - return agents immediately, sync happens in background
-      syncPromise.catch(err => console.warn('PM2 sync error (non-fatal):', err.message));
+      
+      // Don't await - return agents immediately, sync happens in background
+      syncPromise.catch(err => console.warn('PM2 sync error (non-fatal):', err.message));
+    }
+    
+    // Always return agents, even if PM2 sync fails
+    console.log(`[API] /api/agents - Returning ${rows.length} agent(s):`, rows.map(r => r.branch_name));
+    res.json({ agents: rows });
+  });
+});
+
+// Deployment history for an agent, newest first
+// `current` is the latest successful deployment, i.e. the commit that is actually running
+app.get('/api/agents/:branch_hash/deployments', auth.readAccess, async (req, res) => {
+  const { branch_hash } = req.params;
+
+  try {
+    const agent = await new Promise((resolve, reject) => {
+      db.get('SELECT id, branch_name, status FROM agents WHERE branch_hash = ?', [branch_hash], (err, row) => {
+        if (err) return reject(err);
+        resolve(row);
+      });
+    });
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const [deployments, current] = await Promise.all([
+      deploymentPipeline.listDeployments(branch_hash, { limit: req.query.limit }),
+      deploymentPipeline.getCurrentDeployment(branch_hash)
+    ]);
+    res.json({
+      agent: { id: agent.id, branch_name: agent.branch_name, branch_hash, status: agent.status },
+      current: current || null,
+      deployments
+    });
+  } catch (error) {
+    console.error('Error fetching deployments:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Stored console output of an agent (agent_logs), newest first
+// Query: from, to (ISO date or "24h"/"7d" ago), q (text search), stream (out|err), level (minimum severity),
+//        deployment_id, limit (default 100, max 1000), cursor (next_cursor of the previous page), order (desc|asc)
+app.get('/api/agents/:branch_hash/logs', auth.readAccess, async (req, res) => {
+  const { branch_hash } = req.params;
+  const { from, to, q, stream, level, deployment_id, limit, cursor, order } = req.query;
+
+  const range = {};
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value === undefined) continue;
+    range[name] = parseTimeParam(value);
+    if (!range[name]) {
+      return res.status(400).json({ error: `${name} must be an ISO date or a duration like 15m, 24h or 7d` });
+    }
+  }
+  if (stream !== undefined && !['out', 'err'].includes(stream)) {
+    return res.status(400).json({ error: 'stream must be out or err' });
+  }
+  if (level !== undefined && !LEVELS.includes(level)) {
+    return res.status(400).json({ error: `level must be one of: ${LEVELS.join(', ')}` });
+  }
+  if (order !== undefined && !['asc', 'desc'].includes(order)) {
+    return res.status(400).json({ error: 'order must be asc or desc' });
+  }
+  for (const [name, value] of [['deployment_id', deployment_id], ['cursor', cursor], ['limit', limit]]) {
+    if (value !== undefined && !/^\d+$/.test(value)) {
+      return res.status(400).json({ error: `${name} must be a positive integer` });
+    }
+  }
+
+  try {
+    const agent = await new Promise((resolve, reject) => {
+      db.get('SELECT id, branch_name FROM agents WHERE branch_hash = ?', [branch_hash], (err, row) => {
+        if (err) return reject(err);
+        resolve(row);
+      });
+    });
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const page = await logStore.query(branch_hash, {
+      from: range.from,
+      to: range.to,
+      search: q,
+      stream,
+      level,
+      deployment_id: deployment_id && Number(deployment_id),
+      limit,
+      cursor: cursor && Number(cursor),
+      order
+    });
+    res.json({
+      agent: { id: agent.id, branch_name: agent.branch_name, branch_hash },
+      ...page
+    });
+  } catch (error) {
+    console.error('Error querying agent logs:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// How long an agent's stored logs are kept
+app.get('/api/agents/:branch_hash/log-retention', auth.readAccess, async (req, res) => {
+  const { branch_hash } = req.params;
+  try {
+    const agent = await new Promise((resolve, reject) => {
+      db.get('SELECT id FROM agents WHERE branch_hash = ?', [branch_hash], (err, row) => err ? reject(err) : resolve(row));
+    });
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    res.json(await logStore.getRetention(branch_hash));
+  } catch (error) {
+    console.error('Error fetching log retention:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Body: { days } (1-365), or { days: null } to go back to AGENT_LOG_RETENTION_DAYS
+app.put('/api/agents/:branch_hash/log-retention', auth.requireRepoAccess(repoFromBranchHash), async (req, res) => {
+  const { days } = req.body;
+  if (days !== null && !(Number.isInteger(days) && days >= 1 && days <= MAX_RETENTION_DAYS)) {
+    return res.status(400).json({ error: `days must be an integer from 1 to ${MAX_RETENTION_DAYS}, or null for the default` });
+  }
+
+  const { branch_hash } = req.params;
+  try {
+    // requireRepoAccess already 404s unknown agents, except with ALLOW_UNAUTHENTICATED_API
+    const agent = await new Promise((resolve, reject) => {
+      db.get('SELECT id FROM agents WHERE branch_hash = ?', [branch_hash], (err, row) => err ? reject(err) : resolve(row));
+    });
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    const retention = await logStore.setRetention(branch_hash, days);
+    // Apply a shorter retention right away
+    const pruned = await logStore.prune();
+    res.json({ ...retention, pruned });
+  } catch (error) {
+    console.error('Error updating log retention:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Custom metrics an agent has reported (POST /api/metrics/custom), with the latest value of each
+app.get('/api/agents/:branch_hash/custom-metrics', auth.readAccess, async (req, res) => {
+  const { branch_hash } = req.params;
+  try {
+    const agent = await new Promise((resolve, reject) => {
+      db.get('SELECT branch_name FROM agents WHERE branch_hash = ?', [branch_hash], (err, row) => err ? reject(err) : resolve(row));
+    });
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    res.json({ branch_hash, branch_name: agent.branch_name, metrics: await customMetrics.list(branch_hash) });
+  } catch (error) {
+    console.error('Error listing custom metrics:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// One custom metric aggregated per window
+// Query: from, to (ISO date or "24h"/"7d" ago, default the last 24h), window (1m, 5m, 1h, 1d - default 5m),
+//        tags (key:value,key2:value2), group_by (tag name)
+app.get('/api/agents/:branch_hash/custom-metrics/:name', auth.readAccess, async (req, res) => {
+  const { branch_hash, name } = req.params;
+  const parsed = parseMetricQuery(req.query);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  try {
+    const result = await customMetrics.query(branch_hash, name, parsed.options);
+    if (!result) {
+      return res.status(404).json({ error: `No custom metric named ${name} for this agent` });
+    }
+    res.json({ branch_hash, ...result });
+  } catch (error) {
+    console.error('Error querying custom metric:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// The agent behind a contract request, or the status/error to answer with
+async function contractAgent(branch_hash) {
+  const agent = await new Promise((resolve, reject) => {
+    db.get('SELECT * FROM agents WHERE branch_hash = ?', [branch_hash], (err, row) => err ? reject(err) : resolve(row));
+  });
+  if (!agent) {
+    return { status: 404, error: 'Agent not found' };
+  }
+  if (!agent.agent_address) {
+    return { status: 409, error: 'Agent has no contract address yet' };
+  }
+  return { agent };
+}
+
+// Same, for agents that must support the VERSION 2 controls
+async function controlledAgent(branch_hash) {
+  const { agent, status, error } = await contractAgent(branch_hash);
+  if (!agent) {
+    return { status, error };
+  }
+  const version = await agentControls.version(agent.agent_address);
+  if (version < CONTROLS_VERSION) {
+    return { status: 409, error: `Agent contract ${agent.agent_address} is version ${version} and has no spending controls. Agents registered by an AgentFactory deployed with Agent.sol version ${CONTROLS_VERSION} or later support them.` };
+  }
+  return { agent, version };
+}
+
+// Current on-chain pause state, allowlist and spending limits
+app.get('/api/agents/:branch_hash/controls', auth.readAccess, async (req, res) => {
+  try {
+    const { agent, version, status, error } = await controlledAgent(req.params.branch_hash);
+    if (!agent) {
+      return res.status(status).json({ error });
+    }
+    res.json({ version, ...(await agentControls.read(agent.agent_address)) });
+  } catch (error) {
+    console.error('Error reading agent controls:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { allowlist_enabled, targets: [{ address, selectors }], spending_limits: [{ token, cap, period_seconds }] }
+// Fields left out are unchanged; targets and spending_limits replace the current lists
+app.put('/api/agents/:branch_hash/controls', auth.requireRepoAccess(repoFromBranchHash), async (req, res) => {
+  const { changes, error: invalid } = parseControlsUpdate(req.body);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  try {
+    const { agent, version, status, error } = await controlledAgent(req.params.branch_hash);
+    if (!agent) {
+      return res.status(status).json({ error });
+    }
+    const transactions = await agentControls.update(agent.agent_address, changes);
+    console.log(`[Controls] ${agent.branch_name}: ${transactions.length} transaction(s) sent`);
+    res.json({ success: true, transactions, controls: { version, ...(await agentControls.read(agent.agent_address)) } });
+  } catch (error) {
+    console.error('Error updating agent controls:', error);
+    // Settings already confirmed stay on-chain; report them so the caller knows where it stopped
+    res.status(500).json({ error: error.reason || error.message, transactions: error.transactions || [] });
+  }
+});
+
+// Emergency stop: execute() reverts until unpaused (withdraw and withdrawToken still work)
+app.post('/api/agents/:branch_hash/pause', auth.requireRepoAccess(repoFromBranchHash), (req, res) => setAgentPaused(req, res, true));
+app.post('/api/agents/:branch_hash/unpause', auth.requireRepoAccess(repoFromBranchHash), (req, res) => setAgentPaused(req, res, false));
+
+async function setAgentPaused(req, res, paused) {
+  try {
+    const { agent, status, error } = await controlledAgent(req.params.branch_hash);
+    if (!agent) {
+      return res.status(status).json({ error });
+    }
+    const txHash = await agentControls.setPaused(agent.agent_address, paused);
+    console.log(`${paused ? '⏸️' : '▶️'}  ${agent.branch_name}: agent contract ${paused ? 'paused' : 'unpaused'}${txHash ? ` (tx ${txHash})` : ' (no change)'}`);
+    res.json({ success: true, paused, changed: !!txHash, tx_hash: txHash });
+  } catch (error) {
+    console.error(`Error ${paused ? 'pausing' : 'unpausing'} agent:`, error);
+    res.status(500).json({ error: error.reason || error.message });
+  }
+}
+
+// Agent contract balances: SOMI, every AGENT_TOKENS token, plus ?tokens=SYMBOL,0xAddress,...
+app.get('/api/agents/:branch_hash/balances', auth.readAccess, async (req, res) => {
+  const extraTokens = [];
+  for (const value of String(req.query.tokens || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const token = treasury.resolveToken(value);
+    if (!token) {
+      return res.status(400).json({ error: `Unknown token: ${value} (use native, a symbol from AGENT_TOKENS or an ERC-20 address)` });
+    }
+    extraTokens.push(token);
+  }
+
+  try {
+    const { agent, status, error } = await contractAgent(req.params.branch_hash);
+    if (!agent) {
+      return res.status(status).json({ error });
+    }
+    res.json({ agent_address: agent.agent_address, balances: await treasury.balances(agent.agent_address, extraTokens) });
+  } catch (error) {
+    console.error('Error fetching agent balances:', error);
+    res.status(500).json({ error: error.shortMessage || error.message });
+  }
+});
+
+// Body: { token, amount } - sends from the backend wallet, so it is admin-only
+app.post('/api/agents/:branch_hash/fund', auth.requireAdmin, async (req, res) => {
+  const token = treasury.resolveToken(req.body.token);
+  if (!token) {
+    return res.status(400).json({ error: `Unknown token: ${req.body.token}` });
+  }
+  if (req.body.amount === undefined) {
+    return res.status(400).json({ error: 'amount is required' });
+  }
+
+  try {
+    const { agent, status, error } = await contractAgent(req.params.branch_hash);
+    if (!agent) {
+      return res.status(status).json({ error });
+    }
+    const result = await treasury.fund(agent.agent_address, token, req.body.amount);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    console.log(`💰 Funded ${agent.branch_name} with ${result.amount} ${result.symbol || result.token} (tx ${result.tx_hash})`);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error funding agent:', error);
+    res.status(500).json({ error: error.reason || error.shortMessage || error.message });
+  }
+});
+
+// Body: { token, amount | "all", to } - `to` defaults to the backend wallet
+// Funding is admin-only, so the money in an agent is the operator's: repo collaborators can only send it back to the
+// backend wallet or AGENT_SWEEP_ADDRESS, any other recipient needs the admin token
+app.post('/api/agents/:branch_hash/withdraw', auth.requireRepoAccess(repoFromBranchHash), async (req, res) => {
+  const token = treasury.resolveToken(req.body.token);
+  if (!token) {
+    return res.status(400).json({ error: `Unknown token: ${req.body.token}` });
+  }
+  if (req.body.amount === undefined) {
+    return res.status(400).json({ error: 'amount is required ("all" for the whole balance)' });
+  }
+  if (req.body.to && !ethers.isAddress(req.body.to)) {
+    return res.status(400).json({ error: `Invalid recipient address: ${req.body.to}` });
+  }
+
+  try {
+    const { agent, status, error } = await contractAgent(req.params.branch_hash);
+    if (!agent) {
+      return res.status(status).json({ error });
+    }
+    const to = req.body.to ? ethers.getAddress(req.body.to) : null;
+    const operatorAddresses = [getEthersSetup().wallet.address, AGENT_SWEEP_ADDRESS]
+      .filter(Boolean)
+      .map(address => ethers.getAddress(address));
+    if (to && !operatorAddresses.includes(to) && !auth.authDisabled && !req.auth?.admin) {
+      return res.status(403).json({
+        error: 'Withdrawing to another address requires the admin API token',
+        message: 'Leave out "to" to withdraw to the backend wallet, or use AGENT_SWEEP_ADDRESS.'
+      });
     }
-    
-    // Always return agents, even if PM2 sync fails
-    console.log(`[API] /api/agents - Returning ${rows.length} agent(s):`, rows.map(r => r.branch_name));
-    res.json({ agents: rows });
-  });
+    const result = await treasury.withdraw(agent.agent_address, token, req.body.amount, to);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    console.log(`💸 Withdrew ${result.amount} ${result.symbol || result.token} from ${agent.branch_name} to ${result.to} (tx ${result.tx_hash})`);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error withdrawing from agent:', error);
+    // Contract reverts (e.g. a token transfer that failed) carry a reason
+    res.status(500).json({ error: error.reason || error.shortMessage || error.message });
+  }
+});
+
+// Roll an agent back to an earlier commit
+// Body: { commit_sha } or { deployment_id }; with neither, rolls back to the previous successful deployment
+app.post('/api/agents/:branch_hash/rollback', auth.requireRepoAccess(repoFromBranchHash), async (req, res) => {
+  const { branch_hash } = req.params;
+  const { commit_sha, deployment_id } = req.body || {};
+
+  try {
+    const agent = await new Promise((resolve, reject) => {
+      db.get('SELECT * FROM agents WHERE branch_hash = ?', [branch_hash], (err, row) => {
+        if (err) return reject(err);
+        resolve(row);
+      });
+    });
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    if (agent.status === 'archived') {
+      return res.status(409).json({ error: 'Agent is archived (branch deleted)' });
+    }
+
+    let targetSha = null;
+    let targetDeployment = null;
+
+    if (deployment_id) {
+      targetDeployment = await deploymentPipeline.getDeployment(deployment_id);
+      if (!targetDeployment || targetDeployment.branch_hash !== branch_hash) {
+        return res.status(404).json({ error: 'Deployment not found for this agent' });
+      }
+      if (!targetDeployment.commit_sha) {
+        return res.status(400).json({ error: `Deployment ${deployment_id} has no recorded commit` });
+      }
+      targetSha = targetDeployment.commit_sha;
+    } else if (commit_sha) {
+      if (!/^[0-9a-f]{4,40}$/i.test(commit_sha)) {
+        return res.status(400).json({ error: 'commit_sha must be a hex commit SHA' });
+      }
+      targetSha = commit_sha;
+    } else {
+      targetDeployment = await deploymentPipeline.getPreviousDeployment(branch_hash);
+      if (!targetDeployment) {
+        return res.status(400).json({ error: 'No previous successful deployment to roll back to. Pass commit_sha or deployment_id.' });
+      }
+      targetSha = targetDeployment.commit_sha;
+    }
+
+    const current = await deploymentPipeline.getCurrentDeployment(branch_hash);
+    const job = await deploymentPipeline.enqueue({
+      type: 'rollback',
+      repo_url: agent.repo_url,
+      branch_name: agent.branch_name,
+      branch_hash,
+      source: 'manual',
+      payload: {
+        commit_sha: targetSha,
+        target_deployment_id: targetDeployment?.id || null,
+        rollback_from: current?.commit_sha || null
+      }
+    });
+
+    console.log(`[Rollback] ${agent.branch_name}: queued rollback to ${targetSha} as job ${job.id}`);
+    res.status(202).json({
+      success: true,
+      job_id: job.id,
+      status_url: `/api/jobs/${job.id}`,
+      branch_name: agent.branch_name,
+      commit_sha: targetSha,
+      rollback_from: current?.commit_sha || null,
+      message: `Rollback to ${targetSha.substring(0, 7)} queued as job ${job.id}`
+    });
+  } catch (error) {
+    console.error('Error queueing rollback:', error);
+    res.status(500).json({ error: 'Failed to queue rollback', details: error.message });
+  }
+});
+
+// Single deployment including captured stdout/stderr
+app.get('/api/deployments/:id', auth.readAccess, async (req, res) => {
+  try {
+    const deployment = await deploymentPipeline.getDeployment(req.params.id);
+    if (!deployment) {
+      return res.status(404).json({ error: 'Deployment not found' });
+    }
+    res.json({ deployment });
+  } catch (error) {
+    console.error('Error fetching deployment:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Manual endpoint to check and recover missing agents; responds with the recovery report
+// (recovery routes are registered before /api/agents/:id, which would otherwise match them)
+app.post('/api/agents/check-recovery', auth.requireAdmin, async (req, res) => {
+  try {
+    console.log('[RECOVERY] Manual recovery triggered via API');
+    const report = await recovery.recover();
+    res.json({ success: true, message: 'Recovery check completed', report });
+  } catch (error) {
+    console.error('[RECOVERY] Error during manual recovery:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Alternative: GET endpoint for easier triggering
+app.get('/api/agents/check-recovery', auth.requireAdmin, async (req, res) => {
+  try {
+    console.log('[RECOVERY] Manual recovery triggered via GET API');
+    const report = await recovery.recover();
+    res.json({ success: true, message: 'Recovery check completed', report });
+  } catch (error) {
+    console.error('[RECOVERY] Error during manual recovery:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Report of the last recovery run (startup or manual) without running a new one
+app.get('/api/agents/recovery-report', auth.requireAdmin, (req, res) => {
+  const report = recovery.lastReport();
+  if (!report) {
+    return res.status(404).json({ error: 'No recovery has run yet' });
+  }
+  res.json(report);
+});
+
+// Tell the registry which repo/branch an unmapped agent belongs to; the next recovery run picks it up
+app.post('/api/agents/recovery/mappings', auth.requireAdmin, (req, res) => {
+  const { repo_url, branch_name } = req.body;
+  if (!repo_url || !branch_name) {
+    return res.status(400).json({ error: 'repo_url and branch_name are required' });
+  }
+  const branch_hash = branchHashFor(repo_url, branch_name);
+  if (req.body.branch_hash && req.body.branch_hash !== branch_hash) {
+    return res.status(400).json({ error: `${repo_url}/${branch_name} hashes to ${branch_hash}, not ${req.body.branch_hash}` });
+  }
+  try {
+    const mapping = agentRegistry.record({ branch_hash, repo_url, branch_name });
+    res.json({ success: true, branch_hash, ...mapping });
+  } catch (error) {
+    console.error('[RECOVERY] Could not save mapping:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-app.get('/api/agents/:id', (req, res) => {
+app.get('/api/agents/:id', auth.readAccess, (req, res) => {
   const agentId = req.params.id;
   db.get('SELECT * FROM agents WHERE id = ?', [agentId], (err, agent) => {
     if (err) {
@@ -1712,75 +2682,87 @@ app.get('/api/agents/:id', (req, res) => {
 });
 
 // Restart all agents (useful for fixing issues) - MUST be before /api/agents/:id/restart
-app.post('/api/agents/restart-all', async (req, res) => {
+app.post('/api/agents/restart-all', auth.requireAdmin, async (req, res) => {
   try {
-    db.all('SELECT * FROM agents', async (err, agents) => {
-      if (err) {
-        return res.status(500).json({ error: 'Database error' });
+    const agents = await new Promise((resolve, reject) => {
+      db.all('SELECT * FROM agents', (err, rows) => {
+        if (err) return reject(err);
+        resolve(rows || []);
+      });
+    });
+
+    const results = [];
+    for (const agent of agents) {
+      if (agent.status === 'archived') {
+        results.push({ agent: agent.branch_name, status: 'skipped', reason: 'Agent is archived (branch deleted)' });
+        continue;
       }
-      
-      const results = [];
-      for (const agent of agents) {
-        try {
-          const agentPath = path.join(AGENTS_DIR, agent.branch_hash);
-          if (!fs.existsSync(agentPath)) {
-            // Try to clone if directory doesn't exist
-            console.log(`[RESTART-ALL] Agent directory not found for ${agent.branch_name}, attempting to clone...`);
-            try {
-              shell.mkdir('-p', agentPath);
-              shell.cd(agentPath);
-              const cloneResult = shell.exec(`git clone ${agent.repo_url} . --branch ${agent.branch_name}`, { silent: true });
-              if (cloneResult.code === 0) {
-                console.log(`[RESTART-ALL] ✅ Cloned ${agent.branch_name}`);
-                if (fs.existsSync(path.join(agentPath, 'package.json'))) {
-                  shell.exec('npm install', { silent: true });
-                }
-              } else {
-                results.push({ agent: agent.branch_name, status: 'skipped', reason: 'Failed to clone directory' });
-                continue;
-              }
-            } catch (cloneErr) {
-              results.push({ agent: agent.branch_name, status: 'skipped', reason: `Clone error: ${cloneErr.message}` });
-              continue;
-            }
-          } else if (!fs.existsSync(path.join(agentPath, 'agent.ts'))) {
-            // Directory exists but agent.ts missing - try to pull latest code
-            console.log(`[RESTART-ALL] agent.ts not found for ${agent.branch_name}, pulling latest code...`);
-            try {
-              shell.cd(agentPath);
-              shell.exec('git reset --hard HEAD', { silent: true });
-              shell.exec(`git fetch origin && git checkout ${agent.branch_name} && git pull origin ${agent.branch_name}`, { silent: true });
-              if (fs.existsSync(path.join(agentPath, 'package.json'))) {
-                shell.exec('npm install', { silent: true });
-              }
-              if (!fs.existsSync(path.join(agentPath, 'agent.ts'))) {
-                results.push({ agent: agent.branch_name, status: 'skipped', reason: 'agent.ts still not found after pull' });
-                continue;
-              }
-            } catch (pullErr) {
-              results.push({ agent: agent.branch_name, status: 'skipped', reason: `Pull error: ${pullErr.message}` });
-              continue;
-            }
-          }
-          
-          // Now start/reload the agent
-          await startOrReloadAgent(agent, agentPath, agent.branch_hash);
-          results.push({ agent: agent.branch_name, status: 'restarted' });
-        } catch (error) {
-          results.push({ agent: agent.branch_name, status: 'error', error: error.message });
-        }
+      if (!agent.repo_url || !agent.branch_name) {
+        results.push({ agent: agent.branch_name, status: 'skipped', reason: 'Agent missing repo_url or branch_name' });
+        continue;
       }
-      
-      res.json({ success: true, results });
-    });
+      try {
+        const job = await deploymentPipeline.enqueue({
+          type: 'restart',
+          repo_url: agent.repo_url,
+          branch_name: agent.branch_name,
+          branch_hash: agent.branch_hash,
+          source: 'restart'
+        });
+        results.push({ agent: agent.branch_name, status: 'queued', job_id: job.id });
+      } catch (error) {
+        results.push({ agent: agent.branch_name, status: 'error', error: error.message });
+      }
+    }
+
+    res.status(202).json({ success: true, results });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/agents/:id/restart', (req, res) => {
+// Queue a restart job for an agent row and respond with the job
+async function queueAgentRestart(agent, res) {
+  if (!agent.repo_url || !agent.branch_name) {
+    return res.status(400).json({ 
+      error: 'Agent missing repo_url or branch_name', 
+      agent: { id: agent.id, repo_url: agent.repo_url, branch_name: agent.branch_name } 
+    });
+  }
+  // Its branch is gone: a restart would try to re-clone it and flip the row from archived to error
+  if (agent.status === 'archived') {
+    return res.status(409).json({ error: 'Agent is archived (branch deleted)' });
+  }
+
+  try {
+    console.log(`[RESTART] Queueing restart for agent: ${agent.branch_name} with REPO_URL=${agent.repo_url}`);
+    const job = await deploymentPipeline.enqueue({
+      type: 'restart',
+      repo_url: agent.repo_url,
+      branch_name: agent.branch_name,
+      branch_hash: agent.branch_hash,
+      source: 'restart'
+    });
+    res.status(202).json({ 
+      success: true, 
+      message: `Agent restart queued as job ${job.id}`, 
+      job_id: job.id,
+      status_url: `/api/jobs/${job.id}`,
+      agent: { 
+        branch_name: agent.branch_name, 
+        branch_hash: agent.branch_hash,
+        repo_url: agent.repo_url
+      } 
+    });
+  } catch (error) {
+    console.error('Error restarting agent:', error);
+    res.status(500).json({ error: 'Failed to restart agent', details: error.message });
+  }
+}
+
+app.post('/api/agents/:id/restart', auth.requireRepoAccess(repoFromAgentId), (req, res) => {
   const agentId = req.params.id;
-  db.get('SELECT * FROM agents WHERE id = ?', [agentId], async (err, agent) => {
+  db.get('SELECT * FROM agents WHERE id = ?', [agentId], (err, agent) => {
     if (err) {
       console.error('Error fetching agent:', err);
       return res.status(500).json({ error: 'Database error' });
@@ -1788,35 +2770,14 @@ app.post('/api/agents/:id/restart', (req, res) => {
     if (!agent) {
       return res.status(404).json({ error: 'Agent not found' });
     }
-
-    try {
-      const agentPath = path.join(AGENTS_DIR, agent.branch_hash);
-      
-      // Ensure agent has all required fields
-      if (!agent.repo_url || !agent.branch_name) {
-        console.log(`Agent ${agentId} missing repo_url/branch_name, fetching from DB...`);
-        const fullAgent = await new Promise((resolve, reject) => {
-          db.get('SELECT * FROM agents WHERE id = ?', [agentId], (err, row) => {
-            if (err) return reject(err);
-            resolve(row);
-          });
-        });
-        Object.assign(agent, fullAgent);
-      }
-      
-      await startOrReloadAgent(agent, agentPath, agent.branch_hash);
-      res.json({ success: true, message: 'Agent restarted' });
-    } catch (error) {
-      console.error('Error restarting agent:', error);
-      res.status(500).json({ error: 'Failed to restart agent' });
-    }
+    queueAgentRestart(agent, res);
   });
 });
 
 // Restart agent by branch_hash
-app.post('/api/agents/branch/:branch_hash/restart', (req, res) => {
+app.post('/api/agents/branch/:branch_hash/restart', auth.requireRepoAccess(repoFromBranchHash), (req, res) => {
   const branch_hash = req.params.branch_hash;
-  db.get('SELECT * FROM agents WHERE branch_hash = ?', [branch_hash], async (err, agent) => {
+  db.get('SELECT * FROM agents WHERE branch_hash = ?', [branch_hash], (err, agent) => {
     if (err) {
       console.error('Error fetching agent:', err);
       return res.status(500).json({ error: 'Database error' });
@@ -1824,64 +2785,13 @@ app.post('/api/agents/branch/:branch_hash/restart', (req, res) => {
     if (!agent) {
       return res.status(404).json({ error: 'Agent not found' });
     }
-
-    try {
-      const agentPath = path.join(AGENTS_DIR, agent.branch_hash);
-      
-      // Ensure agent has all fields
-      if (!agent.repo_url || !agent.branch_name) {
-        return res.status(400).json({ 
-          error: 'Agent missing repo_url or branch_name', 
-          agent: { id: agent.id, repo_url: agent.repo_url, branch_name: agent.branch_name } 
-        });
-      }
-      
-      // Check if agent directory and file exist, clone/pull if needed
-      if (!fs.existsSync(agentPath) || !fs.existsSync(path.join(agentPath, 'agent.ts'))) {
-        console.log(`[RESTART] Agent directory or agent.ts missing for ${agent.branch_name}, cloning/pulling...`);
-        if (!fs.existsSync(agentPath)) {
-          shell.mkdir('-p', agentPath);
-          shell.cd(agentPath);
-          const cloneResult = shell.exec(`git clone ${agent.repo_url} . --branch ${agent.branch_name}`, { silent: true });
-          if (cloneResult.code !== 0) {
-            return res.status(500).json({ error: `Failed to clone agent directory: ${cloneResult.stderr}` });
-          }
-          if (fs.existsSync(path.join(agentPath, 'package.json'))) {
-            shell.exec('npm install', { silent: true });
-          }
-        } else {
-          shell.cd(agentPath);
-          shell.exec('git reset --hard HEAD', { silent: true });
-          shell.exec(`git fetch origin && git checkout ${agent.branch_name} && git pull origin ${agent.branch_name}`, { silent: true });
-          if (fs.existsSync(path.join(agentPath, 'package.json'))) {
-            shell.exec('npm install', { silent: true });
-          }
-        }
-        if (!fs.existsSync(path.join(agentPath, 'agent.ts'))) {
-          return res.status(500).json({ error: 'agent.ts not found after clone/pull' });
-        }
-      }
-      
-      console.log(`[RESTART] Restarting agent: ${agent.branch_name} with REPO_URL=${agent.repo_url}`);
-      await startOrReloadAgent(agent, agentPath, agent.branch_hash);
-      res.json({ 
-        success: true, 
-        message: 'Agent restarted', 
-        agent: { 
-          branch_name: agent.branch_name, 
-          branch_hash,
-          repo_url: agent.repo_url
-        } 
-      });
-    } catch (error) {
-      console.error('Error restarting agent:', error);
-      res.status(500).json({ error: 'Failed to restart agent', details: error.message });
-    }
+    queueAgentRestart(agent, res);
   });
 });
 
+
 // Stats endpoint
-app.get('/api/stats/:repo_url/:branch_name', async (req, res) => {
+app.get('/api/stats/:repo_url/:branch_name', auth.readAccess, async (req, res) => {
   const { repo_url, branch_name } = req.params;
   const branch_hash = ethers.id(repo_url + "/" + branch_name);
 
@@ -1890,8 +2800,9 @@ app.get('/api/stats/:repo_url/:branch_name', async (req, res) => {
       if (err) throw new Error(err);
       if (!agent) return res.status(404).json({ error: 'Agent not found' });
 
-      // 1. Get on-chain balance
-      const balance = await provider.getBalance(agent.agent_address);
+      // 1. Get on-chain balances (SOMI + AGENT_TOKENS)
+      const balances = await treasury.balances(agent.agent_address);
+      const native = balances[0];
 
       // 2. Get pm2 status
       const pm2Status = await getPm2Status(branch_hash);
@@ -1901,7 +2812,8 @@ app.get('/api/stats/:repo_url/:branch_name', async (req, res) => {
         branch: branch_name,
         status: pm2Status || 'unknown',
         agent_address: agent.agent_address,
-        balance: ethers.formatEther(balance) + " SOMI",
+        balance: native.error ? null : native.balance + " SOMI",
+        balances,
       };
 
       res.status(200).json(stats);
@@ -1913,7 +2825,7 @@ app.get('/api/stats/:repo_url/:branch_name', async (req, res) => {
 });
 
 // Logs endpoint by branch_hash (simpler for dashboard)
-app.get('/api/logs/:branch_hash', (req, res) => {
+app.get('/api/logs/:branch_hash', auth.readAccess, (req, res) => {
   const { branch_hash } = req.params;
   
   try {
@@ -1930,9 +2842,9 @@ app.get('/api/logs/:branch_hash', (req, res) => {
       
       // Get metrics as logs (always works)
       db.all(
-        'SELECT decision, price, timestamp, trade_executed, trade_tx_hash FROM metrics WHERE agent_id = ? ORDER BY timestamp DESC LIMIT 100',
+        'SELECT decision, action, confidence, price, timestamp, trade_executed, trade_tx_hash FROM metrics WHERE agent_id = ? ORDER BY timestamp DESC LIMIT 100',
         [agent.id],
-        (metricsErr, metrics) => {
+        async (metricsErr, metrics) => {
           if (metricsErr) {
             console.error('Error fetching metrics:', metricsErr);
             return res.status(500).json({ error: 'Database error' });
@@ -1945,8 +2857,8 @@ app.get('/api/logs/:branch_hash', (req, res) => {
             logLines = metrics.map(m => {
               const timestamp = new Date(m.timestamp).toISOString().replace('T', ' ').substring(0, 19);
               const tradeInfo = m.trade_executed && m.trade_tx_hash ? ` [Trade: ${m.trade_tx_hash.substring(0, 10)}...]` : '';
-              const decisionType = m.decision.includes('BUY') ? '🟢 BUY' : m.decision.includes('HOLD') ? '🟡 HOLD' : m.decision;
-              return `[${timestamp}] ${decisionType} - Price: $${m.price?.toFixed(4) || 'N/A'}${tradeInfo}`;
+              const confidence = m.confidence !== null ? ` (${Math.round(m.confidence * 100)}% confidence)` : '';
+              return `[${timestamp}] ${decisionLabel(m)}${confidence} - Price: $${m.price?.toFixed(4) || 'N/A'}${tradeInfo}`;
             });
           } else {
             // No metrics yet
@@ -1958,7 +2870,13 @@ app.get('/api/logs/:branch_hash', (req, res) => {
             ];
           }
           
-          // Try to get PM2 logs synchronously (for Render compatibility)
+          // Console output stored from the PM2 bus (agent_logs) survives redeploys; prefer it
+          const storedLines = await logStore.recent(branch_hash, 80).catch((storeErr) => {
+            console.error('Error reading stored agent logs:', storeErr.message);
+            return [];
+          });
+
+          // Otherwise try to get PM2 logs synchronously (for Render compatibility)
           const pm2Name = branch_hash.replace('0x', '').substring(0, 16);
           const possibleLogPaths = [
             path.join('/tmp', '.pm2', 'logs', `${pm2Name}-out.log`),
@@ -1967,8 +2885,8 @@ app.get('/api/logs/:branch_hash', (req, res) => {
             path.join(process.env.HOME || '/tmp', '.pm2', 'logs', `${pm2Name}-out.log`)
           ];
           
-          let pm2LogLines = [];
-          for (const logPath of possibleLogPaths) {
+          let pm2LogLines = storedLines.map(line => `[${line.timestamp.replace('T', ' ').substring(0, 19)}] ${line.message}`);
+          for (const logPath of (pm2LogLines.length > 0 ? [] : possibleLogPaths)) {
             try {
               if (fs.existsSync(logPath)) {
                 const pm2Logs = fs.readFileSync(logPath, 'utf8');
@@ -2009,7 +2927,7 @@ app.get('/api/logs/:branch_hash', (req, res) => {
           
           res.status(200).json({ 
             logs: logLines,
-            source: pm2LogLines.length > 0 ? 'pm2' : (metrics && metrics.length > 0 ? 'metrics' : 'info'),
+            source: storedLines.length > 0 ? 'stored' : (pm2LogLines.length > 0 ? 'pm2' : (metrics && metrics.length > 0 ? 'metrics' : 'info')),
             note: pm2LogLines.length > 0 
               ? 'Showing PM2 console logs and recent decisions' 
               : 'Showing agent decisions (PM2 logs not available - check Render dashboard for full logs)'
@@ -2023,8 +2941,74 @@ app.get('/api/logs/:branch_hash', (req, res) => {
   }
 });
 
+// Live logs over Server-Sent Events: PM2 console output interleaved with new metrics rows
+// Query: ?level=error|warn|info (minimum severity), ?decision=BUY,SELL, ?type=log|metric, ?backlog=N recent metrics (default 20)
+// EventSource can't send headers, so the API token may also be passed as ?access_token=
+// Registered before the legacy /api/logs/:repo_url/:branch_name route, which would otherwise match
+app.get('/api/logs/:branch_hash/stream', auth.allowQueryToken, auth.readAccess, (req, res) => {
+  const { branch_hash } = req.params;
+  const filter = parseLogFilter(req.query);
+  if (filter.error) {
+    return res.status(400).json({ error: filter.error });
+  }
+  const backlog = Math.min(Math.max(parseInt(req.query.backlog ?? '20', 10) || 0, 0), 200);
+
+  db.get('SELECT id, branch_name FROM agents WHERE branch_hash = ?', [branch_hash], (err, agent) => {
+    if (err) {
+      console.error('Error fetching agent for log stream:', err);
+      return res.status(500).json({ error: 'Database error' });
+    }
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // don't let nginx-style proxies buffer the stream
+    });
+    res.write(': connected\n\n');
+
+    let closed = false;
+    const send = (event) => {
+      if (closed || !filter.matches(event)) return;
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    // Recent decisions first so a new viewer doesn't start with an empty panel
+    db.all(
+      `SELECT id, decision, action, asset_pair, confidence, reasoning, model, latency_ms,
+              price, trade_executed, trade_tx_hash, trade_amount, trade_fee, timestamp
+       FROM metrics WHERE agent_id = ? ORDER BY id DESC LIMIT ?`,
+      [agent.id, backlog],
+      (metricsErr, rows) => {
+        if (metricsErr) {
+          console.error('Error fetching recent metrics for log stream:', metricsErr);
+        }
+        (rows || []).reverse().forEach(row => send(metricEvent(row)));
+        if (closed) return;
+
+        const unsubscribe = logStream.subscribe(branch_hash, send);
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+        req.on('close', () => {
+          clearInterval(heartbeat);
+          unsubscribe();
+        });
+
+        logStream.connectBus().then((connected) => {
+          if (closed) return;
+          // Tell the client whether console output will follow or only metrics
+          res.write(`event: status\ndata: ${JSON.stringify({ agent: agent.branch_name, pm2: connected })}\n\n`);
+        });
+      }
+    );
+    req.on('close', () => { closed = true; });
+  });
+});
+
 // Legacy logs endpoint (for compatibility)
-app.get('/api/logs/:repo_url/:branch_name', (req, res) => {
+app.get('/api/logs/:repo_url/:branch_name', auth.readAccess, (req, res) => {
   const { repo_url, branch_name } = req.params;
   const branch_hash = ethers.id(repo_url + "/" + branch_name);
   // Redirect to new endpoint
@@ -2054,190 +3038,405 @@ app.get('/dashboard', (req, res) => {
   }
 });
 
-// Metrics endpoint - Agents can post their decisions/transactions here
-app.post('/api/metrics', async (req, res) => {
-  const { repo_url, branch_name, decision, price, trade_executed, trade_tx_hash, trade_amount } = req.body;
+// The agent an ingestion request (POST /api/metrics, /api/metrics/custom) is for, checked against the
+// X-Agent-Token header. Sends the 401/403/404 itself and resolves to null when the request can't go on.
+async function authenticateIngest(req, res, repo_url, branch_name) {
+  const authHeader = req.headers.authorization || '';
+  const token = req.headers['x-agent-token'] || (authHeader.match(/^Bearer\s+(.+)$/i) || [])[1];
+  if (!token) {
+    res.status(401).json({ error: 'Missing X-Agent-Token header (use the AGENT_INGEST_TOKEN env var)' });
+    return null;
+  }
+
+  const branch_hash = ethers.id(repo_url + "/" + branch_name);
+
+  // Find the agent and its ingestion token - only agents deployed by this backend can report metrics
+  const agent = await new Promise((resolve, reject) => {
+    db.get(
+      `SELECT a.id, t.token_hash FROM agents a
+       LEFT JOIN agent_ingest_tokens t ON t.branch_hash = a.branch_hash
+       WHERE a.branch_hash = ?`,
+      [branch_hash],
+      (err, row) => err ? reject(err) : resolve(row)
+    );
+  });
+  if (!agent) {
+    res.status(404).json({ error: 'Agent not found. Please deploy agent first via webhook.' });
+    return null;
+  }
+
+  const expected = Buffer.from(agent.token_hash || '');
+  const actual = Buffer.from(hashIngestToken(String(token)));
+  if (expected.length !== actual.length || !nodeCrypto.timingSafeEqual(expected, actual)) {
+    console.warn(`[Metrics] Rejected ${req.path} for ${branch_name}: ingestion token mismatch`);
+    res.status(403).json({ error: 'Invalid ingestion token for this agent' });
+    return null;
+  }
+  return { id: agent.id, branch_hash };
+}
+
+// Metrics endpoint - Agents can post their decisions/transactions here
+// Agents post with their own ingestion token (AGENT_INGEST_TOKEN) in X-Agent-Token
+app.post('/api/metrics', async (req, res) => {
+  const { repo_url, branch_name, price, trade_executed, trade_tx_hash, trade_amount, trade_fee } = req.body;
+
+  if (!repo_url || !branch_name) {
+    return res.status(400).json({ error: 'Missing required fields: repo_url, branch_name' });
+  }
+  const parsed = parseDecision(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  const { decision } = parsed;
+  if (trade_amount !== undefined && trade_amount !== null && !(typeof trade_amount === 'number' && trade_amount >= 0)) {
+    return res.status(400).json({ error: 'trade_amount must be a non-negative number' });
+  }
+  if (trade_fee !== undefined && trade_fee !== null && !(typeof trade_fee === 'number' && trade_fee >= 0)) {
+    return res.status(400).json({ error: 'trade_fee must be a non-negative number' });
+  }
+
+  try {
+    const agent = await authenticateIngest(req, res, repo_url, branch_name);
+    if (!agent) return;
+
+    db.run(
+      `INSERT INTO metrics (agent_id, decision, action, asset_pair, confidence, reasoning, model, latency_ms,
+         price, trade_executed, trade_tx_hash, trade_amount, trade_fee) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [agent.id, decision.decision, decision.action, decision.asset_pair, decision.confidence, decision.reasoning,
+        decision.model, decision.latency_ms, price || null, trade_executed ? 1 : 0, trade_tx_hash || null,
+        trade_amount || null, trade_fee || null],
+      function (err) {
+        if (err) {
+          console.error('Error inserting metric:', err);
+          return res.status(500).json({ error: 'Failed to save metric' });
+        }
+        logStream.publishMetric(agent.branch_hash, {
+          id: this.lastID, ...decision, price, trade_executed, trade_tx_hash, trade_amount, trade_fee
+        });
+        res.status(201).json({ success: true, metric_id: this.lastID, action: decision.action });
+      }
+    );
+  } catch (error) {
+    console.error('Error saving metric:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+});
+
+// Custom metrics - counters, gauges and histograms an agent defines itself (see custom-metrics.js)
+// Same X-Agent-Token as POST /api/metrics
+app.post('/api/metrics/custom', async (req, res) => {
+  const { repo_url, branch_name } = req.body;
+
+  if (!repo_url || !branch_name) {
+    return res.status(400).json({ error: 'Missing required fields: repo_url, branch_name' });
+  }
+  const parsed = parseMetricPoints(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  try {
+    const agent = await authenticateIngest(req, res, repo_url, branch_name);
+    if (!agent) return;
+
+    const result = await customMetrics.record(agent.branch_hash, parsed.points);
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+    res.status(201).json({ success: true, recorded: result.recorded });
+  } catch (error) {
+    console.error('Error saving custom metrics:', error);
+    res.status(500).json({ error: 'Failed to save metrics' });
+  }
+});
+
+// Issue a new ingestion token and restart the agent with it (the old token stops working immediately)
+app.post('/api/agents/:branch_hash/ingest-token/rotate', auth.requireRepoAccess(repoFromBranchHash), (req, res) => {
+  const { branch_hash } = req.params;
+
+  db.get('SELECT id, repo_url, branch_name, branch_hash, status FROM agents WHERE branch_hash = ?', [branch_hash], async (err, agent) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    try {
+      await saveIngestToken(branch_hash);
+      console.log(`[Ingest] Rotated ingestion token for ${agent.branch_name}`);
+      const restartJob = await restartAfterSecretChange(agent);
+      res.status(restartJob ? 202 : 200).json(secretChangeResponse({ success: true, rotated: true, agent_id: agent.id }, restartJob));
+    } catch (error) {
+      console.error('Error rotating ingestion token:', error);
+      res.status(500).json({ error: 'Failed to rotate ingestion token', details: error.message });
+    }
+  });
+});
+
+// Look up the agent for a metrics read and run `read(agent)`; 404 for unknown agents
+async function readAgentMetrics(req, res, read) {
+  try {
+    const agent = await new Promise((resolve, reject) => {
+      db.get('SELECT id FROM agents WHERE branch_hash = ?', [req.params.branch_hash], (err, row) => err ? reject(err) : resolve(row));
+    });
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+    res.json(await read(agent));
+  } catch (error) {
+    console.error(`Error reading ${req.path}:`, error);
+    res.status(500).json({ error: 'Database error' });
+  }
+}
+
+// Get metrics for an agent, newest first
+// Query: from, to (ISO date or "24h"/"7d" ago), limit (default 100, max 1000), cursor (next_cursor of the previous page), order (desc|asc)
+app.get('/api/metrics/:branch_hash', auth.readAccess, (req, res) => {
+  const parsed = parsePageQuery(req.query);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  readAgentMetrics(req, res, agent => metricsQuery.page(agent.id, parsed.options));
+});
+
+// Price OHLC and decision counts per window
+// Query: window (1m, 15m, 1h, 1d, ... - default 1h), from, to (default the last 24h)
+app.get('/api/metrics/:branch_hash/buckets', auth.readAccess, (req, res) => {
+  const parsed = parseBucketQuery(req.query);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+  readAgentMetrics(req, res, async agent => ({ branch_hash: req.params.branch_hash, ...(await metricsQuery.buckets(agent.id, parsed.options)) }));
+});
 
-  if (!repo_url || !branch_name || !decision) {
-    return res.status(400).json({ error: 'Missing required fields: repo_url, branch_name, decision' });
+// Get recent trades for an agent, newest first
+// Query: same as /api/metrics/:branch_hash (default limit 50)
+app.get('/api/trades/:branch_hash', auth.readAccess, (req, res) => {
+  const parsed = parsePageQuery(req.query);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
   }
+  readAgentMetrics(req, res, agent => metricsQuery.trades(agent.id, parsed.options));
+});
 
-  const branch_hash = ethers.id(repo_url + "/" + branch_name);
+// Counts are by action (see decisions.js); rows whose decision has no action word are `unclassified_count`
+app.get('/api/stats/:branch_hash', auth.readAccess, async (req, res) => {
+  const { branch_hash } = req.params;
+  const dbGet = (sql, params) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+  });
+  const dbAll = (sql, params) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
 
   try {
-    // Find the agent in the DB
-    db.get('SELECT id FROM agents WHERE branch_hash = ?', [branch_hash], async (err, agent) => {
-      if (err) {
-        console.error('Database error:', err);
-        return res.status(500).json({ error: 'Database error' });
-      }
-      
-      // If agent doesn't exist, try to find it on-chain and create DB entry
-      if (!agent) {
-        console.log(`Agent ${branch_hash} not found in DB, checking blockchain...`);
-        try {
-          const { agentFactoryContract: factoryContract } = getEthersSetup();
-          const agentAddress = await factoryContract.agents(branch_hash);
-          
-          if (agentAddress && agentAddress !== ethers.ZeroAddress && agentAddress !== "0x0000000000000000000000000000000000000000") {
-            console.log(`Agent found on-chain at ${agentAddress}, creating DB entry...`);
-            // Create agent entry in database
-            db.run(
-              'INSERT INTO agents (repo_url, branch_name, branch_hash, agent_address, status) VALUES (?, ?, ?, ?, ?)',
-              [repo_url, branch_name, branch_hash, agentAddress, 'running'],
-              function (err) {
-                if (err) {
-                  console.error('Error creating agent entry:', err);
-                  return res.status(500).json({ error: 'Failed to create agent entry' });
-                }
-                
-                // Now save the metric
-                db.run(
-                  'INSERT INTO metrics (agent_id, decision, price, trade_executed, trade_tx_hash, trade_amount) VALUES (?, ?, ?, ?, ?, ?)',
-                  [this.lastID, decision, price || null, trade_executed ? 1 : 0, trade_tx_hash || null, trade_amount || null],
-                  function (err) {
-                    if (err) {
-                      console.error('Error inserting metric:', err);
-                      return res.status(500).json({ error: 'Failed to save metric' });
-                    }
-                    res.status(201).json({ success: true, metric_id: this.lastID });
-                  }
-                );
-              }
-            );
-          } else {
-            console.log(`Agent ${branch_hash} not found on-chain either`);
-            return res.status(404).json({ error: 'Agent not found. Please deploy agent first via webhook.' });
-          }
-        } catch (blockchainError) {
-          console.error('Error checking blockchain:', blockchainError);
-          return res.status(500).json({ error: 'Failed to check blockchain for agent' });
-        }
-        return; // Exit early, response will be sent in callback
-      }
+    const agent = await dbGet('SELECT id FROM agents WHERE branch_hash = ?', [branch_hash]);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
 
-      // Agent exists, insert metric normally
-      db.run(
-        'INSERT INTO metrics (agent_id, decision, price, trade_executed, trade_tx_hash, trade_amount) VALUES (?, ?, ?, ?, ?, ?)',
-        [agent.id, decision, price || null, trade_executed ? 1 : 0, trade_tx_hash || null, trade_amount || null],
-        function (err) {
-          if (err) {
-            console.error('Error inserting metric:', err);
-            return res.status(500).json({ error: 'Failed to save metric' });
-          }
-          res.status(201).json({ success: true, metric_id: this.lastID });
-        }
-      );
-    });
+    // Get aggregated stats
+    const stats = await dbGet(`
+      SELECT 
+        COUNT(*) as total_decisions,
+        SUM(CASE WHEN action = 'BUY' THEN 1 ELSE 0 END) as buy_count,
+        SUM(CASE WHEN action = 'SELL' THEN 1 ELSE 0 END) as sell_count,
+        SUM(CASE WHEN action = 'HOLD' THEN 1 ELSE 0 END) as hold_count,
+        SUM(CASE WHEN action = 'CLOSE' THEN 1 ELSE 0 END) as close_count,
+        SUM(CASE WHEN action IS NULL THEN 1 ELSE 0 END) as unclassified_count,
+        SUM(CASE WHEN trade_executed = 1 THEN 1 ELSE 0 END) as trades_executed,
+        AVG(confidence) as avg_confidence,
+        AVG(price) as avg_price,
+        MIN(price) as min_price,
+        MAX(price) as max_price,
+        MIN(timestamp) as first_decision,
+        MAX(timestamp) as last_decision
+      FROM metrics 
+      WHERE agent_id = ?
+    `, [agent.id]);
+
+    const rows = await dbAll(`
+      SELECT action,
+        COUNT(*) as count,
+        SUM(CASE WHEN trade_executed = 1 THEN 1 ELSE 0 END) as trades_executed,
+        AVG(confidence) as avg_confidence,
+        AVG(latency_ms) as avg_latency_ms,
+        AVG(price) as avg_price,
+        MAX(timestamp) as last_decision
+      FROM metrics
+      WHERE agent_id = ? AND action IS NOT NULL
+      GROUP BY action
+    `, [agent.id]);
+    const by_action = {};
+    for (const action of ACTIONS) {
+      const row = rows.find(item => item.action === action);
+      by_action[action] = row
+        ? { count: row.count, trades_executed: row.trades_executed, avg_confidence: row.avg_confidence, avg_latency_ms: row.avg_latency_ms, avg_price: row.avg_price, last_decision: row.last_decision }
+        : { count: 0, trades_executed: 0, avg_confidence: null, avg_latency_ms: null, avg_price: null, last_decision: null };
+    }
+
+    res.json({ stats: { ...stats, by_action, pnl: await pnl.summary(agent.id) } });
   } catch (error) {
-    console.error('Error saving metric:', error);
-    res.status(500).send('Internal server error');
+    console.error('Error fetching stats:', error);
+    res.status(500).json({ error: 'Database error' });
   }
 });
 
-// Get metrics for an agent
-app.get('/api/metrics/:branch_hash', (req, res) => {
+// Position and PnL time series of an agent (see pnl.js)
+// Query: from, to (ISO date or "24h"/"7d" ago), limit (most recent points, default 500, max 5000)
+app.get('/api/pnl/:branch_hash', auth.readAccess, async (req, res) => {
   const { branch_hash } = req.params;
+  const { from, to, limit } = req.query;
+
+  const range = {};
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value === undefined) continue;
+    range[name] = parseTimeParam(value);
+    if (!range[name]) {
+      return res.status(400).json({ error: `${name} must be an ISO date or a duration like 15m, 24h or 7d` });
+    }
+  }
+  if (limit !== undefined && !/^\d+$/.test(limit)) {
+    return res.status(400).json({ error: 'limit must be a positive integer' });
+  }
 
   try {
-    db.get('SELECT id FROM agents WHERE branch_hash = ?', [branch_hash], (err, agent) => {
-      if (err || !agent) {
-        return res.status(404).json({ error: 'Agent not found' });
-      }
-
-      db.all(
-        'SELECT * FROM metrics WHERE agent_id = ? ORDER BY timestamp DESC LIMIT 100',
-        [agent.id],
-        (err, metrics) => {
-          if (err) {
-            return res.status(500).json({ error: 'Database error' });
-          }
-          res.json({ metrics });
-        }
-      );
+    const agent = await new Promise((resolve, reject) => {
+      db.get('SELECT id, branch_name FROM agents WHERE branch_hash = ?', [branch_hash], (err, row) => {
+        if (err) return reject(err);
+        resolve(row);
+      });
     });
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const result = await pnl.forAgent(agent.id, { ...range, limit });
+    res.json({ branch_hash, branch_name: agent.branch_name, ...result });
   } catch (error) {
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Error computing PnL:', error);
+    res.status(500).json({ error: 'Database error' });
   }
 });
 
-// Get stats for an agent (aggregated metrics)
-// Get recent trades for an agent
-app.get('/api/trades/:branch_hash', (req, res) => {
-  const { branch_hash } = req.params;
-  
-  if (!branch_hash) {
-    return res.status(400).json({ error: 'Branch hash required' });
+// Secrets management endpoint
+// Queue a restart so a changed secret reaches the running process (null when there is nothing to restart)
+async function restartAfterSecretChange(agent) {
+  if (!agent.repo_url || !agent.branch_name || agent.status === 'archived') {
+    return null;
   }
-  
-  db.get('SELECT id FROM agents WHERE branch_hash = ?', [branch_hash], (err, agent) => {
-    if (err) {
-      console.error('Error fetching agent:', err);
-      return res.status(500).json({ error: 'Database error' });
-    }
-    
-    if (!agent) {
-      return res.status(404).json({ error: 'Agent not found' });
-    }
-    
-    // Get only executed trades
+  console.log(`[SECRETS] Queueing restart for ${agent.branch_name} after secret change`);
+  return deploymentPipeline.enqueue({
+    type: 'restart',
+    repo_url: agent.repo_url,
+    branch_name: agent.branch_name,
+    branch_hash: agent.branch_hash,
+    source: 'restart'
+  });
+}
+
+function secretChangeResponse(body, restartJob) {
+  if (restartJob) {
+    body.restart_job_id = restartJob.id;
+    body.status_url = `/api/jobs/${restartJob.id}`;
+  }
+  return body;
+}
+
+// Live agents of a repo that inherit `key` from the repo level (no branch secret overrides it)
+function repoAgentsInheritingSecret(repo_url, key) {
+  return new Promise((resolve, reject) => {
     db.all(
-      `SELECT decision, price, timestamp, trade_tx_hash, trade_amount 
-       FROM metrics 
-       WHERE agent_id = ? AND trade_executed = 1 AND trade_tx_hash IS NOT NULL 
-       ORDER BY timestamp DESC 
-       LIMIT 50`,
-      [agent.id],
-      (metricsErr, trades) => {
-        if (metricsErr) {
-          console.error('Error fetching trades:', metricsErr);
-          return res.status(500).json({ error: 'Database error' });
-        }
-        
-        res.json({ trades: trades || [] });
-      }
+      `SELECT id, repo_url, branch_name, branch_hash, status FROM agents
+       WHERE repo_url = ? AND status != 'archived'
+         AND branch_hash NOT IN (SELECT branch_hash FROM secrets WHERE key = ?)`,
+      [repo_url, key],
+      (err, rows) => err ? reject(err) : resolve(rows || [])
     );
   });
-});
+}
 
-app.get('/api/stats/:branch_hash', (req, res) => {
-  const { branch_hash } = req.params;
+// Queue restarts for every live agent of a repo that inherits `key` from the repo level
+async function restartRepoAgentsAfterSecretChange(repo_url, key) {
+  const agents = await repoAgentsInheritingSecret(repo_url, key);
+  const jobs = [];
+  for (const agent of agents) {
+    const job = await restartAfterSecretChange(agent);
+    if (job) jobs.push(job.id);
+  }
+  return jobs;
+}
+
+// Repo-level secret: stored once per repo_url and inherited by every branch that doesn't override it
+async function setRepoSecret(req, res) {
+  const { repo_url, key, value, restart } = req.body;
+
+  if (!repo_url || !key || !value) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
 
+  // Reject values that don't match the pattern an inheriting agent declares for this secret;
+  // saving them would only queue restarts that fail with invalid_secrets
+  let inheriting;
   try {
-    db.get('SELECT id FROM agents WHERE branch_hash = ?', [branch_hash], (err, agent) => {
-      if (err || !agent) {
-        return res.status(404).json({ error: 'Agent not found' });
+    inheriting = await repoAgentsInheritingSecret(repo_url, key);
+  } catch (err) {
+    console.error('Error fetching repo agents:', err);
+    return res.status(500).json({ error: 'Database error' });
+  }
+  const mismatches = [];
+  for (const agent of inheriting) {
+    let declared = null;
+    try {
+      declared = loadManifest(path.join(AGENTS_DIR, agent.branch_hash)).secrets.find(s => s.name === key);
+    } catch (manifestError) {
+      console.warn(`Could not read deploy manifest for ${agent.branch_name}: ${manifestError.message}`);
+    }
+    if (declared && declared.pattern && !matchesPattern(declared.pattern, value)) {
+      mismatches.push({ branch_name: agent.branch_name, description: declared.description, pattern: declared.pattern });
+    }
+  }
+  if (mismatches.length > 0) {
+    return res.status(400).json({
+      error: `Value for ${key} does not match the expected format`,
+      agents: mismatches
+    });
+  }
+
+  const encrypted_value = crypto.encrypt(value);
+  db.run(
+    `INSERT INTO repo_secrets (repo_url, key, encrypted_value) VALUES (?, ?, ?)
+     ON CONFLICT(repo_url, key) DO UPDATE SET
+       encrypted_value = excluded.encrypted_value,
+       updated_at = CURRENT_TIMESTAMP`,
+    [repo_url, key, encrypted_value],
+    async (err) => {
+      if (err) {
+        console.error('Error saving repo secret:', err);
+        return res.status(500).json({ error: 'Database error' });
       }
+      console.log(`Repo secret ${key} set for ${repo_url}`);
 
-      // Get aggregated stats
-      db.get(`
-        SELECT 
-          COUNT(*) as total_decisions,
-          SUM(CASE WHEN decision LIKE '%BUY%' THEN 1 ELSE 0 END) as buy_count,
-          SUM(CASE WHEN decision LIKE '%HOLD%' THEN 1 ELSE 0 END) as hold_count,
-          SUM(CASE WHEN trade_executed = 1 THEN 1 ELSE 0 END) as trades_executed,
-          AVG(price) as avg_price,
-          MIN(price) as min_price,
-          MAX(price) as max_price,
-          MIN(timestamp) as first_decision,
-          MAX(timestamp) as last_decision
-        FROM metrics 
-        WHERE agent_id = ?
-      `, [agent.id], (err, stats) => {
-        if (err) {
-          return res.status(500).json({ error: 'Database error' });
+      const body = { success: true, scope: 'repo', repo_url, key };
+      if (restart === true || restart === 'true') {
+        try {
+          body.restart_job_ids = await restartRepoAgentsAfterSecretChange(repo_url, key);
+        } catch (restartError) {
+          console.error('Error queueing restarts:', restartError);
         }
-        res.json({ stats: stats || {} });
-      });
-    });
-  } catch (error) {
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+      }
+      res.status(201).json(body);
+    }
+  );
+}
 
-// Secrets management endpoint
-app.post('/api/secrets', (req, res) => {
-  const { repo_url, branch_name, key, value } = req.body;
+app.post('/api/secrets', auth.requireRepoAccess(repoFromBody), (req, res) => {
+  const { repo_url, branch_name, key, value, restart, scope } = req.body;
+
+  if (scope === 'repo') {
+    return setRepoSecret(req, res);
+  }
 
   if (!repo_url || !branch_name || !key || !value) {
     return res.status(400).json({ error: 'Missing required fields' });
@@ -2247,24 +3446,57 @@ app.post('/api/secrets', (req, res) => {
 
   try {
     // 1. Find the agent in the DB
-    db.get('SELECT id FROM agents WHERE branch_hash = ?', [branch_hash], (err, agent) => {
+    db.get('SELECT id, repo_url, branch_name, branch_hash, status FROM agents WHERE branch_hash = ?', [branch_hash], (err, agent) => {
       if (err) throw new Error(err);
       if (!agent) {
         return res.status(404).json({ error: 'Agent for this repo/branch not found. Please push the branch first.' });
       }
 
-      // 2. Encrypt the secret
+      // 2. Reject values that don't match the pattern the agent declares for this secret
+      let declared = null;
+      try {
+        declared = loadManifest(path.join(AGENTS_DIR, branch_hash)).secrets.find(s => s.name === key);
+      } catch (manifestError) {
+        console.warn(`Could not read deploy manifest for ${branch_name}: ${manifestError.message}`);
+      }
+      if (declared && declared.pattern && !matchesPattern(declared.pattern, value)) {
+        return res.status(400).json({
+          error: `Value for ${key} does not match the expected format`,
+          description: declared.description,
+          pattern: declared.pattern
+        });
+      }
+
+      // 3. Encrypt the secret
       const encrypted_value = crypto.encrypt(value);
 
-      // 3. Save the secret by branch_hash (stable) AND agent_id (for backward compatibility)
+      // 4. Save the secret by branch_hash (stable) AND agent_id (for backward compatibility)
       // This ensures secrets survive Render redeploys when agents get new IDs
+      // Upsert keeps created_at of an existing key and bumps updated_at
       db.run(
-        'INSERT OR REPLACE INTO secrets (agent_id, branch_hash, key, encrypted_value) VALUES (?, ?, ?, ?)',
+        `INSERT INTO secrets (agent_id, branch_hash, key, encrypted_value) VALUES (?, ?, ?, ?)
+         ON CONFLICT(branch_hash, key) DO UPDATE SET
+           agent_id = excluded.agent_id,
+           encrypted_value = excluded.encrypted_value,
+           updated_at = CURRENT_TIMESTAMP`,
         [agent.id, branch_hash, key, encrypted_value],
-        (err) => {
-          if (err) throw new Error(err);
-          console.log(`Secret ${key} added for agent ${agent.id}`);
-          res.status(201).json({ success: true, agent_id: agent.id, key: key });
+        async (err) => {
+          if (err) {
+            console.error('Error saving secret:', err);
+            return res.status(500).json({ error: 'Database error' });
+          }
+          console.log(`Secret ${key} set for agent ${agent.id}`);
+
+          // 5. Optionally restart the agent so it picks up the new value
+          let restartJob = null;
+          if (restart === true || restart === 'true') {
+            try {
+              restartJob = await restartAfterSecretChange(agent);
+            } catch (restartError) {
+              console.error('Error queueing restart:', restartError);
+            }
+          }
+          res.status(201).json(secretChangeResponse({ success: true, scope: 'branch', agent_id: agent.id, key: key }, restartJob));
         }
       );
     });
@@ -2274,13 +3506,89 @@ app.post('/api/secrets', (req, res) => {
   }
 });
 
+// List secret names for an agent, including inherited repo-level ones (never values)
+app.get('/api/secrets/:branch_hash', auth.requireRepoAccess(repoFromBranchHash), (req, res) => {
+  const { branch_hash } = req.params;
+
+  db.get('SELECT id, branch_name, repo_url FROM agents WHERE branch_hash = ?', [branch_hash], async (err, agent) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    try {
+      const rows = await getAgentSecretRows(branch_hash, agent.repo_url);
+      res.json({
+        agent: { id: agent.id, branch_name: agent.branch_name, branch_hash },
+        secrets: rows.map(({ key, source, overrides_repo, created_at, updated_at }) => ({ key, source, overrides_repo, created_at, updated_at }))
+      });
+    } catch (error) {
+      console.error('Error listing secrets:', error);
+      res.status(500).json({ error: 'Database error' });
+    }
+  });
+});
+
+// Delete a secret (e.g. a leaked key); ?restart=true restarts the agent without it.
+// ?scope=repo deletes the repo-level value shared by every branch of the agent's repository.
+app.delete('/api/secrets/:branch_hash/:key', auth.requireRepoAccess(repoFromBranchHash), (req, res) => {
+  const { branch_hash, key } = req.params;
+  const restart = req.query.restart === 'true' || req.body?.restart === true;
+  const scope = req.query.scope === 'repo' ? 'repo' : 'branch';
+
+  db.get('SELECT id, repo_url, branch_name, branch_hash, status FROM agents WHERE branch_hash = ?', [branch_hash], (err, agent) => {
+    if (err) {
+      return res.status(500).json({ error: 'Database error' });
+    }
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const [sql, params] = scope === 'repo'
+      ? ['DELETE FROM repo_secrets WHERE repo_url = ? AND key = ?', [agent.repo_url, key]]
+      : ['DELETE FROM secrets WHERE branch_hash = ? AND key = ?', [branch_hash, key]];
+
+    db.run(sql, params, async function (err) {
+      if (err) {
+        console.error('Error deleting secret:', err);
+        return res.status(500).json({ error: 'Database error' });
+      }
+      if (this.changes === 0) {
+        return res.status(404).json({ error: scope === 'repo' ? `Secret ${key} is not set for this repository` : `Secret ${key} is not set for this agent` });
+      }
+      console.log(`Secret ${key} removed for ${scope === 'repo' ? agent.repo_url : `agent ${agent.id}`}`);
+
+      const body = { success: true, scope, agent_id: agent.id, key, deleted: true };
+      if (!restart) {
+        return res.json(body);
+      }
+      try {
+        if (scope === 'repo') {
+          body.restart_job_ids = await restartRepoAgentsAfterSecretChange(agent.repo_url, key);
+          return res.json(body);
+        }
+        return res.json(secretChangeResponse(body, await restartAfterSecretChange(agent)));
+      } catch (restartError) {
+        console.error('Error queueing restart:', restartError);
+        res.json(body);
+      }
+    });
+  });
+});
+
 // Check which required secrets are set for an agent
-app.get('/api/secrets/check/:branch_hash', (req, res) => {
+app.get('/api/secrets/check/:branch_hash', auth.requireRepoAccess(repoFromBranchHash), (req, res) => {
   const { branch_hash } = req.params;
 
-  // Required secrets for agents to function
-  const REQUIRED_SECRETS = ['GROQ_API_KEY', 'AGENT_PRIVATE_KEY'];
-  const OPTIONAL_SECRETS = ['AI_PROMPT']; // Optional override
+  // Required/optional secrets are declared by the agent's deploy manifest (defaults if it declares none)
+  let manifest;
+  try {
+    manifest = loadManifest(path.join(AGENTS_DIR, branch_hash));
+  } catch (manifestError) {
+    return res.status(422).json({ error: `Invalid deploy manifest: ${manifestError.message}` });
+  }
 
   try {
     // Find the agent
@@ -2293,31 +3601,30 @@ app.get('/api/secrets/check/:branch_hash', (req, res) => {
       }
 
       // Get all secrets for this branch_hash (stable identifier that survives Render redeploys)
-      // This ensures secrets are found even when agents get new IDs after database wipe
-      db.all(
-        `SELECT DISTINCT key 
-         FROM secrets 
-         WHERE branch_hash = ?`,
-        [branch_hash],
-        (err, rows) => {
-          if (err) {
-            return res.status(500).json({ error: 'Database error' });
+      // plus the repo-level secrets it inherits
+      getAgentSecretRows(branch_hash, agent.repo_url).then((rows) => {
+        // Decrypt only to validate against the declared patterns - values never leave this handler
+        const values = {};
+        rows.forEach(row => {
+          try {
+            values[row.key] = crypto.decrypt(row.encrypted_value);
+          } catch (decryptError) {
+            values[row.key] = true;
           }
+        });
 
-          const setSecrets = new Set(rows.map(row => row.key));
-        const requiredStatus = REQUIRED_SECRETS.map(key => ({
-          key,
-          set: setSecrets.has(key),
-          required: true
-        }));
-        const optionalStatus = OPTIONAL_SECRETS.map(key => ({
-          key,
-          set: setSecrets.has(key),
-          required: false
-        }));
-
-        const allSet = requiredStatus.every(s => s.set);
-        const missingRequired = requiredStatus.filter(s => !s.set);
+        const { status: secretStatus, missing, invalid } = checkSecrets(manifest, values);
+        // Say where each value comes from: the branch itself or the repo-level default
+        const sources = new Map(rows.map(row => [row.key, row.source]));
+        secretStatus.forEach(s => { s.source = sources.get(s.key) || null; });
+        const requiredStatus = secretStatus.filter(s => s.required);
+        const optionalStatus = secretStatus.filter(s => !s.required);
+
+        const allSet = missing.length === 0;
+        const ready = allSet && invalid.length === 0;
+        const problems = [];
+        if (!allSet) problems.push(`Missing required secrets: ${missing.join(', ')}`);
+        if (invalid.length > 0) problems.push(`Invalid secrets: ${invalid.join(', ')}`);
 
         res.json({
           agent: {
@@ -2330,12 +3637,17 @@ app.get('/api/secrets/check/:branch_hash', (req, res) => {
             optional: optionalStatus,
             all_required_set: allSet
           },
-          status: allSet ? 'ready' : 'missing_secrets',
-          missing: missingRequired.map(s => s.key),
-          message: allSet 
+          manifest_source: manifest.source,
+          status: ready ? 'ready' : (allSet ? 'invalid_secrets' : 'missing_secrets'),
+          missing,
+          invalid,
+          message: ready 
             ? 'All required secrets are set ✅' 
-            : `Missing required secrets: ${missingRequired.map(s => s.key).join(', ')}`
+            : problems.join('. ')
         });
+      }).catch((err) => {
+        console.error('Error loading secrets:', err);
+        res.status(500).json({ error: 'Database error' });
       });
     });
   } catch (error) {
@@ -2361,211 +3673,6 @@ app.use('*', (req, res) => {
   });
 });
 
-// Startup recovery: Recover agents from blockchain if database is empty
-async function recoverAgentsFromBlockchain() {
-  try {
-    // Check if database is empty
-    const agentCount = await new Promise((resolve, reject) => {
-      db.get('SELECT COUNT(*) as count FROM agents', (err, row) => {
-        if (err) return reject(err);
-        resolve(row?.count || 0);
-      });
-    });
-
-    // Always check for missing agents, not just when DB is empty
-    // This ensures moderate and other agents are recovered even if DB has some agents
-    console.log(`🔍 Checking for missing agents (current count: ${agentCount})...`);
-    
-    // Known agents to recover (add more as needed)
-    const knownAgents = [
-      { repo_url: 'https://github.com/xaviersharwin10/gitAgent.git', branch_name: 'main' },
-      { repo_url: 'https://github.com/xaviersharwin10/gitAgent.git', branch_name: 'aggressive' },
-      { repo_url: 'https://github.com/xaviersharwin10/gitAgent.git', branch_name: 'moderate' },
-      { repo_url: 'https://github.com/xaviersharwin10/gitAgent.git', branch_name: 'test-branch' }
-    ];
-
-    const { agentFactoryContract: factoryContract } = getEthersSetup();
-    let recovered = 0;
-
-    for (const agentInfo of knownAgents) {
-      try {
-        const branch_hash = ethers.id(agentInfo.repo_url + "/" + agentInfo.branch_name);
-        const agentAddress = await factoryContract.agents(branch_hash);
-        
-        if (agentAddress && agentAddress !== ethers.ZeroAddress && agentAddress !== "0x0000000000000000000000000000000000000000") {
-          // Check if already in DB
-          const existing = await new Promise((resolve, reject) => {
-            db.get('SELECT id, status FROM agents WHERE branch_hash = ?', [branch_hash], (err, row) => {
-              if (err) return reject(err);
-              resolve(row);
-            });
-          });
-
-          if (!existing) {
-            console.log(`📋 Agent ${agentInfo.branch_name} found on blockchain but missing in DB, recovering...`);
-            
-            // Before creating new agent, check if there are any secrets for this branch_hash
-            // CRITICAL: Query by branch_hash directly (stable) since agent IDs change on Render redeploy
-            const oldSecrets = await new Promise((resolve, reject) => {
-              db.all(
-                `SELECT key, encrypted_value 
-                 FROM secrets 
-                 WHERE branch_hash = ?`,
-                [branch_hash],
-                (err, rows) => {
-                  if (err) return reject(err);
-                  resolve(rows || []);
-                }
-              );
-            });
-            
-            if (oldSecrets.length > 0) {
-              console.log(`📋 Found ${oldSecrets.length} secret(s) for ${agentInfo.branch_name} from previous agent, will migrate after recovery`);
-            }
-            
-            // Create DB entry
-            const recoveredAgentId = await new Promise((resolve, reject) => {
-              db.run(
-                'INSERT INTO agents (repo_url, branch_name, branch_hash, agent_address, status) VALUES (?, ?, ?, ?, ?)',
-                [agentInfo.repo_url, agentInfo.branch_name, branch_hash, agentAddress, 'deploying'],
-                function (err) {
-                  if (err) return reject(err);
-                  resolve(this.lastID);
-                }
-              );
-            });
-            
-            console.log(`✅ Recovered agent: ${agentInfo.branch_name} (${agentAddress})`);
-            
-            // Migrate secrets from old agent_id to new agent_id if they exist
-            if (oldSecrets.length > 0) {
-              console.log(`🔄 Migrating ${oldSecrets.length} secret(s) to new agent ID ${recoveredAgentId}...`);
-              for (const secret of oldSecrets) {
-                await new Promise((resolve, reject) => {
-                  db.run(
-                    'INSERT OR REPLACE INTO secrets (agent_id, key, encrypted_value) VALUES (?, ?, ?)',
-                    [recoveredAgentId, secret.key, secret.encrypted_value],
-                    (err) => {
-                      if (err) return reject(err);
-                      resolve();
-                    }
-                  );
-                });
-              }
-              console.log(`✅ Migrated ${oldSecrets.length} secret(s) for ${agentInfo.branch_name}`);
-            }
-            
-            // Auto-start recovered agent
-            try {
-              const agentPath = path.join(AGENTS_DIR, branch_hash);
-              const recoveredAgent = {
-                id: recoveredAgentId,
-                repo_url: agentInfo.repo_url,
-                branch_name: agentInfo.branch_name,
-                branch_hash: branch_hash,
-                agent_address: agentAddress,
-                status: 'deploying'
-              };
-              
-              // Check if agent directory exists, if not, clone it. If exists, pull latest code.
-              if (!fs.existsSync(agentPath) || !fs.existsSync(path.join(agentPath, 'agent.ts'))) {
-                console.log(`📥 Agent directory not found for ${agentInfo.branch_name}, cloning from GitHub...`);
-                try {
-                  // Clone the repository
-                  shell.mkdir('-p', agentPath);
-                  shell.cd(agentPath);
-                  const cloneResult = shell.exec(`git clone ${agentInfo.repo_url} . --branch ${agentInfo.branch_name}`, { silent: true });
-                  
-                  if (cloneResult.code !== 0) {
-                    console.warn(`⚠️ Failed to clone ${agentInfo.branch_name}: ${cloneResult.stderr}`);
-                    console.log(`ℹ️ Agent ${agentInfo.branch_name} will start on next push`);
-                  } else {
-                    console.log(`✅ Cloned ${agentInfo.branch_name} successfully`);
-                    // Install dependencies
-                    if (fs.existsSync(path.join(agentPath, 'package.json'))) {
-                      shell.exec('npm install', { silent: true });
-                      console.log(`✅ Installed dependencies for ${agentInfo.branch_name}`);
-                    }
-                  }
-                } catch (cloneError) {
-                  console.warn(`⚠️ Error cloning ${agentInfo.branch_name}:`, cloneError.message);
-                }
-              } else {
-                // Directory exists, pull latest code
-                console.log(`📥 Agent directory exists for ${agentInfo.branch_name}, pulling latest code...`);
-                try {
-                  shell.cd(agentPath);
-                  // Reset any local changes and pull latest from the specific branch
-                  shell.exec('git reset --hard HEAD', { silent: true });
-                  shell.exec(`git fetch origin && git checkout ${agentInfo.branch_name} && git pull origin ${agentInfo.branch_name}`, { silent: true });
-                  // Install dependencies in case of updates
-                  if (fs.existsSync(path.join(agentPath, 'package.json'))) {
-                    shell.exec('npm install', { silent: true });
-                    console.log(`✅ Updated dependencies for ${agentInfo.branch_name}`);
-                  }
-                  console.log(`✅ Pulled latest code for ${agentInfo.branch_name}`);
-                } catch (pullError) {
-                  console.warn(`⚠️ Error pulling latest code for ${agentInfo.branch_name}:`, pullError.message);
-                }
-              }
-              
-              // Now try to start if agent.ts exists
-              if (fs.existsSync(path.join(agentPath, 'agent.ts'))) {
-                try {
-                  await startOrReloadAgent(recoveredAgent, agentPath, branch_hash);
-                  console.log(`🚀 Started recovered agent: ${agentInfo.branch_name}`);
-                } catch (startError) {
-                  console.warn(`⚠️ Could not start recovered agent ${agentInfo.branch_name}:`, startError.message);
-                }
-              } else {
-                console.log(`ℹ️ Agent ${agentInfo.branch_name} directory/clone failed, will start on next push`);
-              }
-            } catch (error) {
-              console.warn(`⚠️ Could not recover/start agent ${agentInfo.branch_name}:`, error.message);
-            }
-            
-            recovered++;
-          }
-        }
-      } catch (error) {
-        console.warn(`⚠️ Could not recover agent ${agentInfo.branch_name}:`, error.message);
-      }
-    }
-
-    if (recovered > 0) {
-      console.log(`🎉 Recovered ${recovered} agent(s) from blockchain`);
-    } else {
-      console.log('ℹ️ No agents found on blockchain to recover');
-    }
-  } catch (error) {
-    console.error('❌ Error during startup recovery:', error);
-  }
-}
-
-// Manual endpoint to check and recover missing agents
-app.post('/api/agents/check-recovery', async (req, res) => {
-  try {
-    console.log('[RECOVERY] Manual recovery triggered via API');
-    await recoverAgentsFromBlockchain();
-    res.json({ success: true, message: 'Recovery check completed' });
-  } catch (error) {
-    console.error('[RECOVERY] Error during manual recovery:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// Alternative: GET endpoint for easier triggering
-app.get('/api/agents/check-recovery', async (req, res) => {
-  try {
-    console.log('[RECOVERY] Manual recovery triggered via GET API');
-    await recoverAgentsFromBlockchain();
-    res.json({ success: true, message: 'Recovery check completed' });
-  } catch (error) {
-    console.error('[RECOVERY] Error during manual recovery:', error);
-    res.status(500).json({ error: error.message });
-  }
-});
-
 // Start the server
 app.listen(PORT, async () => {
   console.log('🚀 SomniaPush Backend Server Started');
@@ -2573,21 +3680,36 @@ app.listen(PORT, async () => {
   console.log(`🔗 Health check: http://localhost:${PORT}/health`);
   console.log(`📥 GitHub webhook: http://localhost:${PORT}/webhook/github/push`);
   
+  // Resume any deployment jobs that were queued or running before the restart
+  await databaseReady;
+  if (process.env.AGENT_LOG_CAPTURE !== 'false') {
+    await logStore.start();
+  }
+  customMetrics.start();
+  await deploymentPipeline.start();
+  
   // Recover agents from blockchain on startup
-  await recoverAgentsFromBlockchain();
+  try {
+    await recovery.recover();
+  } catch (error) {
+    console.error('❌ Error during startup recovery:', error.message);
+  }
   
   console.log('⏳ Waiting for GitHub webhooks...');
 });
 
 // Graceful shutdown
-process.on('SIGINT', () => {
+// Write any buffered agent log lines before exiting
+function shutdown() {
   console.log('\n🛑 Shutting down server...');
-  process.exit(0);
-});
+  customMetrics.stop();
+  logStore.stop().finally(() => {
+    logStream.close();
+    process.exit(0);
+  });
+}
 
-process.on('SIGTERM', () => {
-  console.log('\n🛑 Shutting down server...');
-  process.exit(0);
-});
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
 module.exports = app;
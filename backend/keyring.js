@@ -0,0 +1,108 @@
+const SimpleCrypto = require('simple-crypto-js').default;
+const nodeCrypto = require('crypto');
+
+// Master-key keyring for everything we store encrypted (secrets, repo secrets, webhook secrets, OAuth tokens).
+//
+// Every value is written as "<key id>:<ciphertext>" where the key id is a fingerprint of the master key
+// that encrypted it, so values written under an older key can still be decrypted after a rotation:
+//
+//   MASTER_SECRET_KEY=<new key>
+//   MASTER_SECRET_KEY_PREVIOUS=<old key>[,<older key>...]
+//
+// Values from before key ids existed have no prefix; they are tried against every configured key.
+// `npm run rotate:master-key` re-encrypts all rows under the current key.
+
+const DEFAULT_MASTER_KEY = 'default-key-change-me';
+const KEY_ID_PATTERN = /^(mk_[0-9a-f]{8}):(.+)$/s;
+
+// Stable, non-reversible id for a master key
+function keyIdFor(secret) {
+  return 'mk_' + nodeCrypto.createHash('sha256').update(secret).digest('hex').substring(0, 8);
+}
+
+function parseKeyList(value) {
+  return (value || '').split(',').map(key => key.trim()).filter(Boolean);
+}
+
+/**
+ * Build a keyring from the current master key and any previous keys.
+ * encrypt() always uses the current key; decrypt() picks the key named by the value's id.
+ */
+function createKeyring(currentKey, previousKeys = []) {
+  if (!currentKey) {
+    throw new Error('A master key is required');
+  }
+
+  const keys = new Map();
+  for (const secret of [currentKey, ...previousKeys]) {
+    const id = keyIdFor(secret);
+    if (!keys.has(id)) {
+      keys.set(id, new SimpleCrypto(secret));
+    }
+  }
+  const currentKeyId = keyIdFor(currentKey);
+
+  function encrypt(value) {
+    return `${currentKeyId}:${keys.get(currentKeyId).encrypt(value)}`;
+  }
+
+  // Which key a stored value was encrypted with (null for legacy values without an id)
+  function keyIdOf(stored) {
+    const match = typeof stored === 'string' && stored.match(KEY_ID_PATTERN);
+    return match ? match[1] : null;
+  }
+
+  function decrypt(stored) {
+    const match = typeof stored === 'string' && stored.match(KEY_ID_PATTERN);
+    if (match) {
+      const cipher = keys.get(match[1]);
+      if (!cipher) {
+        throw new Error(`Value was encrypted with unknown master key ${match[1]} (add it to MASTER_SECRET_KEY_PREVIOUS)`);
+      }
+      return cipher.decrypt(match[2]);
+    }
+
+    // Legacy value: try the current key first, then the previous ones
+    let lastError;
+    for (const cipher of keys.values()) {
+      try {
+        return cipher.decrypt(stored);
+      } catch (err) {
+        lastError = err;
+      }
+    }
+    throw new Error(`Could not decrypt value with any configured master key: ${lastError.message}`);
+  }
+
+  // True when a stored value should be re-encrypted under the current key
+  function isStale(stored) {
+    return keyIdOf(stored) !== currentKeyId;
+  }
+
+  return {
+    encrypt,
+    decrypt,
+    keyIdOf,
+    isStale,
+    currentKeyId,
+    keyIds: Array.from(keys.keys())
+  };
+}
+
+// Keyring from MASTER_SECRET_KEY / MASTER_SECRET_KEY_PREVIOUS
+function keyringFromEnv(env = process.env) {
+  return createKeyring(env.MASTER_SECRET_KEY || DEFAULT_MASTER_KEY, parseKeyList(env.MASTER_SECRET_KEY_PREVIOUS));
+}
+
+// The well-known default key protects nothing; only allowed with ALLOW_DEFAULT_MASTER_KEY=true
+function isUsingDefaultKey(env = process.env) {
+  return !env.MASTER_SECRET_KEY || env.MASTER_SECRET_KEY === DEFAULT_MASTER_KEY;
+}
+
+module.exports = {
+  createKeyring,
+  keyringFromEnv,
+  isUsingDefaultKey,
+  keyIdFor,
+  DEFAULT_MASTER_KEY
+};
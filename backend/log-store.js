@@ -0,0 +1,321 @@
+const { processNameFor, LEVELS } = require('./log-stream.js');
+
+// Persistent agent console output (agent_logs table)
+//
+// Every stdout/stderr line from the PM2 bus is stored with its stream, level and the deployment that
+// was live when it was printed, so logs outlive PM2's log files and can be searched later.
+// Lines are written in batches; rows older than the agent's retention are pruned every hour.
+//
+// Retention: agent_log_settings.retention_days per agent, AGENT_LOG_RETENTION_DAYS (default 7) otherwise.
+
+const DEFAULT_RETENTION_DAYS = 7;
+const MAX_RETENTION_DAYS = 365;
+const MAX_MESSAGE_LENGTH = 4000;
+const FLUSH_INTERVAL_MS = 1000;
+const INSERT_BATCH_SIZE = 100; // rows per INSERT, 6 params each - well under SQLite's 999
+const MAX_PENDING_LINES = 5000; // a runaway agent shouldn't grow memory without bound between flushes
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const UNKNOWN_PROCESS_CACHE_MS = 60 * 1000;
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+// agent_logs.timestamp is stored like CURRENT_TIMESTAMP (UTC, no zone) with milliseconds,
+// so it compares correctly against datetime('now', ...)
+function toSqliteTimestamp(date) {
+  return date.toISOString().replace('T', ' ').replace('Z', '');
+}
+
+function fromSqliteTimestamp(value) {
+  return new Date(value.replace(' ', 'T') + 'Z').toISOString();
+}
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// "30s", "15m", "24h", "7d", "2w" -> milliseconds; null if it isn't a positive duration
+function parseDuration(value) {
+  const duration = String(value).trim().match(/^(\d+)\s*([smhdw])$/i);
+  const ms = duration ? Number(duration[1]) * DURATION_UNITS[duration[2].toLowerCase()] : 0;
+  return ms > 0 ? ms : null;
+}
+
+// An ISO date ("2026-01-31", "2026-01-31T12:00:00Z") or a duration ago ("15m", "24h", "7d"); null if invalid
+function parseTimeParam(value, now = Date.now()) {
+  const duration = String(value).trim().match(/^(\d+)\s*([smhdw])$/i);
+  const date = duration
+    ? new Date(now - Number(duration[1]) * DURATION_UNITS[duration[2].toLowerCase()])
+    : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function formatRow(row) {
+  return {
+    id: row.id,
+    timestamp: fromSqliteTimestamp(row.timestamp),
+    stream: row.stream,
+    level: row.level,
+    message: row.message,
+    deployment_id: row.deployment_id
+  };
+}
+
+/**
+ * Create the log store. `logStream` is the PM2 bus subscriber from log-stream.js.
+ */
+function createLogStore({ db, logStream, defaultRetentionDays = DEFAULT_RETENTION_DAYS }) {
+  const dbGet = (sql, params = []) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+  });
+  const dbAll = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+  const dbRun = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve(this);
+    });
+  });
+
+  // PM2 process name -> { branch_hash, deployment_id } (branch_hash null for processes that aren't agents)
+  const processes = new Map();
+  let pending = [];
+  let droppedLines = 0;
+  let flushing = Promise.resolve();
+  let flushTimer = null;
+  let pruneTimer = null;
+
+  // The pipeline calls this right before (re)starting an agent: output from now on belongs to that deployment
+  function setDeployment(branch_hash, deployment_id) {
+    processes.set(processNameFor(branch_hash), { branch_hash, deployment_id: deployment_id || null, resolvedAt: Date.now() });
+  }
+
+  // Look up which agent (and live deployment) a PM2 process belongs to
+  async function resolveProcess(name) {
+    const cached = processes.get(name);
+    if (cached && (cached.branch_hash || Date.now() - cached.resolvedAt < UNKNOWN_PROCESS_CACHE_MS)) {
+      return cached;
+    }
+    const agent = await dbGet('SELECT branch_hash FROM agents WHERE substr(branch_hash, 3, 16) = ?', [name]);
+    let entry = { branch_hash: null, deployment_id: null, resolvedAt: Date.now() };
+    if (agent) {
+      const deployment = await dbGet(
+        "SELECT id FROM deployments WHERE branch_hash = ? AND outcome = 'succeeded' ORDER BY id DESC LIMIT 1",
+        [agent.branch_hash]
+      );
+      entry = { branch_hash: agent.branch_hash, deployment_id: deployment ? deployment.id : null, resolvedAt: Date.now() };
+    }
+    // setDeployment() may have run while we were querying - it wins
+    if (!processes.has(name) || processes.get(name) === cached) {
+      processes.set(name, entry);
+    }
+    return processes.get(name);
+  }
+
+  function capture(name, event) {
+    if (pending.length >= MAX_PENDING_LINES) {
+      droppedLines++;
+      return;
+    }
+    // Take the deployment now, not at flush time, so lines printed just before a restart keep the old one
+    const known = processes.get(name);
+    pending.push({ name, event, deployment_id: known && known.branch_hash ? known.deployment_id : undefined });
+  }
+
+  async function writePending() {
+    const batch = pending;
+    pending = [];
+    if (droppedLines > 0) {
+      console.warn(`[LogStore] Dropped ${droppedLines} log line(s): agents are logging faster than they can be stored`);
+      droppedLines = 0;
+    }
+    if (batch.length === 0) return;
+
+    const rows = [];
+    for (const line of batch) {
+      const owner = await resolveProcess(line.name);
+      if (!owner.branch_hash) continue; // not one of our agents
+      rows.push([
+        owner.branch_hash,
+        line.deployment_id === undefined ? owner.deployment_id : line.deployment_id,
+        line.event.stream,
+        line.event.level,
+        line.event.message.substring(0, MAX_MESSAGE_LENGTH),
+        toSqliteTimestamp(new Date(line.event.timestamp))
+      ]);
+    }
+
+    for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+      const chunk = rows.slice(i, i + INSERT_BATCH_SIZE);
+      await dbRun(
+        `INSERT INTO agent_logs (branch_hash, deployment_id, stream, level, message, timestamp)
+         VALUES ${chunk.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}`,
+        chunk.flat()
+      );
+    }
+  }
+
+  // Flushes run one after another so rows keep their order
+  function flush() {
+    flushing = flushing.then(writePending).catch((err) => {
+      console.error('[LogStore] Failed to store agent logs:', err.message);
+    });
+    return flushing;
+  }
+
+  // Delete rows older than each agent's retention
+  async function prune() {
+    const result = await dbRun(
+      `DELETE FROM agent_logs WHERE timestamp < datetime('now', '-' || COALESCE(
+         (SELECT retention_days FROM agent_log_settings s WHERE s.branch_hash = agent_logs.branch_hash), ?
+       ) || ' days')`,
+      [defaultRetentionDays]
+    );
+    if (result.changes > 0) {
+      console.log(`🧹 Pruned ${result.changes} agent log line(s) past retention`);
+    }
+    return result.changes;
+  }
+
+  function start() {
+    logStream.onLine(capture);
+    logStream.onProcessEvent((name, event) => {
+      // A process we couldn't place may be an agent that was just created
+      const known = processes.get(name);
+      if (event === 'online' && known && !known.branch_hash) processes.delete(name);
+    });
+    flushTimer = setInterval(flush, FLUSH_INTERVAL_MS);
+    pruneTimer = setInterval(() => {
+      prune().catch(err => console.error('[LogStore] Prune failed:', err.message));
+    }, PRUNE_INTERVAL_MS);
+    flushTimer.unref();
+    pruneTimer.unref();
+
+    prune().catch(err => console.error('[LogStore] Prune failed:', err.message));
+    return logStream.connectBus().then((connected) => {
+      if (connected) {
+        console.log(`📝 Storing agent console output (default retention ${defaultRetentionDays} day(s))`);
+      } else {
+        console.warn('⚠️  PM2 bus not available - agent console output will not be stored');
+      }
+      return connected;
+    });
+  }
+
+  function stop() {
+    clearInterval(flushTimer);
+    clearInterval(pruneTimer);
+    return flush();
+  }
+
+  /**
+   * Query stored lines for an agent, newest first by default.
+   * Options: from, to (Date), search (substring), stream ('out' | 'err'), level (minimum severity),
+   * deployment_id, limit, cursor (id from next_cursor of the previous page), order ('desc' | 'asc').
+   */
+  async function query(branch_hash, options = {}) {
+    const order = options.order === 'asc' ? 'ASC' : 'DESC';
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const conditions = ['branch_hash = ?'];
+    const params = [branch_hash];
+
+    if (options.from) {
+      conditions.push('timestamp >= ?');
+      params.push(toSqliteTimestamp(options.from));
+    }
+    if (options.to) {
+      conditions.push('timestamp <= ?');
+      params.push(toSqliteTimestamp(options.to));
+    }
+    if (options.search) {
+      conditions.push("message LIKE ? ESCAPE '\\'");
+      params.push(`%${options.search.replace(/[\\%_]/g, char => '\\' + char)}%`);
+    }
+    if (options.stream) {
+      conditions.push('stream = ?');
+      params.push(options.stream);
+    }
+    if (options.level) {
+      const levels = LEVELS.slice(0, LEVELS.indexOf(options.level) + 1);
+      conditions.push(`level IN (${levels.map(() => '?').join(', ')})`);
+      params.push(...levels);
+    }
+    if (options.deployment_id) {
+      conditions.push('deployment_id = ?');
+      params.push(options.deployment_id);
+    }
+    if (options.cursor) {
+      conditions.push(order === 'DESC' ? 'id < ?' : 'id > ?');
+      params.push(options.cursor);
+    }
+
+    // One extra row tells us whether there is another page
+    const rows = await dbAll(
+      `SELECT id, deployment_id, stream, level, message, timestamp FROM agent_logs
+       WHERE ${conditions.join(' AND ')} ORDER BY id ${order} LIMIT ?`,
+      [...params, limit + 1]
+    );
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit).map(formatRow);
+    return {
+      logs: page,
+      next_cursor: hasMore ? page[page.length - 1].id : null
+    };
+  }
+
+  // The last `count` lines, oldest first (for the /api/logs snapshot)
+  async function recent(branch_hash, count) {
+    const { logs } = await query(branch_hash, { limit: count });
+    return logs.reverse();
+  }
+
+  async function getRetention(branch_hash) {
+    const row = await dbGet('SELECT retention_days, updated_at FROM agent_log_settings WHERE branch_hash = ?', [branch_hash]);
+    return {
+      retention_days: row ? row.retention_days : defaultRetentionDays,
+      source: row ? 'agent' : 'default',
+      default_retention_days: defaultRetentionDays,
+      updated_at: row ? row.updated_at : null
+    };
+  }
+
+  // days = null goes back to the default
+  async function setRetention(branch_hash, days) {
+    if (days === null) {
+      await dbRun('DELETE FROM agent_log_settings WHERE branch_hash = ?', [branch_hash]);
+    } else {
+      await dbRun(
+        `INSERT INTO agent_log_settings (branch_hash, retention_days) VALUES (?, ?)
+         ON CONFLICT(branch_hash) DO UPDATE SET retention_days = excluded.retention_days, updated_at = CURRENT_TIMESTAMP`,
+        [branch_hash, days]
+      );
+    }
+    return getRetention(branch_hash);
+  }
+
+  return {
+    start,
+    stop,
+    flush,
+    prune,
+    setDeployment,
+    query,
+    recent,
+    getRetention,
+    setRetention
+  };
+}
+
+// Retention from the environment, falling back to the default for missing or bad values
+function retentionDaysFromEnv(env = process.env) {
+  const days = parseInt(env.AGENT_LOG_RETENTION_DAYS, 10);
+  return days >= 1 && days <= MAX_RETENTION_DAYS ? days : DEFAULT_RETENTION_DAYS;
+}
+
+module.exports = {
+  createLogStore,
+  retentionDaysFromEnv,
+  parseTimeParam,
+  parseDuration,
+  toSqliteTimestamp,
+  fromSqliteTimestamp,
+  MAX_RETENTION_DAYS
+};
@@ -0,0 +1,223 @@
+const { EventEmitter } = require('events');
+const PM2 = require('pm2').custom;
+const { actionOf } = require('./decisions.js');
+
+// Live agent output for the SSE endpoint (GET /api/logs/:branch_hash/stream)
+//
+// - Console output comes from PM2's event bus (log:out / log:err). The bus needs its own PM2 client:
+//   the shared one in index.js is disconnected after every start/reload and would take the bus with it.
+// - New metrics rows are published by POST /api/metrics as they are saved.
+// Events are routed by PM2 process name (first 16 hex chars of the branch hash).
+// onLine()/onProcessEvent() see every process, for consumers like the log store (log-store.js).
+
+// Most severe first; a `level` filter keeps that level and everything above it
+const LEVELS = ['error', 'warn', 'info'];
+const EVENT_TYPES = ['log', 'metric'];
+
+function processNameFor(branch_hash) {
+  return branch_hash.replace('0x', '').substring(0, 16);
+}
+
+// stderr is always "error"; stdout lines are classified by what agents usually print
+function levelOf(stream, line) {
+  if (stream === 'err' || /\b(error|failed)\b|❌/i.test(line)) return 'error';
+  if (/\bwarn(ing)?\b|⚠️/i.test(line)) return 'warn';
+  return 'info';
+}
+
+// SQLite CURRENT_TIMESTAMP is UTC without a zone
+function toIsoTimestamp(value) {
+  if (!value) return new Date().toISOString();
+  const date = new Date(typeof value === 'string' && !value.includes('T') ? value.replace(' ', 'T') + 'Z' : value);
+  return isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
+
+// A metrics row as a stream event
+function metricEvent(row) {
+  return {
+    type: 'metric',
+    level: 'info',
+    id: row.id,
+    decision: row.decision,
+    action: actionOf(row),
+    asset_pair: row.asset_pair || null,
+    confidence: row.confidence === undefined ? null : row.confidence,
+    reasoning: row.reasoning || null,
+    model: row.model || null,
+    latency_ms: row.latency_ms === undefined ? null : row.latency_ms,
+    price: row.price === undefined ? null : row.price,
+    trade_executed: !!row.trade_executed,
+    trade_tx_hash: row.trade_tx_hash || null,
+    trade_amount: row.trade_amount === undefined ? null : row.trade_amount,
+    trade_fee: row.trade_fee === undefined ? null : row.trade_fee,
+    timestamp: toIsoTimestamp(row.timestamp)
+  };
+}
+
+function listParam(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse ?level=, ?decision= and ?type= into a predicate over stream events.
+ *   level:    minimum severity of console lines (error | warn | info)
+ *   decision: comma-separated actions for metrics rows (e.g. BUY,SELL); rows without an action match on their text
+ *   type:     only "log" lines or only "metric" rows
+ * Returns { matches } or { error } for bad values.
+ */
+function parseLogFilter(query = {}) {
+  const level = query.level ? String(query.level).toLowerCase() : null;
+  if (level && !LEVELS.includes(level)) {
+    return { error: `level must be one of: ${LEVELS.join(', ')}` };
+  }
+  const types = listParam(query.type).map(type => type.toLowerCase());
+  const badType = types.find(type => !EVENT_TYPES.includes(type));
+  if (badType) {
+    return { error: `type must be one of: ${EVENT_TYPES.join(', ')}` };
+  }
+  const decisions = listParam(query.decision).map(decision => decision.toUpperCase());
+  const maxSeverity = level ? LEVELS.indexOf(level) : LEVELS.length - 1;
+
+  const matches = (event) => {
+    if (types.length > 0 && !types.includes(event.type)) return false;
+    if (LEVELS.indexOf(event.level) > maxSeverity) return false;
+    if (event.type === 'metric' && decisions.length > 0) {
+      if (event.action) return decisions.includes(event.action);
+      const decision = String(event.decision || '').toUpperCase();
+      return decisions.some(wanted => decision.includes(wanted));
+    }
+    return true;
+  };
+
+  return { matches, level, decisions, types };
+}
+
+function createLogStream() {
+  const events = new EventEmitter();
+  events.setMaxListeners(0); // one listener per open SSE connection
+  const firehose = new EventEmitter(); // every line / process event, regardless of agent
+
+  let client = null;
+  let bus = null;
+  let connecting = null;
+
+  function onPacket(stream, packet) {
+    const name = packet && packet.process && packet.process.name;
+    if (!name || (events.listenerCount(name) === 0 && firehose.listenerCount('line') === 0)) return;
+
+    const timestamp = toIsoTimestamp(packet.at);
+    String(packet.data || '').split('\n').forEach((line) => {
+      const message = line.replace(/\r$/, '');
+      if (!message.trim()) return;
+      const event = { type: 'log', stream, level: levelOf(stream, message), message, timestamp };
+      events.emit(name, event);
+      firehose.emit('line', name, event);
+    });
+  }
+
+  // Connect to the PM2 bus once; resolves false (never rejects) when PM2 isn't reachable
+  function connectBus() {
+    if (bus) return Promise.resolve(true);
+    if (connecting) return connecting;
+
+    connecting = new Promise((resolve) => {
+      let settled = false;
+      const finish = (connected) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timeout);
+        connecting = null;
+        resolve(connected);
+      };
+      const timeout = setTimeout(() => {
+        console.warn('[LogStream] PM2 bus connection timeout (non-fatal)');
+        finish(false);
+      }, 5000);
+
+      try {
+        client = client || new PM2();
+        client.connect((err) => {
+          if (err) {
+            console.warn('[LogStream] PM2 connection failed (non-fatal):', err.message);
+            return finish(false);
+          }
+          client.launchBus((busErr, pm2Bus) => {
+            if (busErr) {
+              console.warn('[LogStream] Could not open the PM2 bus (non-fatal):', busErr.message);
+              return finish(false);
+            }
+            if (!bus) {
+              bus = pm2Bus;
+              bus.on('log:out', packet => onPacket('out', packet));
+              bus.on('log:err', packet => onPacket('err', packet));
+              // online / restart / exit ... of any process
+              bus.on('process:event', (packet) => {
+                if (packet && packet.process && packet.process.name) {
+                  firehose.emit('process', packet.process.name, packet.event);
+                }
+              });
+              console.log('📡 Streaming agent logs from the PM2 bus');
+            }
+            finish(true);
+          });
+        });
+      } catch (error) {
+        console.warn('[LogStream] PM2 bus error (non-fatal):', error.message);
+        finish(false);
+      }
+    });
+    return connecting;
+  }
+
+  // Listen to one agent's events; returns the unsubscribe function
+  function subscribe(branch_hash, listener) {
+    const name = processNameFor(branch_hash);
+    events.on(name, listener);
+    return () => events.off(name, listener);
+  }
+
+  // Every console line of every PM2 process: listener(processName, event)
+  function onLine(listener) {
+    firehose.on('line', listener);
+  }
+
+  // PM2 lifecycle events of every process: listener(processName, eventName)
+  function onProcessEvent(listener) {
+    firehose.on('process', listener);
+  }
+
+  function publishMetric(branch_hash, row) {
+    events.emit(processNameFor(branch_hash), metricEvent(row));
+  }
+
+  function close() {
+    if (client) {
+      try {
+        client.disconnect();
+      } catch (error) {
+        // Ignore disconnect errors on shutdown
+      }
+    }
+    bus = null;
+  }
+
+  return {
+    connectBus,
+    subscribe,
+    onLine,
+    onProcessEvent,
+    publishMetric,
+    close
+  };
+}
+
+module.exports = {
+  createLogStream,
+  parseLogFilter,
+  metricEvent,
+  toIsoTimestamp,
+  levelOf,
+  processNameFor,
+  LEVELS
+};
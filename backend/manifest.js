@@ -0,0 +1,287 @@
+const path = require('path');
+const fs = require('fs');
+const vm = require('vm');
+
+// Per-agent deploy manifest, read from the agent's own repository.
+//
+// Looked up in this order:
+//   1. somnia.json at the repo root
+//   2. the "deploy" section of .gitagent.json (the file the CLI creates)
+// Anything not declared falls back to the historical defaults (agent.ts under ts-node, npm install).
+//
+// {
+//   "entry": "agent.ts",
+//   "interpreter": "ts-node",          // node | ts-node | python
+//   "install": "npm install",          // null/false to skip
+//   "build": "npm run build",          // optional, runs after install
+//   "secrets": {                       // or a plain array of required names
+//     "GROQ_API_KEY": { "description": "Groq API key" },
+//     "AGENT_PRIVATE_KEY": { "description": "Signer key", "pattern": "^0x[0-9a-fA-F]{64}$" },
+//     "AI_PROMPT": { "required": false }
+//   },
+//   "optional_secrets": ["LOG_WEBHOOK"],  // same shapes, required defaults to false
+//   "env": { "LOG_LEVEL": "info" }     // defaults, overridden by secrets
+// }
+
+const MANIFEST_FILE = 'somnia.json';
+const GITAGENT_FILE = '.gitagent.json';
+
+const INTERPRETERS = ['node', 'ts-node', 'python'];
+
+const DEFAULT_ENTRY = {
+  'ts-node': 'agent.ts',
+  node: 'agent.js',
+  python: 'agent.py'
+};
+
+// What every agent needed before manifests existed (the Groq trading template)
+const DEFAULT_SECRETS = [
+  { name: 'GROQ_API_KEY', required: true, description: 'Groq API key used for trading decisions', pattern: null },
+  { name: 'AGENT_PRIVATE_KEY', required: true, description: 'Private key the agent signs transactions with', pattern: null },
+  { name: 'AI_PROMPT', required: false, description: 'Custom system prompt for the trading model', pattern: null }
+];
+
+const SECRET_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Secret patterns come from the agent's repository and run on the shared event loop, so they are
+// kept short and each test is cut off after PATTERN_TIMEOUT_MS (catastrophic backtracking)
+const MAX_PATTERN_LENGTH = 256;
+const PATTERN_TIMEOUT_MS = 50;
+const patternContext = vm.createContext({});
+const patternScript = new vm.Script('new RegExp(pattern).test(value)');
+
+/**
+ * Test `value` against a manifest secret pattern. A pattern that times out counts as no match.
+ */
+function matchesPattern(pattern, value) {
+  patternContext.pattern = pattern;
+  patternContext.value = value;
+  try {
+    return patternScript.runInContext(patternContext, { timeout: PATTERN_TIMEOUT_MS }) === true;
+  } catch (err) {
+    console.warn(`⚠️ Secret pattern ${pattern} was not evaluated: ${err.message}`);
+    return false;
+  } finally {
+    patternContext.value = undefined;
+  }
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid ${path.basename(filePath)}: ${err.message}`);
+  }
+}
+
+// Find the raw manifest object and where it came from
+function readRawManifest(agentPath) {
+  const manifestPath = path.join(agentPath, MANIFEST_FILE);
+  if (fs.existsSync(manifestPath)) {
+    return { raw: readJson(manifestPath), source: MANIFEST_FILE };
+  }
+
+  const gitagentPath = path.join(agentPath, GITAGENT_FILE);
+  if (fs.existsSync(gitagentPath)) {
+    const gitagent = readJson(gitagentPath);
+    if (gitagent && typeof gitagent.deploy === 'object' && gitagent.deploy !== null) {
+      return { raw: gitagent.deploy, source: `${GITAGENT_FILE}#deploy` };
+    }
+  }
+
+  return { raw: {}, source: 'defaults' };
+}
+
+// One secret declaration: a bare name, or { required, description, pattern }
+function secretEntry(name, spec, field, requiredByDefault) {
+  if (typeof name !== 'string' || !SECRET_NAME_PATTERN.test(name)) {
+    throw new Error(`"${field}" contains an invalid secret name: ${name}`);
+  }
+  if (spec === undefined || spec === null) spec = {};
+  if (typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error(`"${field}.${name}" must be an object`);
+  }
+  if (spec.required !== undefined && typeof spec.required !== 'boolean') {
+    throw new Error(`"${field}.${name}.required" must be true or false`);
+  }
+  if (spec.description !== undefined && typeof spec.description !== 'string') {
+    throw new Error(`"${field}.${name}.description" must be a string`);
+  }
+  if (spec.pattern !== undefined && spec.pattern !== null) {
+    if (typeof spec.pattern !== 'string') {
+      throw new Error(`"${field}.${name}.pattern" must be a regular expression string`);
+    }
+    if (spec.pattern.length > MAX_PATTERN_LENGTH) {
+      throw new Error(`"${field}.${name}.pattern" is longer than ${MAX_PATTERN_LENGTH} characters`);
+    }
+    try {
+      new RegExp(spec.pattern);
+    } catch (err) {
+      throw new Error(`"${field}.${name}.pattern" is not a valid regular expression: ${err.message}`);
+    }
+  }
+  return {
+    name,
+    required: spec.required === undefined ? requiredByDefault : spec.required,
+    description: spec.description || null,
+    pattern: spec.pattern || null
+  };
+}
+
+// Accepts ["NAME", ...], [{ name, ... }, ...] or { NAME: { ... } }
+function secretList(value, field, requiredByDefault) {
+  if (value === undefined) return undefined;
+  if (Array.isArray(value)) {
+    return value.map(item => typeof item === 'string'
+      ? secretEntry(item, {}, field, requiredByDefault)
+      : secretEntry(item && item.name, item, field, requiredByDefault));
+  }
+  if (typeof value === 'object' && value !== null) {
+    return Object.entries(value).map(([name, spec]) => secretEntry(name, spec, field, requiredByDefault));
+  }
+  throw new Error(`"${field}" must be an array of secret names or an object of secret declarations`);
+}
+
+// A command field: string to run it, null/false to skip it, undefined to use the default
+function commandField(value, field) {
+  if (value === undefined) return undefined;
+  if (value === null || value === false) return null;
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error(`"${field}" must be a command string, or null/false to skip`);
+  }
+  return value;
+}
+
+/**
+ * Load and validate the deploy manifest for a checked-out agent.
+ * Returns a normalized manifest; throws when the declared manifest is invalid.
+ */
+function loadManifest(agentPath) {
+  const { raw, source } = readRawManifest(agentPath);
+  if (typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`${source} must contain an object`);
+  }
+
+  const interpreter = raw.interpreter === undefined ? 'ts-node' : raw.interpreter;
+  if (!INTERPRETERS.includes(interpreter)) {
+    throw new Error(`Unsupported interpreter "${interpreter}" (expected one of: ${INTERPRETERS.join(', ')})`);
+  }
+
+  const entry = raw.entry === undefined ? DEFAULT_ENTRY[interpreter] : raw.entry;
+  if (typeof entry !== 'string' || !entry) {
+    throw new Error('"entry" must be a file path');
+  }
+  // The entry point has to live inside the working copy
+  const entryPath = path.resolve(agentPath, entry);
+  if (entryPath !== agentPath && !entryPath.startsWith(agentPath + path.sep)) {
+    throw new Error(`"entry" must be inside the repository: ${entry}`);
+  }
+
+  let install = commandField(raw.install, 'install');
+  if (install === undefined) {
+    if (interpreter === 'python') {
+      install = fs.existsSync(path.join(agentPath, 'requirements.txt')) ? 'pip install -r requirements.txt' : null;
+    } else {
+      install = fs.existsSync(path.join(agentPath, 'package.json')) ? 'npm install' : null;
+    }
+  }
+  const build = commandField(raw.build, 'build') || null;
+
+  const env = raw.env === undefined ? {} : raw.env;
+  if (typeof env !== 'object' || env === null || Array.isArray(env)) {
+    throw new Error('"env" must be an object of NAME: value pairs');
+  }
+  const envDefaults = {};
+  for (const [key, value] of Object.entries(env)) {
+    envDefaults[key] = String(value);
+  }
+
+  const declared = secretList(raw.secrets, 'secrets', true);
+  const declaredOptional = secretList(raw.optional_secrets, 'optional_secrets', false) || [];
+  const secrets = declared === undefined
+    ? DEFAULT_SECRETS.filter(d => !declaredOptional.some(o => o.name === d.name)).concat(declaredOptional)
+    : declared.concat(declaredOptional);
+  const names = new Set();
+  for (const secret of secrets) {
+    if (names.has(secret.name)) {
+      throw new Error(`Secret ${secret.name} is declared more than once`);
+    }
+    names.add(secret.name);
+  }
+
+  return {
+    source,
+    entry,
+    entryPath,
+    interpreter,
+    install,
+    build,
+    env: envDefaults,
+    secrets,
+    requiredSecrets: secrets.filter(s => s.required).map(s => s.name),
+    optionalSecrets: secrets.filter(s => !s.required).map(s => s.name)
+  };
+}
+
+/**
+ * Check secret values against the manifest's secret schema.
+ * `values` maps secret name to its (decrypted) value, or to true when only presence is known.
+ */
+function checkSecrets(manifest, values) {
+  const status = manifest.secrets.map(secret => {
+    const value = values[secret.name];
+    const set = value !== undefined && value !== null && value !== '';
+    let valid = null;
+    if (set && secret.pattern && typeof value === 'string') {
+      valid = matchesPattern(secret.pattern, value);
+    } else if (set) {
+      valid = true;
+    }
+    return {
+      key: secret.name,
+      required: secret.required,
+      description: secret.description,
+      pattern: secret.pattern,
+      set,
+      valid
+    };
+  });
+
+  return {
+    status,
+    missing: status.filter(s => s.required && !s.set).map(s => s.key),
+    invalid: status.filter(s => s.set && s.valid === false).map(s => s.key)
+  };
+}
+
+/**
+ * Resolve the PM2 interpreter for a manifest.
+ * ts-node prefers the agent's own node_modules copy (symlink resolved), then a global one.
+ */
+function resolveInterpreter(manifest, agentPath) {
+  if (manifest.interpreter === 'python') {
+    return process.env.PYTHON_INTERPRETER || 'python3';
+  }
+  if (manifest.interpreter === 'node') {
+    return 'node';
+  }
+
+  const tsNodeBin = path.join(agentPath, 'node_modules', '.bin', 'ts-node');
+  if (fs.existsSync(tsNodeBin)) {
+    try {
+      return fs.realpathSync(tsNodeBin);
+    } catch (e) {
+      return tsNodeBin;
+    }
+  }
+  return 'ts-node';
+}
+
+module.exports = {
+  loadManifest,
+  resolveInterpreter,
+  checkSecrets,
+  matchesPattern,
+  MANIFEST_FILE,
+  INTERPRETERS
+};
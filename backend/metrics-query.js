@@ -0,0 +1,192 @@
+const { parseTimeParam, parseDuration, toSqliteTimestamp } = require('./log-store.js');
+const { ACTIONS } = require('./decisions.js');
+
+// Paged and bucketed reads of the metrics table
+//
+// - page / trades: newest first by default, `cursor` is the next_cursor of the previous page (a row id)
+// - buckets:       per-window OHLC of price plus decision counts by action, windows aligned to UTC
+
+const DEFAULT_PAGE_SIZE = 100;
+const DEFAULT_TRADES_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 1000;
+const DEFAULT_BUCKET_WINDOW = '1h';
+const DEFAULT_BUCKET_RANGE_MS = 24 * 60 * 60 * 1000;
+const MIN_BUCKET_MS = 60 * 1000;
+const MAX_BUCKETS = 2000;
+
+// metrics.timestamp is CURRENT_TIMESTAMP: UTC with whole seconds
+function toMetricsTimestamp(date) {
+  return toSqliteTimestamp(date).substring(0, 19);
+}
+
+function parseRange(query, now) {
+  const range = {};
+  for (const name of ['from', 'to']) {
+    if (query[name] === undefined) continue;
+    range[name] = parseTimeParam(query[name], now);
+    if (!range[name]) {
+      return { error: `${name} must be an ISO date or a duration like 15m, 24h or 7d` };
+    }
+  }
+  if (range.from && range.to && range.from > range.to) {
+    return { error: 'from must be before to' };
+  }
+  return { range };
+}
+
+/**
+ * Validate from, to, limit, cursor and order of a paged metrics or trades request.
+ * Returns { options } or { error }.
+ */
+function parsePageQuery(query = {}, now = Date.now()) {
+  const { range, error } = parseRange(query, now);
+  if (error) return { error };
+  for (const name of ['cursor', 'limit']) {
+    if (query[name] !== undefined && !/^\d+$/.test(query[name])) {
+      return { error: `${name} must be a positive integer` };
+    }
+  }
+  if (query.order !== undefined && !['asc', 'desc'].includes(query.order)) {
+    return { error: 'order must be asc or desc' };
+  }
+  return {
+    options: {
+      ...range,
+      limit: query.limit !== undefined ? Number(query.limit) : undefined,
+      cursor: query.cursor !== undefined ? Number(query.cursor) : null,
+      order: query.order || 'desc'
+    }
+  };
+}
+
+/**
+ * Validate window (1m, 15m, 1h, 1d, ... - default 1h), from and to (default the last 24h) of a buckets request.
+ * Returns { options } or { error }.
+ */
+function parseBucketQuery(query = {}, now = Date.now()) {
+  const { range, error } = parseRange(query, now);
+  if (error) return { error };
+  const to = range.to || new Date(now);
+  const from = range.from || new Date(to.getTime() - DEFAULT_BUCKET_RANGE_MS);
+  if (from > to) {
+    return { error: 'from must be before to' };
+  }
+
+  const window = query.window || DEFAULT_BUCKET_WINDOW;
+  const windowMs = parseDuration(window);
+  if (!windowMs || windowMs < MIN_BUCKET_MS || windowMs % 1000 !== 0) {
+    return { error: 'window must be a duration like 1m, 15m, 1h or 1d (at least 1m)' };
+  }
+  if ((to - from) / windowMs > MAX_BUCKETS) {
+    return { error: `That range has more than ${MAX_BUCKETS} windows of ${window} - use a larger window or a shorter range` };
+  }
+  return { options: { from, to, window, window_ms: windowMs } };
+}
+
+/**
+ * Create the metrics reader.
+ */
+function createMetricsQuery({ db }) {
+  const dbAll = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+
+  async function paged(columns, conditions, params, options, defaultLimit) {
+    const order = options.order === 'asc' ? 'ASC' : 'DESC';
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || defaultLimit, 1), MAX_PAGE_SIZE);
+    if (options.from) {
+      conditions.push('timestamp >= ?');
+      params.push(toMetricsTimestamp(options.from));
+    }
+    if (options.to) {
+      conditions.push('timestamp <= ?');
+      params.push(toMetricsTimestamp(options.to));
+    }
+    if (options.cursor) {
+      conditions.push(order === 'DESC' ? 'id < ?' : 'id > ?');
+      params.push(options.cursor);
+    }
+    // One extra row tells us whether there is another page
+    const rows = await dbAll(
+      `SELECT ${columns} FROM metrics WHERE ${conditions.join(' AND ')} ORDER BY id ${order} LIMIT ?`,
+      [...params, limit + 1]
+    );
+    const page = rows.slice(0, limit);
+    return { rows: page, next_cursor: rows.length > limit ? page[page.length - 1].id : null };
+  }
+
+  // Options from parsePageQuery; default 100 rows
+  async function page(agent_id, options = {}) {
+    const { rows, next_cursor } = await paged('*', ['agent_id = ?'], [agent_id], options, DEFAULT_PAGE_SIZE);
+    return { metrics: rows, next_cursor };
+  }
+
+  // Executed trades with a transaction hash; default 50 rows
+  async function trades(agent_id, options = {}) {
+    const { rows, next_cursor } = await paged(
+      'id, decision, action, asset_pair, price, timestamp, trade_tx_hash, trade_amount, trade_fee',
+      ['agent_id = ?', 'trade_executed = 1', 'trade_tx_hash IS NOT NULL'],
+      [agent_id],
+      options,
+      DEFAULT_TRADES_PAGE_SIZE
+    );
+    return { trades: rows, next_cursor };
+  }
+
+  // Options from parseBucketQuery. Only windows with at least one row are returned, oldest first.
+  async function buckets(agent_id, options) {
+    const windowSeconds = options.window_ms / 1000;
+    const rows = await dbAll(
+      `SELECT b.*,
+         (SELECT price FROM metrics WHERE id = b.open_id) AS open,
+         (SELECT price FROM metrics WHERE id = b.close_id) AS close
+       FROM (
+         SELECT CAST(strftime('%s', timestamp) AS INTEGER) / ? AS bucket,
+           COUNT(*) AS decisions,
+           ${ACTIONS.map(action => `SUM(CASE WHEN action = '${action}' THEN 1 ELSE 0 END) AS count_${action}`).join(',\n           ')},
+           SUM(CASE WHEN action IS NULL THEN 1 ELSE 0 END) AS unclassified,
+           SUM(CASE WHEN trade_executed = 1 THEN 1 ELSE 0 END) AS trades_executed,
+           MIN(price) AS low,
+           MAX(price) AS high,
+           AVG(price) AS avg_price,
+           MIN(CASE WHEN price IS NOT NULL THEN id END) AS open_id,
+           MAX(CASE WHEN price IS NOT NULL THEN id END) AS close_id
+         FROM metrics
+         WHERE agent_id = ? AND timestamp >= ? AND timestamp <= ?
+         GROUP BY bucket
+       ) b
+       ORDER BY b.bucket`,
+      [windowSeconds, agent_id, toMetricsTimestamp(options.from), toMetricsTimestamp(options.to)]
+    );
+
+    return {
+      from: options.from.toISOString(),
+      to: options.to.toISOString(),
+      window: options.window,
+      buckets: rows.map(row => ({
+        timestamp: new Date(row.bucket * options.window_ms).toISOString(),
+        open: row.open,
+        high: row.high,
+        low: row.low,
+        close: row.close,
+        avg_price: row.avg_price,
+        decisions: row.decisions,
+        actions: Object.fromEntries(ACTIONS.map(action => [action, row[`count_${action}`]])),
+        unclassified: row.unclassified,
+        trades_executed: row.trades_executed
+      }))
+    };
+  }
+
+  return {
+    page,
+    trades,
+    buckets
+  };
+}
+
+module.exports = {
+  createMetricsQuery,
+  parsePageQuery,
+  parseBucketQuery
+};
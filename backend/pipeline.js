@@ -0,0 +1,584 @@
+const path = require('path');
+const fs = require('fs');
+const shell = require('shelljs');
+const { ethers } = require('ethers');
+const { loadManifest } = require('./manifest.js');
+
+// Job types handled by the pipeline
+// - deploy:   fetch latest code, install, make sure the agent is registered on-chain, (re)start it
+// - restart:  (re)start with the code already on disk, cloning only if the working copy is missing
+// - rollback: check out an earlier commit (payload.commit_sha), install and restart on it
+// - teardown: stop and archive an agent whose branch was deleted
+const JOB_TYPES = ['deploy', 'restart', 'rollback', 'teardown'];
+
+// Where a job came from (webhook push, manual API trigger, startup recovery, restart endpoints)
+const JOB_SOURCES = ['webhook', 'manual', 'recovery', 'restart'];
+
+// What the factory is told about each deployment (AGENT_FACTORY_METADATA)
+// - none:    registerAgent(branch_hash) only - works with factories that predate the metadata functions
+// - events:  registerAgentWithMetadata / recordDeployment emit repo, branch and commit in AgentDeployed
+// - storage: like events, and the factory also stores them in its `metadata` mapping
+const FACTORY_METADATA_MODES = ['none', 'events', 'storage'];
+
+function factoryMetadataModeFromEnv(env = process.env) {
+  const mode = (env.AGENT_FACTORY_METADATA || 'none').toLowerCase();
+  return FACTORY_METADATA_MODES.includes(mode) ? mode : 'none';
+}
+
+// Quote a value for interpolation into a shell command
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+// Run a shell command in `cwd` without blocking the event loop and without touching process.cwd()
+function runCommand(command, cwd) {
+  return new Promise((resolve) => {
+    shell.exec(command, { cwd, silent: true, async: true }, (code, stdout, stderr) => {
+      resolve({ code, stdout, stderr });
+    });
+  });
+}
+
+// Only the tail of each stream is kept per deployment - npm install can be very chatty
+const MAX_CAPTURED_OUTPUT = 64 * 1024;
+
+function appendOutput(existing, chunk) {
+  const combined = existing + chunk;
+  return combined.length > MAX_CAPTURED_OUTPUT ? combined.slice(-MAX_CAPTURED_OUTPUT) : combined;
+}
+
+// Deployment list rows leave out the captured output; fetch a single deployment for that
+const DEPLOYMENT_SUMMARY_COLUMNS = `id, job_id, agent_id, branch_hash, repo_url, branch_name, type, source, commit_sha,
+  commit_message, requested_sha, pusher, outcome, error, started_at, finished_at,
+  clone_ms, install_ms, register_ms, start_ms`;
+
+function isZeroAddress(address) {
+  return !address || address === ethers.ZeroAddress;
+}
+
+/**
+ * Create the deployment pipeline.
+ *
+ * Every way of getting an agent running (webhook, manual trigger, restart, recovery) enqueues a job here.
+ * Jobs are persisted in `deployment_jobs`, run one branch at a time (per-branch lock) with at most
+ * DEPLOY_CONCURRENCY jobs in flight, and resume after a backend restart.
+ * Each deploy/restart run is recorded in `deployments` with its commit, phase timings and captured output.
+ */
+function createDeploymentPipeline({ db, agentsDir, getEthersSetup, startOrReloadAgent, teardownAgent, agentRegistry = null }) {
+  const concurrency = Math.max(1, parseInt(process.env.DEPLOY_CONCURRENCY || '1', 10) || 1);
+  const metadataMode = factoryMetadataModeFromEnv();
+  const lockedBranches = new Set();
+  let active = 0;
+  let started = false;
+  let draining = false;
+  let drainRequested = false;
+
+  const dbGet = (sql, params = []) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+  });
+  const dbAll = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+  const dbRun = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve(this);
+    });
+  });
+
+  function parseJob(row) {
+    if (!row) return null;
+    let payload = {};
+    try {
+      payload = row.payload ? JSON.parse(row.payload) : {};
+    } catch (e) {
+      payload = {};
+    }
+    return { ...row, payload };
+  }
+
+  /**
+   * Queue a job. If the same branch already has a queued job of the same type, that job is returned
+   * instead - it will pick up the latest code when it runs anyway.
+   */
+  async function enqueue({ type = 'deploy', repo_url, branch_name, branch_hash, source, payload = {} }) {
+    if (!JOB_TYPES.includes(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+    if (!JOB_SOURCES.includes(source)) {
+      throw new Error(`Unknown job source: ${source}`);
+    }
+    if (!repo_url || !branch_name) {
+      throw new Error('repo_url and branch_name are required');
+    }
+    branch_hash = branch_hash || ethers.id(repo_url + "/" + branch_name);
+
+    // A deleted branch should not be redeployed by jobs queued before the deletion
+    if (type === 'teardown') {
+      await dbRun(
+        "UPDATE deployment_jobs SET status = 'cancelled', error = 'Branch deleted', finished_at = CURRENT_TIMESTAMP WHERE branch_hash = ? AND status = 'queued' AND type != 'teardown'",
+        [branch_hash]
+      );
+    }
+
+    const pending = await dbGet(
+      "SELECT * FROM deployment_jobs WHERE branch_hash = ? AND type = ? AND status = 'queued' ORDER BY id DESC LIMIT 1",
+      [branch_hash, type]
+    );
+    if (pending) {
+      // Keep the newest trigger details (e.g. the latest pushed commit) on the coalesced job
+      await dbRun('UPDATE deployment_jobs SET payload = ?, source = ? WHERE id = ?',
+        [JSON.stringify({ ...parseJob(pending).payload, ...payload }), source, pending.id]);
+      console.log(`[Pipeline] ${type} for ${branch_name} already queued as job ${pending.id}`);
+      setImmediate(drain);
+      return parseJob(await dbGet('SELECT * FROM deployment_jobs WHERE id = ?', [pending.id]));
+    }
+
+    const result = await dbRun(
+      'INSERT INTO deployment_jobs (type, branch_hash, repo_url, branch_name, source, payload) VALUES (?, ?, ?, ?, ?, ?)',
+      [type, branch_hash, repo_url, branch_name, source, JSON.stringify(payload)]
+    );
+    console.log(`[Pipeline] Queued ${type} job ${result.lastID} for ${branch_name} (source: ${source})`);
+    setImmediate(drain);
+    return parseJob(await dbGet('SELECT * FROM deployment_jobs WHERE id = ?', [result.lastID]));
+  }
+
+  async function getJob(id) {
+    return parseJob(await dbGet('SELECT * FROM deployment_jobs WHERE id = ?', [id]));
+  }
+
+  async function listJobs({ branch_hash, status, limit = 50 } = {}) {
+    const where = [];
+    const params = [];
+    if (branch_hash) {
+      where.push('branch_hash = ?');
+      params.push(branch_hash);
+    }
+    if (status) {
+      where.push('status = ?');
+      params.push(status);
+    }
+    params.push(Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500));
+    const rows = await dbAll(
+      `SELECT * FROM deployment_jobs ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY id DESC LIMIT ?`,
+      params
+    );
+    return rows.map(parseJob);
+  }
+
+  // --- Deployment records ---
+
+  // Run a command and append its output to the deployment record
+  async function exec(deployment, command, cwd) {
+    const result = await runCommand(command, cwd);
+    deployment.stdout = appendOutput(deployment.stdout, `$ ${command}\n${result.stdout}`);
+    if (result.stderr) {
+      deployment.stderr = appendOutput(deployment.stderr, `$ ${command}\n${result.stderr}`);
+    }
+    return result;
+  }
+
+  // Run one pipeline phase (clone, install, register, start) and record how long it took
+  async function timePhase(deployment, phase, fn) {
+    const phaseStart = Date.now();
+    try {
+      return await fn();
+    } finally {
+      deployment.phases[phase] = Date.now() - phaseStart;
+    }
+  }
+
+  async function createDeployment(job, existingAgent) {
+    const result = await dbRun(
+      `INSERT INTO deployments (job_id, agent_id, branch_hash, repo_url, branch_name, type, source, requested_sha, pusher, outcome)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'running')`,
+      [job.id, existingAgent?.id || null, job.branch_hash, job.repo_url, job.branch_name, job.type, job.source,
+        job.payload.commit_sha || null, job.payload.pusher || null]
+    );
+    return { id: result.lastID, agent_id: existingAgent?.id || null, commit_sha: null, commit_message: null, phases: {}, stdout: '', stderr: '', announced: false };
+  }
+
+  async function finishDeployment(deployment, outcome, error = null) {
+    await dbRun(
+      `UPDATE deployments SET agent_id = ?, commit_sha = ?, commit_message = ?, outcome = ?, error = ?, finished_at = CURRENT_TIMESTAMP,
+         clone_ms = ?, install_ms = ?, register_ms = ?, start_ms = ?, stdout = ?, stderr = ?
+       WHERE id = ?`,
+      [deployment.agent_id, deployment.commit_sha, deployment.commit_message, outcome, error,
+        deployment.phases.clone ?? null, deployment.phases.install ?? null, deployment.phases.register ?? null, deployment.phases.start ?? null,
+        deployment.stdout, deployment.stderr, deployment.id]
+    );
+  }
+
+  async function getDeployment(id) {
+    return dbGet('SELECT * FROM deployments WHERE id = ?', [id]);
+  }
+
+  async function listDeployments(branch_hash, { limit = 20 } = {}) {
+    return dbAll(
+      `SELECT ${DEPLOYMENT_SUMMARY_COLUMNS} FROM deployments WHERE branch_hash = ? ORDER BY id DESC LIMIT ?`,
+      [branch_hash, Math.min(Math.max(parseInt(limit, 10) || 20, 1), 200)]
+    );
+  }
+
+  // The commit the agent is actually running: the most recent successful deployment
+  async function getCurrentDeployment(branch_hash) {
+    return dbGet(
+      `SELECT ${DEPLOYMENT_SUMMARY_COLUMNS} FROM deployments WHERE branch_hash = ? AND outcome = 'succeeded' ORDER BY id DESC LIMIT 1`,
+      [branch_hash]
+    );
+  }
+
+  // The last successful deployment of a different commit than the one running now (default rollback target)
+  async function getPreviousDeployment(branch_hash) {
+    const current = await getCurrentDeployment(branch_hash);
+    if (!current || !current.commit_sha) return null;
+    return dbGet(
+      `SELECT ${DEPLOYMENT_SUMMARY_COLUMNS} FROM deployments
+       WHERE branch_hash = ? AND outcome = 'succeeded' AND commit_sha IS NOT NULL AND commit_sha != ? AND id < ?
+       ORDER BY id DESC LIMIT 1`,
+      [branch_hash, current.commit_sha, current.id]
+    );
+  }
+
+  // --- Pipeline steps ---
+
+  // Clone the branch, or bring an existing working copy to the tip of the remote branch
+  async function checkoutCode(job, agentPath, deployment, { pull }) {
+    const hasWorkingCopy = fs.existsSync(path.join(agentPath, '.git'));
+
+    if (hasWorkingCopy && !pull) {
+      return { cloned: false };
+    }
+
+    if (hasWorkingCopy) {
+      console.log(`[Pipeline] Pulling latest ${job.branch_name}...`);
+      const steps = [
+        'git reset --hard HEAD',
+        `git fetch origin ${shellQuote(job.branch_name)}`,
+        `git checkout -f -B ${shellQuote(job.branch_name)} FETCH_HEAD`
+      ];
+      for (const step of steps) {
+        const result = await exec(deployment, step, agentPath);
+        if (result.code !== 0) {
+          throw new Error(`${step} failed: ${result.stderr.trim() || result.stdout.trim()}`);
+        }
+      }
+      return { cloned: false };
+    }
+
+    // A directory without .git is a leftover from a failed clone
+    if (fs.existsSync(agentPath)) {
+      shell.rm('-rf', agentPath);
+    }
+    console.log(`[Pipeline] Cloning ${job.repo_url} (${job.branch_name})...`);
+    const result = await exec(
+      deployment,
+      `git clone --branch ${shellQuote(job.branch_name)} ${shellQuote(job.repo_url)} ${shellQuote(agentPath)}`,
+      agentsDir
+    );
+    if (result.code !== 0) {
+      throw new Error(`git clone failed: ${result.stderr.trim() || result.stdout.trim()}`);
+    }
+    return { cloned: true };
+  }
+
+  // Record which commit is checked out
+  async function readCommit(agentPath, deployment) {
+    const sha = await runCommand('git rev-parse HEAD', agentPath);
+    if (sha.code === 0) {
+      deployment.commit_sha = sha.stdout.trim();
+    }
+    const subject = await runCommand('git log -1 --format=%s', agentPath);
+    if (subject.code === 0) {
+      deployment.commit_message = subject.stdout.trim();
+    }
+  }
+
+  // Detach the working copy at a specific commit, fetching first in case it is not local yet
+  async function checkoutCommit(job, agentPath, deployment) {
+    const sha = job.payload.commit_sha;
+    if (!sha) {
+      throw new Error('Rollback job has no commit_sha');
+    }
+    const steps = [
+      'git reset --hard HEAD',
+      `git fetch origin ${shellQuote(job.branch_name)}`
+    ];
+    for (const step of steps) {
+      const result = await exec(deployment, step, agentPath);
+      if (result.code !== 0) {
+        throw new Error(`${step} failed: ${result.stderr.trim() || result.stdout.trim()}`);
+      }
+    }
+    const exists = await exec(deployment, `git cat-file -e ${shellQuote(sha + '^{commit}')}`, agentPath);
+    if (exists.code !== 0) {
+      throw new Error(`Commit ${sha} not found in ${job.repo_url}`);
+    }
+    console.log(`[Pipeline] Rolling ${job.branch_name} back to ${sha}...`);
+    const checkout = await exec(deployment, `git checkout -f --detach ${shellQuote(sha)}`, agentPath);
+    if (checkout.code !== 0) {
+      throw new Error(`git checkout ${sha} failed: ${checkout.stderr.trim()}`);
+    }
+  }
+
+  // Run the manifest's install and build commands (npm install by default)
+  async function installDependencies(job, agentPath, deployment) {
+    const manifest = loadManifest(agentPath);
+    const commands = [manifest.install, manifest.build].filter(Boolean);
+    if (commands.length === 0) {
+      console.log(`[Pipeline] Nothing to install for ${job.branch_name} (manifest: ${manifest.source})`);
+      return;
+    }
+    for (const command of commands) {
+      console.log(`[Pipeline] ${job.branch_name}: ${command} (manifest: ${manifest.source})`);
+      const result = await exec(deployment, command, agentPath);
+      if (result.code !== 0) {
+        throw new Error(`${command} failed: ${result.stderr.trim().split('\n').slice(-5).join('\n')}`);
+      }
+    }
+  }
+
+  // Make sure the agent has a contract. Agents already known to the DB are not re-registered,
+  // and a temporarily unreachable RPC only fails the job if we have no address at all.
+  async function ensureRegistered(job, existingAgent, deployment) {
+    try {
+      const { agentFactoryContract: factoryContract } = getEthersSetup();
+      let agentAddress = await factoryContract.agents(job.branch_hash);
+
+      if (!isZeroAddress(agentAddress)) {
+        console.log(`[Pipeline] Agent found on-chain at: ${agentAddress}`);
+        return agentAddress;
+      }
+      if (existingAgent?.agent_address) {
+        return existingAgent.agent_address;
+      }
+
+      console.log(`[Pipeline] Registering agent with branch_hash: ${job.branch_hash}...`);
+      try {
+        const tx = metadataMode === 'none'
+          ? await factoryContract.registerAgent(job.branch_hash)
+          : await factoryContract.registerAgentWithMetadata(
+            job.branch_hash, job.repo_url, job.branch_name, deployment.commit_sha || '', metadataMode === 'storage'
+          );
+        console.log(`[Pipeline] Transaction sent: ${tx.hash}, waiting for confirmation...`);
+        const receipt = await tx.wait();
+        console.log(`[Pipeline] Transaction confirmed in block ${receipt.blockNumber}`);
+        // registerAgentWithMetadata already emitted AgentDeployed for this commit
+        deployment.announced = metadataMode !== 'none';
+      } catch (registerError) {
+        if (registerError.reason !== 'Agent already registered' &&
+            !registerError.message?.includes('Agent already registered')) {
+          throw registerError;
+        }
+        console.log(`[Pipeline] Agent already registered on-chain. Fetching address...`);
+      }
+
+      // Give the RPC a moment to reflect the new state
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      agentAddress = await factoryContract.agents(job.branch_hash);
+      if (isZeroAddress(agentAddress)) {
+        throw new Error('Agent address not found after registration. Transaction may have failed.');
+      }
+      console.log(`✅ Agent contract deployed at: ${agentAddress}`);
+      console.log(`🔗 Explorer: https://shannon-explorer.somnia.network/address/${agentAddress}`);
+      return agentAddress;
+    } catch (error) {
+      if (existingAgent?.agent_address) {
+        console.warn(`[Pipeline] Could not check contract state (${error.message}), using known address ${existingAgent.agent_address}`);
+        return existingAgent.agent_address;
+      }
+      throw error;
+    }
+  }
+
+  // Insert or update the agents row and return it
+  async function upsertAgent(job, agentAddress) {
+    rememberAgent(job, agentAddress);
+    const existing = await dbGet('SELECT * FROM agents WHERE branch_hash = ?', [job.branch_hash]);
+    if (existing) {
+      await dbRun('UPDATE agents SET agent_address = ?, status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [agentAddress, 'deploying', existing.id]);
+      return { ...existing, agent_address: agentAddress, status: 'deploying' };
+    }
+    const result = await dbRun(
+      'INSERT INTO agents (repo_url, branch_name, branch_hash, agent_address, status) VALUES (?, ?, ?, ?, ?)',
+      [job.repo_url, job.branch_name, job.branch_hash, agentAddress, 'deploying']
+    );
+    console.log(`[Pipeline] Created new agent record ${result.lastID} for ${job.branch_name}`);
+    return {
+      id: result.lastID,
+      repo_url: job.repo_url,
+      branch_name: job.branch_name,
+      branch_hash: job.branch_hash,
+      agent_address: agentAddress,
+      status: 'deploying'
+    };
+  }
+
+  // The registry is what lets recovery map this branch_hash back to its repo if the DB is lost
+  function rememberAgent(job, agentAddress) {
+    if (!agentRegistry) return;
+    try {
+      agentRegistry.record({ branch_hash: job.branch_hash, repo_url: job.repo_url, branch_name: job.branch_name, agent_address: agentAddress });
+    } catch (error) {
+      console.warn(`[Pipeline] Could not update the agent registry for ${job.branch_name}: ${error.message}`);
+    }
+  }
+
+  // Emit AgentDeployed through the factory. The agent is already running, so failures only log a warning.
+  async function announceDeployment(job, deployment) {
+    if (metadataMode === 'none' || deployment.announced) return;
+    try {
+      const { agentFactoryContract: factoryContract } = getEthersSetup();
+      const tx = await factoryContract.recordDeployment(job.branch_hash, job.repo_url, job.branch_name, deployment.commit_sha || '');
+      const receipt = await tx.wait();
+      console.log(`[Pipeline] AgentDeployed recorded for ${job.branch_name} in block ${receipt.blockNumber}`);
+    } catch (error) {
+      console.warn(`[Pipeline] Could not record deployment of ${job.branch_name} on-chain: ${error.reason || error.message}`);
+    }
+  }
+
+  async function runDeploy(job) {
+    const agentPath = path.join(agentsDir, job.branch_hash);
+    const existingAgent = await dbGet('SELECT * FROM agents WHERE branch_hash = ?', [job.branch_hash]);
+    const isRestart = job.type === 'restart';
+    const isRollback = job.type === 'rollback';
+
+    if (existingAgent) {
+      await dbRun('UPDATE agents SET status = ? WHERE id = ?', ['deploying', existingAgent.id]);
+    }
+
+    const deployment = await createDeployment(job, existingAgent);
+
+    try {
+      // 1. clone / pull
+      const { cloned } = await timePhase(deployment, 'clone', async () => {
+        const checkout = await checkoutCode(job, agentPath, deployment, { pull: !isRestart && !isRollback });
+        if (isRollback) {
+          await checkoutCommit(job, agentPath, deployment);
+        }
+        await readCommit(agentPath, deployment);
+        return checkout;
+      });
+
+      // 2. npm install (restarts only install when they had to clone)
+      if (!isRestart || cloned) {
+        await timePhase(deployment, 'install', () => installDependencies(job, agentPath, deployment));
+      }
+
+      // 3. registerAgent
+      const agent = await timePhase(deployment, 'register', async () => {
+        const agentAddress = await ensureRegistered(job, existingAgent, deployment);
+        return upsertAgent(job, agentAddress);
+      });
+      deployment.agent_id = agent.id;
+
+      // 4. startOrReloadAgent
+      await timePhase(deployment, 'start', () => startOrReloadAgent(agent, agentPath, job.branch_hash, deployment.id));
+
+      // 5. AgentDeployed event for the commit now running
+      await announceDeployment(job, deployment);
+
+      await finishDeployment(deployment, 'succeeded');
+      console.log(`[Pipeline] Deployment ${deployment.id}: ${job.branch_name} running ${deployment.commit_sha ? deployment.commit_sha.substring(0, 7) : 'unknown commit'}`);
+      return { agent_id: agent.id, agent_address: agent.agent_address, deployment_id: deployment.id };
+    } catch (error) {
+      await dbRun('UPDATE agents SET status = ? WHERE branch_hash = ?', [error.agentStatus || 'error', job.branch_hash]);
+      await finishDeployment(deployment, 'failed', error.message).catch((recordError) => {
+        console.error(`[Pipeline] Could not record deployment ${deployment.id}:`, recordError.message);
+      });
+      throw error;
+    }
+  }
+
+  async function runJob(job) {
+    if (job.type === 'teardown') {
+      return teardownAgent(job.branch_hash, job.branch_name);
+    }
+    // deploy, restart and rollback share the same clone → install → register → start phases
+    return runDeploy(job);
+  }
+
+  // --- Worker ---
+
+  async function drain() {
+    if (!started) return;
+    if (draining) {
+      drainRequested = true;
+      return;
+    }
+    draining = true;
+    drainRequested = false;
+    try {
+      while (active < concurrency) {
+        const queued = await dbAll("SELECT * FROM deployment_jobs WHERE status = 'queued' ORDER BY id ASC");
+        const next = queued.find(job => !lockedBranches.has(job.branch_hash));
+        if (!next) break;
+
+        lockedBranches.add(next.branch_hash);
+        active++;
+        await dbRun(
+          "UPDATE deployment_jobs SET status = 'running', attempts = attempts + 1, started_at = CURRENT_TIMESTAMP, error = NULL WHERE id = ?",
+          [next.id]
+        );
+        execute(parseJob(next));
+      }
+    } catch (error) {
+      console.error('[Pipeline] Error reading job queue:', error.message);
+    } finally {
+      draining = false;
+      if (drainRequested) setImmediate(drain);
+    }
+  }
+
+  async function execute(job) {
+    console.log(`[Pipeline] ▶️  Job ${job.id}: ${job.type} ${job.branch_name} (source: ${job.source}, attempt ${job.attempts + 1})`);
+    try {
+      await runJob(job);
+      await dbRun("UPDATE deployment_jobs SET status = 'succeeded', finished_at = CURRENT_TIMESTAMP WHERE id = ?", [job.id]);
+      console.log(`[Pipeline] ✅ Job ${job.id}: ${job.type} ${job.branch_name} succeeded`);
+    } catch (error) {
+      console.error(`[Pipeline] ❌ Job ${job.id}: ${job.type} ${job.branch_name} failed: ${error.message}`);
+      await dbRun("UPDATE deployment_jobs SET status = 'failed', error = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [error.message, job.id]).catch(() => {});
+    } finally {
+      lockedBranches.delete(job.branch_hash);
+      active--;
+      setImmediate(drain);
+    }
+  }
+
+  /**
+   * Start processing. Jobs that were running when the backend went down are re-queued first.
+   */
+  async function start() {
+    if (started) return;
+    const result = await dbRun("UPDATE deployment_jobs SET status = 'queued' WHERE status = 'running'");
+    if (result.changes > 0) {
+      console.log(`[Pipeline] Re-queued ${result.changes} interrupted job(s)`);
+    }
+    // Their deployment records will never be finished - the re-queued job starts a new one
+    await dbRun("UPDATE deployments SET outcome = 'interrupted', finished_at = CURRENT_TIMESTAMP WHERE outcome = 'running'");
+    started = true;
+    const pending = await dbGet("SELECT COUNT(*) as count FROM deployment_jobs WHERE status = 'queued'");
+    console.log(`[Pipeline] Deployment worker started (concurrency ${concurrency}, ${pending?.count || 0} job(s) queued)`);
+    drain();
+  }
+
+  return {
+    enqueue,
+    getJob,
+    listJobs,
+    getDeployment,
+    listDeployments,
+    getCurrentDeployment,
+    getPreviousDeployment,
+    start
+  };
+}
+
+module.exports = {
+  createDeploymentPipeline,
+  JOB_TYPES,
+  JOB_SOURCES
+};
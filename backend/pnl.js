@@ -0,0 +1,233 @@
+const { toIsoTimestamp } = require('./log-stream.js');
+const { actionOf } = require('./decisions.js');
+
+// Position and PnL of an agent, replayed from its metrics rows
+//
+// Executed trades (trade_executed = 1 with a price and trade_amount) move the position: a BUY decision
+// adds trade_amount tokens at `price`, a SELL removes them, a CLOSE trades back towards flat (the whole
+// position when it has no trade_amount). Average-cost accounting - buys move the
+// average entry price, sells realize (price - entry) * amount; selling more than is held opens a short.
+// trade_fee is in the same currency as price and is taken off PnL.
+// Every row with a price marks the open position to market (unrealized PnL), and drawdown is the drop
+// of total PnL (realized + unrealized - fees) from its highest point so far.
+// /api/stats reads the summary from a saved snapshot (agent_pnl_snapshots) that only replays new rows.
+
+const DEFAULT_SERIES_LIMIT = 500;
+const MAX_SERIES_LIMIT = 5000;
+const EPSILON = 1e-12;
+// Bump when the accounting changes: snapshots saved by older code are replayed from scratch
+const STATE_VERSION = 1;
+const REPLAY_BATCH_SIZE = 5000;
+const COLUMNS = 'id, decision, action, price, timestamp, trade_executed, trade_amount, trade_fee';
+
+const round = value => Math.round(value * 1e8) / 1e8 || 0; // || 0 turns -0 into 0
+
+// { side: 'BUY' | 'SELL', amount } of an executed trade row given the current position, null if it can't be used
+function tradeOf(row, position) {
+  if (!row.trade_executed || !(row.price > 0)) return null;
+  const action = actionOf(row);
+  if (action === 'CLOSE') {
+    if (position === 0) return null;
+    const amount = row.trade_amount > 0 ? Math.min(row.trade_amount, Math.abs(position)) : Math.abs(position);
+    return { side: position > 0 ? 'SELL' : 'BUY', amount };
+  }
+  if ((action !== 'BUY' && action !== 'SELL') || !(row.trade_amount > 0)) return null;
+  return { side: action, amount: row.trade_amount };
+}
+
+// Accounting state before the first row; plain JSON so it can be saved as a snapshot
+function initialState() {
+  return {
+    version: STATE_VERSION,
+    position: 0,
+    entryPrice: 0,
+    realized: 0,
+    fees: 0,
+    markPrice: null,
+    peak: 0,
+    maxDrawdown: 0,
+    trades: 0,
+    skippedTrades: 0,
+    firstTrade: null,
+    lastTrade: null,
+    last: null // unrealized/total/drawdown of the latest series point
+  };
+}
+
+function applyTrade(state, side, amount, price) {
+  const signed = side === 'BUY' ? amount : -amount;
+  if (Math.abs(state.position) < EPSILON || Math.sign(state.position) === Math.sign(signed)) {
+    state.entryPrice = (Math.abs(state.position) * state.entryPrice + amount * price) / (Math.abs(state.position) + amount);
+    state.position += signed;
+    return;
+  }
+  const closing = Math.min(amount, Math.abs(state.position));
+  state.realized += (price - state.entryPrice) * closing * Math.sign(state.position);
+  state.position += signed;
+  if (Math.abs(state.position) < EPSILON) {
+    state.position = 0;
+    state.entryPrice = 0;
+  } else if (amount > closing) {
+    // Flipped through zero: what's left opened at this price
+    state.entryPrice = price;
+  }
+}
+
+/**
+ * Apply one metrics row (rows go oldest first) to `state`.
+ * Returns its series point, or null for a row with neither a price nor an executed trade.
+ */
+function applyRow(state, row) {
+  const trade = tradeOf(row, state.position);
+  const traded = trade !== null;
+  if (row.trade_executed && !traded) state.skippedTrades++;
+  if (row.price > 0) state.markPrice = row.price;
+
+  if (traded) {
+    applyTrade(state, trade.side, trade.amount, row.price);
+    state.fees += row.trade_fee > 0 ? row.trade_fee : 0;
+    state.trades++;
+    state.firstTrade = state.firstTrade || toIsoTimestamp(row.timestamp);
+    state.lastTrade = toIsoTimestamp(row.timestamp);
+  }
+  if (!(row.price > 0) && !traded) return null;
+
+  const unrealized = state.markPrice === null ? 0 : (state.markPrice - state.entryPrice) * state.position;
+  const total = state.realized + unrealized - state.fees;
+  state.peak = Math.max(state.peak, total);
+  state.maxDrawdown = Math.max(state.maxDrawdown, state.peak - total);
+  state.last = { unrealized_pnl: round(unrealized), total_pnl: round(total), drawdown: round(state.peak - total) };
+
+  return {
+    metric_id: row.id,
+    timestamp: toIsoTimestamp(row.timestamp),
+    decision: row.decision,
+    action: actionOf(row),
+    price: row.price,
+    trade: traded,
+    position: round(state.position),
+    avg_entry_price: state.position === 0 ? null : round(state.entryPrice),
+    realized_pnl: round(state.realized),
+    unrealized_pnl: state.last.unrealized_pnl,
+    fees: round(state.fees),
+    total_pnl: state.last.total_pnl,
+    drawdown: state.last.drawdown
+  };
+}
+
+function summarize(state) {
+  return {
+    position: round(state.position),
+    avg_entry_price: state.position === 0 ? null : round(state.entryPrice),
+    mark_price: state.markPrice,
+    realized_pnl: round(state.realized),
+    unrealized_pnl: state.last ? state.last.unrealized_pnl : 0,
+    fees: round(state.fees),
+    total_pnl: state.last ? state.last.total_pnl : 0,
+    peak_pnl: round(state.peak),
+    drawdown: state.last ? state.last.drawdown : 0,
+    max_drawdown: round(state.maxDrawdown),
+    trades: state.trades,
+    skipped_trades: state.skippedTrades,
+    first_trade: state.firstTrade,
+    last_trade: state.lastTrade
+  };
+}
+
+/**
+ * Replay metrics rows (oldest first) into { summary, series }.
+ * The series has one point per row with a price or an executed trade.
+ */
+function computePnl(rows) {
+  const state = initialState();
+  const series = [];
+  for (const row of rows) {
+    const point = applyRow(state, row);
+    if (point) series.push(point);
+  }
+  return { summary: summarize(state), series };
+}
+
+/**
+ * PnL queries against the metrics table.
+ */
+function createPnl({ db }) {
+  const dbGet = (sql, params = []) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+  });
+  const dbAll = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+  const dbRun = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve(this);
+    });
+  });
+
+  // The whole history is replayed (every point of the series depends on every trade before it);
+  // from/to/limit only trim the series
+  async function forAgent(agent_id, { from = null, to = null, limit = DEFAULT_SERIES_LIMIT } = {}) {
+    const rows = await dbAll(`SELECT ${COLUMNS} FROM metrics WHERE agent_id = ? ORDER BY id ASC`, [agent_id]);
+    const { summary, series } = computePnl(rows);
+
+    const inRange = series.filter((point) => {
+      const time = new Date(point.timestamp).getTime();
+      return (!from || time >= from.getTime()) && (!to || time <= to.getTime());
+    });
+    const count = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_SERIES_LIMIT, 1), MAX_SERIES_LIMIT);
+    return {
+      summary,
+      series: inRange.slice(-count),
+      series_total: inRange.length
+    };
+  }
+
+  // Just the summary, for /api/stats. Metrics rows are only ever appended, so the saved snapshot
+  // is brought up to date with the rows added since it was taken instead of replaying everything.
+  async function summary(agent_id) {
+    const snapshot = await dbGet('SELECT last_metric_id, state FROM agent_pnl_snapshots WHERE agent_id = ?', [agent_id]);
+    let state = snapshot ? JSON.parse(snapshot.state) : null;
+    let lastId = snapshot ? snapshot.last_metric_id : 0;
+    let changed = false;
+    if (!state || state.version !== STATE_VERSION) {
+      state = initialState();
+      lastId = 0;
+      changed = true;
+    }
+
+    for (;;) {
+      const rows = await dbAll(
+        `SELECT ${COLUMNS} FROM metrics WHERE agent_id = ? AND id > ? ORDER BY id ASC LIMIT ?`,
+        [agent_id, lastId, REPLAY_BATCH_SIZE]
+      );
+      for (const row of rows) applyRow(state, row);
+      if (rows.length > 0) {
+        lastId = rows[rows.length - 1].id;
+        changed = true;
+      }
+      if (rows.length < REPLAY_BATCH_SIZE) break;
+    }
+
+    if (changed) {
+      // A concurrent request may have saved a newer snapshot already; never go back to an older one
+      await dbRun(
+        `INSERT INTO agent_pnl_snapshots (agent_id, last_metric_id, state) VALUES (?, ?, ?)
+         ON CONFLICT(agent_id) DO UPDATE SET last_metric_id = excluded.last_metric_id, state = excluded.state, updated_at = CURRENT_TIMESTAMP
+         WHERE excluded.last_metric_id >= agent_pnl_snapshots.last_metric_id`,
+        [agent_id, lastId, JSON.stringify(state)]
+      );
+    }
+    return summarize(state);
+  }
+
+  return {
+    forAgent,
+    summary
+  };
+}
+
+module.exports = {
+  createPnl,
+  computePnl
+};
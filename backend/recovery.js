@@ -0,0 +1,340 @@
+const fs = require('fs');
+const path = require('path');
+const shell = require('shelljs');
+const { branchHashFor } = require('./agent-registry.js');
+
+// Agent recovery from AgentFactory events (AgentRegistered, AgentDeployed)
+//
+// Every agent registered by the factory since AGENT_FACTORY_START_BLOCK is read from the chain
+// (AGENT_RECOVERY_BLOCK_RANGE blocks per eth_getLogs call) and mapped back to its repo/branch from
+// the agent registry (agent-registry.js), the latest AgentDeployed event (extended factory only),
+// or the git working copy still on disk under agents/<branch_hash> - in that order.
+// Agents that are on-chain but missing from the DB are re-created and queued for deployment.
+// Anything that can't be mapped back to a repo/branch is listed in the report instead, and agents
+// the registry marks archived (torn down when their branch was deleted) are never re-created.
+//
+// Without AGENT_FACTORY_START_BLOCK the scan starts where an earlier scan of the same factory started,
+// or at the block the factory was deployed in (binary search on eth_getCode, needs an archive node) -
+// never at block 0, which would be millions of eth_getLogs calls. Progress is saved after every
+// chunk, so an interrupted scan resumes where it stopped.
+
+const DEFAULT_BLOCK_RANGE = 1000; // many public RPCs refuse larger eth_getLogs ranges
+
+// null when AGENT_FACTORY_START_BLOCK isn't set
+function startBlockFromEnv(env = process.env) {
+  const block = parseInt(env.AGENT_FACTORY_START_BLOCK, 10);
+  return block >= 0 ? block : null;
+}
+
+function blockRangeFromEnv(env = process.env) {
+  const range = parseInt(env.AGENT_RECOVERY_BLOCK_RANGE, 10);
+  return range >= 1 ? range : DEFAULT_BLOCK_RANGE;
+}
+
+// First block in which `address` has code, by binary search over eth_getCode
+async function deploymentBlock(provider, address, latestBlock) {
+  const hasCode = async blockTag => (await provider.getCode(address, blockTag)) !== '0x';
+  try {
+    if (!(await hasCode(latestBlock))) {
+      throw new Error(`no contract at ${address}`);
+    }
+    let low = 0;
+    let high = latestBlock;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (await hasCode(middle)) {
+        high = middle;
+      } else {
+        low = middle + 1;
+      }
+    }
+    return low;
+  } catch (error) {
+    throw new Error(`AGENT_FACTORY_START_BLOCK is not set and the AgentFactory's deployment block could not be found (${error.shortMessage || error.message}). Set AGENT_FACTORY_START_BLOCK to the block the factory was deployed in.`);
+  }
+}
+
+function runGit(command, cwd) {
+  return new Promise((resolve) => {
+    shell.exec(command, { cwd, silent: true, async: true }, (code, stdout) => {
+      resolve(code === 0 ? stdout.trim() : null);
+    });
+  });
+}
+
+/**
+ * Create the recovery runner. `registry` is the agent registry, `deploymentPipeline` gets a
+ * deploy job (source 'recovery') for every agent that is re-created.
+ */
+function createRecovery({ db, registry, getEthersSetup, deploymentPipeline, agentsDir }) {
+  const configuredStartBlock = startBlockFromEnv();
+  const blockRange = blockRangeFromEnv();
+  let running = null;
+  let lastReport = null;
+
+  const dbGet = (sql, params = []) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+  });
+  const dbAll = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+  const dbRun = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve(this);
+    });
+  });
+
+  // Agents deployed before the registry existed are only in the DB - copy them over while we still have it
+  async function syncFromDatabase() {
+    const rows = await dbAll('SELECT repo_url, branch_name, branch_hash, agent_address, status FROM agents');
+    for (const { status, ...row } of rows) {
+      try {
+        if (status !== 'archived') {
+          registry.record(row);
+        } else {
+          // record() would make a torn-down agent recoverable again
+          if (!registry.get(row.branch_hash)) registry.record(row);
+          registry.markArchived(row.branch_hash);
+        }
+      } catch (error) {
+        console.warn(`[Recovery] Not adding ${row.branch_hash} to the registry: ${error.message}`);
+      }
+    }
+    return rows.length;
+  }
+
+  // AGENT_FACTORY_START_BLOCK, else where an earlier scan of this factory started, else the factory's deployment block
+  async function resolveStartBlock(provider, factoryAddress, latestBlock) {
+    if (configuredStartBlock !== null) return configuredStartBlock;
+    const previous = registry.getScan(factoryAddress);
+    if (previous) return previous.start_block;
+    console.log(`🔍 AGENT_FACTORY_START_BLOCK is not set, looking up the block AgentFactory ${factoryAddress} was deployed in...`);
+    const block = await deploymentBlock(provider, factoryAddress, latestBlock);
+    console.log(`✅ AgentFactory was deployed in block ${block} - set AGENT_FACTORY_START_BLOCK=${block} to skip this lookup`);
+    return block;
+  }
+
+  // Read new factory events, continuing from where the last scan stopped
+  async function scanEvents() {
+    const { provider, agentFactoryContract: factoryContract } = getEthersSetup();
+    const factoryAddress = await factoryContract.getAddress();
+    const latestBlock = await provider.getBlockNumber();
+    const startBlock = await resolveStartBlock(provider, factoryAddress, latestBlock);
+    const previous = registry.getScan(factoryAddress, startBlock);
+    const scan = previous
+      ? { ...previous, events: { ...previous.events } }
+      : { factory_address: factoryAddress, start_block: startBlock, last_block: startBlock - 1, events: {} };
+
+    const fromBlock = scan.last_block + 1;
+    if (fromBlock <= latestBlock) {
+      console.log(`🔍 Scanning AgentFactory events in blocks ${fromBlock}-${latestBlock}...`);
+    }
+
+    for (let from = fromBlock; from <= latestBlock; from += blockRange) {
+      const to = Math.min(from + blockRange - 1, latestBlock);
+      // AgentRegistered and AgentDeployed in one request; logs come oldest first, so the last deployment wins
+      const logs = await factoryContract.queryFilter('*', from, to);
+      for (const log of logs) {
+        const branch_hash = log.args && log.args.branchHash;
+        if (!branch_hash) continue;
+        const known = scan.events[branch_hash] || {};
+        if (log.eventName === 'AgentRegistered') {
+          scan.events[branch_hash] = {
+            ...known,
+            owner: log.args.owner,
+            agent_address: log.args.agentAddress,
+            block_number: log.blockNumber,
+            tx_hash: log.transactionHash
+          };
+        } else if (log.eventName === 'AgentDeployed') {
+          scan.events[branch_hash] = {
+            ...known,
+            agent_address: known.agent_address || log.args.agentAddress,
+            deployed: {
+              repo_url: log.args.repoUrl,
+              branch_name: log.args.branchName,
+              commit_sha: log.args.commitSha,
+              block_number: log.blockNumber,
+              tx_hash: log.transactionHash
+            }
+          };
+        }
+      }
+      scan.last_block = to;
+      // Saved after every chunk: a crash or restart mid-scan resumes from here instead of starting over
+      registry.saveScan(scan);
+    }
+
+    return { scan, fromBlock, latestBlock };
+  }
+
+  // repo/branch from the last AgentDeployed event (the factory checks they hash to branch_hash)
+  function mappingFromChain(branch_hash, event) {
+    const deployed = event.deployed;
+    if (!deployed || branchHashFor(deployed.repo_url, deployed.branch_name) !== branch_hash) return null;
+    return { repo_url: deployed.repo_url, branch_name: deployed.branch_name };
+  }
+
+  // repo/branch from the clone the agent was running from, if it survived
+  async function mappingFromWorkingCopy(branch_hash) {
+    const agentPath = path.join(agentsDir, branch_hash);
+    if (!fs.existsSync(path.join(agentPath, '.git'))) return null;
+
+    const repo_url = await runGit('git remote get-url origin', agentPath);
+    if (!repo_url) return null;
+    // A rollback leaves HEAD detached, so fall back to the local branches
+    const head = await runGit('git rev-parse --abbrev-ref HEAD', agentPath);
+    const branches = head && head !== 'HEAD'
+      ? [head]
+      : ((await runGit("git for-each-ref --format='%(refname:short)' refs/heads", agentPath)) || '').split('\n').filter(Boolean);
+
+    const branch_name = branches.find(branch => branchHashFor(repo_url, branch) === branch_hash);
+    return branch_name ? { repo_url, branch_name } : null;
+  }
+
+  async function recoverAgent(branch_hash, event, mapping) {
+    // Secrets are keyed by branch_hash, so they are picked up again when the agent starts
+    await dbRun(
+      'INSERT INTO agents (repo_url, branch_name, branch_hash, agent_address, status) VALUES (?, ?, ?, ?, ?)',
+      [mapping.repo_url, mapping.branch_name, branch_hash, event.agent_address, 'deploying']
+    );
+    console.log(`✅ Recovered agent: ${mapping.branch_name} (${event.agent_address})`);
+
+    // Clone, install and start through the deployment pipeline
+    const job = await deploymentPipeline.enqueue({
+      type: 'deploy',
+      repo_url: mapping.repo_url,
+      branch_name: mapping.branch_name,
+      branch_hash,
+      source: 'recovery'
+    });
+    console.log(`🚀 Queued recovered agent ${mapping.branch_name} as job ${job.id}`);
+    return job;
+  }
+
+  async function run() {
+    const report = {
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      registry_file: registry.file,
+      factory_address: null,
+      wallet_address: null,
+      scan: null,
+      recovered: [],
+      already_present: 0,
+      archived: [],
+      unmapped: [],
+      other_owners: [],
+      errors: []
+    };
+
+    await syncFromDatabase();
+
+    const { wallet } = getEthersSetup();
+    const { scan, fromBlock, latestBlock } = await scanEvents();
+    report.factory_address = scan.factory_address;
+    report.wallet_address = wallet.address;
+    report.scan = {
+      start_block: scan.start_block,
+      from_block: fromBlock,
+      to_block: latestBlock,
+      agents_on_chain: Object.keys(scan.events).length
+    };
+
+    for (const [branch_hash, event] of Object.entries(scan.events)) {
+      const onChain = {
+        branch_hash,
+        agent_address: event.agent_address,
+        owner: event.owner || null, // unknown when it registered before AGENT_FACTORY_START_BLOCK
+        block_number: event.block_number || null,
+        tx_hash: event.tx_hash || null,
+        commit_sha: event.deployed ? event.deployed.commit_sha || null : null
+      };
+      try {
+        const existing = await dbGet('SELECT id FROM agents WHERE branch_hash = ?', [branch_hash]);
+        if (existing) {
+          report.already_present++;
+          continue;
+        }
+
+        const entry = registry.get(branch_hash);
+        if (entry && entry.archived_at) {
+          // Torn down on purpose when its branch was deleted - don't bring it back
+          report.archived.push({ ...onChain, repo_url: entry.repo_url, branch_name: entry.branch_name, archived_at: entry.archived_at });
+          continue;
+        }
+
+        let mapping = entry;
+        let source = 'registry';
+        if (!mapping) {
+          mapping = mappingFromChain(branch_hash, event);
+          source = 'chain';
+        }
+        if (!mapping) {
+          mapping = await mappingFromWorkingCopy(branch_hash);
+          source = 'working_copy';
+        }
+        if (mapping && source !== 'registry') {
+          registry.record({ branch_hash, ...mapping, agent_address: event.agent_address });
+        }
+
+        if (!mapping) {
+          // Registered by another backend sharing the factory, most likely - not ours to run
+          const ours = !event.owner || event.owner.toLowerCase() === wallet.address.toLowerCase();
+          (ours ? report.unmapped : report.other_owners).push(onChain);
+          continue;
+        }
+
+        console.log(`📋 Agent ${mapping.branch_name} found on blockchain but missing in DB, recovering...`);
+        const job = await recoverAgent(branch_hash, event, mapping);
+        report.recovered.push({ ...onChain, repo_url: mapping.repo_url, branch_name: mapping.branch_name, source, job_id: job.id });
+      } catch (error) {
+        console.warn(`⚠️ Could not recover agent ${branch_hash}:`, error.message);
+        report.errors.push({ branch_hash, error: error.message });
+      }
+    }
+
+    report.finished_at = new Date().toISOString();
+    if (report.recovered.length > 0) {
+      console.log(`🎉 Recovered ${report.recovered.length} agent(s) from blockchain`);
+    } else {
+      console.log('ℹ️ No agents found on blockchain to recover');
+    }
+    if (report.unmapped.length > 0) {
+      console.warn(`⚠️ ${report.unmapped.length} agent(s) registered by this backend have no repo/branch mapping - see GET /api/agents/recovery-report`);
+    }
+    return report;
+  }
+
+  // One recovery at a time; callers arriving during a run share its report
+  function recover() {
+    if (!running) {
+      running = run()
+        .catch((error) => {
+          lastReport = { started_at: new Date().toISOString(), finished_at: new Date().toISOString(), error: error.message };
+          throw error;
+        })
+        .then((report) => {
+          lastReport = report;
+          return report;
+        })
+        .finally(() => {
+          running = null;
+        });
+    }
+    return running;
+  }
+
+  return {
+    recover,
+    syncFromDatabase,
+    lastReport: () => lastReport
+  };
+}
+
+module.exports = {
+  createRecovery,
+  startBlockFromEnv,
+  blockRangeFromEnv
+};
@@ -0,0 +1,234 @@
+// Migration: repair agents whose branch_hash was computed from a truncated branch name
+//
+// Older webhook handlers derived branch_name with ref.split('/').pop(), so a push to
+// `feature/momentum` was stored as `momentum` and hashed as repo_url + "/momentum".
+// The CLI hashes the full name, so stats/secrets lookups for those branches missed.
+//
+// For every agent row this script works out the real branch name with `git ls-remote`
+// against repo_url, then re-keys the agent row, every table keyed by branch_hash (secrets,
+// deployment history, jobs, logs, custom metrics...) and its working copy under the correct
+// branch_hash, archives the old hash in the agent registry and removes the old PM2 process.
+// Rows it can't resolve (remote not reachable, branch gone, several matching branches) are
+// listed at the end and the script exits with code 1. Restart agents afterwards with
+// POST /api/agents/restart-all.
+//
+// Usage: node scripts/migrate-branch-names.js [--dry-run]
+require('dotenv').config();
+const pm2 = require('pm2');
+const shell = require('shelljs');
+const { ethers } = require('ethers');
+const path = require('path');
+const fs = require('fs');
+const { getDatabase, databaseReady } = require('../database.js');
+const { createAgentRegistry } = require('../agent-registry.js');
+
+const AGENTS_DIR = path.join(__dirname, '..', 'agents');
+
+// Tables besides agents that key rows by branch_hash
+const BRANCH_HASH_TABLES = [
+  'secrets',
+  'deployments',
+  'deployment_jobs',
+  'agent_ingest_tokens',
+  'agent_logs',
+  'agent_log_settings',
+  'agent_custom_metrics',
+  'agent_custom_metric_names'
+];
+// ...and the ones among them that also store the branch name
+const BRANCH_NAME_TABLES = new Set(['deployments', 'deployment_jobs']);
+const DRY_RUN = process.argv.includes('--dry-run');
+
+function dbAll(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+}
+
+function dbGet(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+  });
+}
+
+function dbRun(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => err ? reject(err) : resolve());
+  });
+}
+
+// Remote branches for a repository as a Map of name -> commit SHA (cached per repo)
+const remoteBranchCache = new Map();
+function listRemoteBranches(repo_url) {
+  if (!remoteBranchCache.has(repo_url)) {
+    const result = shell.exec(`git ls-remote --heads "${repo_url}"`, { silent: true });
+    let branches = null;
+    if (result.code === 0) {
+      branches = new Map();
+      for (const line of result.stdout.split('\n')) {
+        const [sha, ref] = line.split('\t');
+        if (ref && ref.startsWith('refs/heads/')) branches.set(ref.slice('refs/heads/'.length), sha);
+      }
+    }
+    remoteBranchCache.set(repo_url, branches);
+  }
+  return remoteBranchCache.get(repo_url);
+}
+
+// Branch and commit the agent's working copy has checked out, if there is one
+function readWorkingCopy(agent) {
+  const agentPath = path.join(AGENTS_DIR, agent.branch_hash);
+  if (!fs.existsSync(path.join(agentPath, '.git'))) return null;
+  const head = shell.exec(`git -C "${agentPath}" rev-parse --abbrev-ref HEAD`, { silent: true }).stdout.trim();
+  const sha = shell.exec(`git -C "${agentPath}" rev-parse HEAD`, { silent: true }).stdout.trim();
+  return { head: head && head !== 'HEAD' ? head : null, sha: sha || null };
+}
+
+// Work out the full branch name for an agent row. Returns { name: null } when the
+// stored name is already the full one, or { problem } when it can't be resolved.
+//
+// The remote is the source of truth: working copies were cloned under the truncated
+// name, so their HEAD usually says `momentum` even for `feature/momentum`. The working
+// copy is only used to pick between several matching remote branches (by the commit it
+// has checked out) and as a fallback when the remote can't be listed.
+function resolveFullBranchName(agent) {
+  const workingCopy = readWorkingCopy(agent);
+  const branches = listRemoteBranches(agent.repo_url);
+
+  if (!branches) {
+    if (workingCopy?.head && workingCopy.head.endsWith('/' + agent.branch_name)) {
+      return { name: workingCopy.head, source: 'working copy' };
+    }
+    return { name: null, problem: 'could not list remote branches' };
+  }
+
+  const candidates = [...branches.keys()].filter(b => b === agent.branch_name || b.endsWith('/' + agent.branch_name));
+  let match = null;
+  if (candidates.length === 1) {
+    match = { name: candidates[0], source: 'git ls-remote' };
+  } else if (candidates.length > 1) {
+    // A HEAD equal to the stored name says nothing: truncated clones check out that name too
+    const head = workingCopy?.head !== agent.branch_name ? workingCopy?.head : null;
+    const bySha = candidates.filter(b => workingCopy?.sha && branches.get(b) === workingCopy.sha);
+    if (head && candidates.includes(head)) {
+      match = { name: head, source: 'working copy' };
+    } else if (bySha.length === 1) {
+      match = { name: bySha[0], source: 'git ls-remote, matched by checked-out commit' };
+    } else {
+      return { name: null, problem: `ambiguous: ${candidates.join(', ')}` };
+    }
+  } else {
+    return { name: null, problem: 'branch not found on the remote' };
+  }
+
+  return match.name === agent.branch_name ? { name: null } : match;
+}
+
+function deletePm2Process(name) {
+  return new Promise((resolve) => {
+    pm2.connect((connectErr) => {
+      if (connectErr) {
+        console.warn(`  ⚠️ PM2 connect error: ${connectErr.message}`);
+        return resolve();
+      }
+      pm2.delete(name, () => {
+        pm2.disconnect();
+        resolve();
+      });
+    });
+  });
+}
+
+async function migrateBranchNames() {
+  await databaseReady;
+  const db = getDatabase();
+  const registry = createAgentRegistry();
+  const agents = await dbAll(db, 'SELECT * FROM agents');
+  const report = { repaired: [], skipped: [] };
+
+  console.log(`\n=== Checking ${agents.length} agents for truncated branch names${DRY_RUN ? ' (dry run)' : ''} ===\n`);
+
+  for (const agent of agents) {
+    if (!agent.repo_url || !agent.branch_name) continue;
+
+    const { name: fullName, source, problem } = resolveFullBranchName(agent);
+    if (problem) {
+      // Deleted branches of torn-down agents are expected to be gone from the remote
+      if (agent.status === 'archived') {
+        console.log(`ℹ️  ${agent.branch_name} (archived): ${problem}, left as-is`);
+        continue;
+      }
+      console.log(`⚠️  ${agent.branch_name}: ${problem}`);
+      report.skipped.push({ id: agent.id, branch_name: agent.branch_name, repo_url: agent.repo_url, reason: problem });
+      continue;
+    }
+    if (!fullName) continue;
+
+    const newHash = ethers.id(agent.repo_url + "/" + fullName);
+    const conflict = await dbGet(db, 'SELECT id FROM agents WHERE branch_hash = ?', [newHash]);
+    if (conflict) {
+      const reason = `agent ${conflict.id} already uses the hash for ${fullName}`;
+      console.log(`⚠️  ${agent.branch_name}: ${reason}`);
+      report.skipped.push({ id: agent.id, branch_name: agent.branch_name, repo_url: agent.repo_url, reason });
+      continue;
+    }
+
+    console.log(`🔧 ${agent.branch_name} → ${fullName} (from ${source})`);
+    console.log(`   ${agent.branch_hash} → ${newHash}`);
+
+    if (!DRY_RUN) {
+      await dbRun(db, 'UPDATE agents SET branch_name = ?, branch_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [fullName, newHash, agent.id]);
+      for (const table of BRANCH_HASH_TABLES) {
+        // OR REPLACE: rows left under the new hash by an earlier agent give way to the migrated ones
+        const setName = BRANCH_NAME_TABLES.has(table) ? ', branch_name = ?' : '';
+        await dbRun(db, `UPDATE OR REPLACE ${table} SET branch_hash = ?${setName} WHERE branch_hash = ?`,
+          setName ? [newHash, fullName, agent.branch_hash] : [newHash, agent.branch_hash]);
+      }
+
+      // Recovery would otherwise find the old hash's AgentRegistered event, look it up in the
+      // registry and bring back a second agent for the truncated branch
+      registry.record({ branch_hash: newHash, repo_url: agent.repo_url, branch_name: fullName, agent_address: agent.agent_address });
+      if (!registry.get(agent.branch_hash)) {
+        registry.record({ branch_hash: agent.branch_hash, repo_url: agent.repo_url, branch_name: agent.branch_name, agent_address: agent.agent_address });
+      }
+      registry.markArchived(agent.branch_hash);
+
+      const oldPath = path.join(AGENTS_DIR, agent.branch_hash);
+      const newPath = path.join(AGENTS_DIR, newHash);
+      if (fs.existsSync(oldPath) && !fs.existsSync(newPath)) {
+        shell.mv(oldPath, newPath);
+      }
+
+      // PM2 names are derived from branch_hash, so the old process would never be matched again
+      await deletePm2Process(agent.branch_hash.replace('0x', '').substring(0, 16));
+    }
+
+    report.repaired.push({ id: agent.id, from: agent.branch_name, to: fullName, old_hash: agent.branch_hash, new_hash: newHash });
+  }
+
+  console.log(`\nRepaired: ${report.repaired.length}, skipped: ${report.skipped.length}`);
+  if (report.repaired.length > 0 && !DRY_RUN) {
+    console.log('ℹ️  The on-chain contract stays registered under the old hash; agent_address is kept as-is.');
+    console.log('ℹ️  Restart the repaired agents with POST /api/agents/restart-all');
+  }
+  if (report.skipped.length > 0) {
+    console.log('\n❌ These agents could not be checked and may still use a truncated branch name:');
+    for (const row of report.skipped) {
+      console.log(`   agent ${row.id}: ${row.repo_url} ${row.branch_name} (${row.reason})`);
+    }
+    console.log('   Fix their branch names on the remote or re-run once it is reachable.');
+  }
+  return report;
+}
+
+migrateBranchNames().then((report) => {
+  if (report.skipped.length > 0) {
+    process.exit(1);
+  }
+  console.log('\n✅ Migration complete');
+  process.exit(0);
+}).catch(err => {
+  console.error('Error:', err);
+  process.exit(1);
+});
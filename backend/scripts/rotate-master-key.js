@@ -0,0 +1,105 @@
+// Re-encrypt every stored secret under the current MASTER_SECRET_KEY
+//
+// Rotation:
+//   1. Set MASTER_SECRET_KEY to the new key and move the old one to MASTER_SECRET_KEY_PREVIOUS
+//      (comma-separated if there are several), then restart the backend - it can read both.
+//   2. Run this script. Every row in secrets, repo_secrets, webhook_secrets, github_oauth and agent_ingest_tokens
+//      that isn't already under the current key is decrypted and written back under it.
+//      Plaintext copies left in github_oauth.access_token by older versions are cleared.
+//   3. Once it reports nothing left to rotate, drop MASTER_SECRET_KEY_PREVIOUS.
+//
+// Usage: node scripts/rotate-master-key.js [--dry-run]
+require('dotenv').config();
+const { getDatabase, databaseReady } = require('../database.js');
+const { keyringFromEnv, isUsingDefaultKey } = require('../keyring.js');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+// Every encrypted column we store: table, primary key, column
+const ENCRYPTED_COLUMNS = [
+  { table: 'secrets', column: 'encrypted_value', label: row => `${row.branch_hash.substring(0, 10)}… ${row.key}` },
+  { table: 'repo_secrets', column: 'encrypted_value', label: row => `${row.repo_url} ${row.key}` },
+  { table: 'webhook_secrets', column: 'encrypted_secret', label: row => row.repo_full_name },
+  { table: 'github_oauth', column: 'encrypted_token', label: row => `oauth ${row.user_id}` },
+  { table: 'agent_ingest_tokens', column: 'encrypted_token', label: row => `ingest token ${row.branch_hash.substring(0, 10)}…` }
+];
+
+function dbAll(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+}
+
+function dbRun(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve(this.changes);
+    });
+  });
+}
+
+async function rotateMasterKey() {
+  if (isUsingDefaultKey() && process.env.ALLOW_DEFAULT_MASTER_KEY !== 'true') {
+    throw new Error('Refusing to re-encrypt under the default MASTER_SECRET_KEY');
+  }
+
+  await databaseReady;
+  const db = getDatabase();
+  const keyring = keyringFromEnv();
+  const report = { rotated: 0, current: 0, failed: [] };
+
+  console.log(`\n=== Re-encrypting stored secrets under ${keyring.currentKeyId}${DRY_RUN ? ' (dry run)' : ''} ===`);
+  console.log(`Known keys: ${keyring.keyIds.join(', ')}\n`);
+
+  for (const { table, column, label } of ENCRYPTED_COLUMNS) {
+    const rows = await dbAll(db, `SELECT * FROM ${table}`);
+    let rotated = 0;
+
+    for (const row of rows) {
+      if (!keyring.isStale(row[column])) {
+        report.current++;
+        continue;
+      }
+
+      let plaintext;
+      try {
+        plaintext = keyring.decrypt(row[column]);
+      } catch (err) {
+        console.log(`❌ ${table}: ${label(row)} - ${err.message}`);
+        report.failed.push({ table, id: row.id, reason: err.message });
+        continue;
+      }
+
+      if (!DRY_RUN) {
+        await dbRun(db, `UPDATE ${table} SET ${column} = ? WHERE id = ?`, [keyring.encrypt(plaintext), row.id]);
+      }
+      rotated++;
+    }
+
+    report.rotated += rotated;
+    console.log(`🔑 ${table}: ${rotated} of ${rows.length} row(s) ${DRY_RUN ? 'would be ' : ''}re-encrypted`);
+  }
+
+  // Older versions also stored the OAuth token in plaintext next to the encrypted copy
+  if (!DRY_RUN) {
+    const cleared = await dbRun(db, "UPDATE github_oauth SET access_token = '' WHERE access_token != ''");
+    if (cleared > 0) {
+      console.log(`🧹 github_oauth: cleared ${cleared} plaintext access token(s)`);
+    }
+  }
+
+  console.log(`\nRe-encrypted: ${report.rotated}, already current: ${report.current}, failed: ${report.failed.length}`);
+  if (report.failed.length === 0 && !DRY_RUN) {
+    console.log('ℹ️  Every row is now under the current key; MASTER_SECRET_KEY_PREVIOUS can be removed.');
+  }
+  return report;
+}
+
+rotateMasterKey().then((report) => {
+  console.log(report.failed.length > 0 ? '\n⚠️ Rotation finished with errors' : '\n✅ Rotation complete');
+  process.exit(report.failed.length > 0 ? 1 : 0);
+}).catch(err => {
+  console.error('Error:', err.message);
+  process.exit(1);
+});
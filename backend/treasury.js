@@ -0,0 +1,122 @@
+const { ethers } = require('ethers');
+const { ERC20_ABI, erc20Interface, tokensFromEnv, createTokenMetadata, NATIVE_TOKEN, NATIVE_SYMBOL } = require('./erc20.js');
+
+// Agent contract balances, funding and withdrawals
+//
+// - balances: native SOMI plus every token in AGENT_TOKENS (and any extra addresses asked for)
+// - fund:     the backend wallet sends SOMI or an ERC-20 to the agent contract
+// - withdraw: native via Agent.withdraw. ERC-20 via Agent.withdrawToken on version 2 agents, which
+//             works while paused and ignores the allowlist and spending limits, and via
+//             Agent.execute(token, transfer(to, amount)) on older agents.
+
+// Decimal amount in token units -> base units; null when it isn't a positive amount with at most `decimals` places
+function parseAmount(amount, decimals) {
+  if (!/^\d+(\.\d+)?$/.test(String(amount))) return null;
+  try {
+    const value = ethers.parseUnits(String(amount), decimals);
+    return value > 0n ? value : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// `agentVersion(address)` is agentControls.version: 1 for agents that predate VERSION
+function createTreasury({ getEthersSetup, agentAbi, agentVersion, tokens = tokensFromEnv() }) {
+  const metadata = createTokenMetadata(() => getEthersSetup().provider);
+
+  // "native" / "SOMI", a symbol from AGENT_TOKENS or an ERC-20 address -> "native" | address (null if unknown)
+  function resolveToken(value) {
+    const text = String(value || NATIVE_TOKEN).trim();
+    if (text.toLowerCase() === NATIVE_TOKEN || text.toUpperCase() === NATIVE_SYMBOL) return NATIVE_TOKEN;
+    const configured = tokens.find(token => token.symbol.toLowerCase() === text.toLowerCase());
+    if (configured) return configured.address;
+    return ethers.isAddress(text) ? ethers.getAddress(text) : null;
+  }
+
+  async function rawBalance(holder, token) {
+    const { provider } = getEthersSetup();
+    if (token === NATIVE_TOKEN) return provider.getBalance(holder);
+    return new ethers.Contract(token, ERC20_ABI, provider).balanceOf(holder);
+  }
+
+  async function balanceOf(holder, token) {
+    const info = await metadata.info(token);
+    const raw = await rawBalance(holder, info.token);
+    return { ...info, balance: ethers.formatUnits(raw, info.decimals), raw: raw.toString() };
+  }
+
+  // Native first, then AGENT_TOKENS, then `extraTokens`. A token that can't be read gets an `error` instead.
+  async function balances(holder, extraTokens = []) {
+    const list = [NATIVE_TOKEN, ...tokens.map(token => token.address)];
+    for (const token of extraTokens) {
+      if (!list.includes(token)) list.push(token);
+    }
+    return Promise.all(list.map(async (token) => {
+      try {
+        return await balanceOf(holder, token);
+      } catch (error) {
+        const configured = tokens.find(item => item.address === token);
+        return { token, symbol: configured ? configured.symbol : null, error: error.shortMessage || error.message };
+      }
+    }));
+  }
+
+  // Backend wallet -> agent contract. Returns { error } when the amount is invalid or the wallet can't cover it.
+  async function fund(agentAddress, token, amount) {
+    const { wallet } = getEthersSetup();
+    const info = await metadata.info(token);
+    const value = parseAmount(amount, info.decimals);
+    if (value === null) {
+      return { error: `amount must be a positive ${info.symbol || 'token'} amount with at most ${info.decimals} decimals` };
+    }
+    const available = await rawBalance(wallet.address, info.token);
+    if (available < value) {
+      return { error: `Backend wallet only has ${ethers.formatUnits(available, info.decimals)} ${info.symbol || info.token}` };
+    }
+
+    const tx = info.token === NATIVE_TOKEN
+      ? await wallet.sendTransaction({ to: agentAddress, value })
+      : await new ethers.Contract(info.token, ERC20_ABI, wallet).transfer(agentAddress, value);
+    await tx.wait();
+    return { ...info, amount: ethers.formatUnits(value, info.decimals), from: wallet.address, to: agentAddress, tx_hash: tx.hash };
+  }
+
+  // Agent contract -> `to` (default: the backend wallet). `amount` may be "all".
+  async function withdraw(agentAddress, token, amount, to = null) {
+    const { wallet } = getEthersSetup();
+    const info = await metadata.info(token);
+    const recipient = to || wallet.address;
+    const available = await rawBalance(agentAddress, info.token);
+    const value = amount === 'all' ? available : parseAmount(amount, info.decimals);
+    if (value === null) {
+      return { error: `amount must be "all" or a positive ${info.symbol || 'token'} amount with at most ${info.decimals} decimals` };
+    }
+    if (value === 0n || available < value) {
+      return { error: `Agent only has ${ethers.formatUnits(available, info.decimals)} ${info.symbol || info.token}` };
+    }
+
+    const agent = new ethers.Contract(agentAddress, agentAbi, wallet);
+    let tx;
+    if (info.token === NATIVE_TOKEN) {
+      tx = await agent.withdraw(recipient, value);
+    } else if (await agentVersion(agentAddress) >= 2) {
+      tx = await agent.withdrawToken(info.token, recipient, value);
+    } else {
+      tx = await agent.execute(info.token, erc20Interface.encodeFunctionData('transfer', [recipient, value]));
+    }
+    await tx.wait();
+    return { ...info, amount: ethers.formatUnits(value, info.decimals), from: agentAddress, to: recipient, tx_hash: tx.hash };
+  }
+
+  return {
+    tokens,
+    resolveToken,
+    balances,
+    fund,
+    withdraw
+  };
+}
+
+module.exports = {
+  createTreasury
+};
@@ -1,29 +1,241 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+interface IERC20Balance {
+    function balanceOf(address account) external view returns (uint256);
+}
+
 contract Agent {
+    // 1 = original unrestricted agent, 2 = allowlist / spending limits / pause
+    uint256 public constant VERSION = 2;
+    // Spending limit key for the native token
+    address public constant NATIVE = address(0);
+
     address public immutable owner;
+    bool public paused;
+
+    // When enabled, execute() may only call allowed targets. Targets with a selector list
+    // may only be called with those selectors; targets without one accept any calldata.
+    bool public allowlistEnabled;
+    address[] private allowedTargetList;
+    mapping(address => uint256) private allowedTargetIndex; // position + 1, 0 = not allowed
+    mapping(address => bytes4[]) private allowedSelectorList;
+    mapping(address => mapping(bytes4 => uint256)) private allowedSelectorIndex; // position + 1
+
+    // Per-period caps on how much of a token (NATIVE for the native token) execute() may spend.
+    // Spending is the drop in this contract's balance across the call, so tokens pulled by a
+    // router via transferFrom count too. The period restarts with the first spend after it ends.
+    struct SpendingLimit {
+        uint256 cap;
+        uint256 period;
+        uint256 spent;
+        uint256 periodStart;
+    }
+    address[] private limitedTokenList;
+    mapping(address => uint256) private limitedTokenIndex; // position + 1
+    mapping(address => SpendingLimit) public spendingLimits;
+
+    event Executed(address indexed target, bytes4 indexed selector, uint256 value);
+    event Spent(address indexed token, uint256 amount, uint256 spentInPeriod);
+    event Paused(address indexed by);
+    event Unpaused(address indexed by);
+    event AllowlistEnabled(bool enabled);
+    event TargetAllowed(address indexed target, bool allowed);
+    event SelectorAllowed(address indexed target, bytes4 indexed selector, bool allowed);
+    event SpendingLimitSet(address indexed token, uint256 cap, uint256 period);
 
     modifier onlyOwner() {
         require(msg.sender == owner, "Only owner can call this function");
         _;
     }
 
+    modifier whenNotPaused() {
+        require(!paused, "Agent is paused");
+        _;
+    }
+
     constructor(address _owner) {
         owner = _owner;
     }
 
     receive() external payable {}
 
+    // Not limited or paused: this is how the owner gets native funds out, including after an emergency pause
     function withdraw(address payable _to, uint _amount) public onlyOwner {
         require(address(this).balance >= _amount, "Insufficient balance");
         _to.transfer(_amount);
     }
 
+    // ERC-20 counterpart of withdraw: skips the pause, allowlist and spending limits that execute() applies.
+    // Tokens that return nothing from transfer (USDT-style) are accepted.
+    function withdrawToken(address _token, address _to, uint256 _amount) public onlyOwner {
+        require(_token != NATIVE, "Use withdraw for the native token");
+        (bool success, bytes memory data) = _token.call(abi.encodeWithSignature("transfer(address,uint256)", _to, _amount));
+        require(success && (data.length == 0 || abi.decode(data, (bool))), "Token transfer failed");
+    }
+
     function execute(address _target, bytes calldata _data) public onlyOwner returns (bytes memory response) {
-        (bool success, bytes memory data) = _target.call(_data);
+        return _execute(_target, _data, 0);
+    }
+
+    function executeWithValue(address _target, bytes calldata _data, uint256 _value) public onlyOwner returns (bytes memory response) {
+        return _execute(_target, _data, _value);
+    }
+
+    // --- Circuit breaker ---
+
+    function pause() public onlyOwner {
+        require(!paused, "Agent is paused");
+        paused = true;
+        emit Paused(msg.sender);
+    }
+
+    function unpause() public onlyOwner {
+        require(paused, "Agent is not paused");
+        paused = false;
+        emit Unpaused(msg.sender);
+    }
+
+    // --- Allowlist ---
+
+    function setAllowlistEnabled(bool _enabled) public onlyOwner {
+        allowlistEnabled = _enabled;
+        emit AllowlistEnabled(_enabled);
+    }
+
+    function setTargetAllowed(address _target, bool _allowed) public onlyOwner {
+        if (_allowed && allowedTargetIndex[_target] == 0) {
+            allowedTargetList.push(_target);
+            allowedTargetIndex[_target] = allowedTargetList.length;
+        } else if (!_allowed && allowedTargetIndex[_target] != 0) {
+            _removeAddress(allowedTargetList, allowedTargetIndex, _target);
+            // Forget its selectors too, so allowing it again starts from "any calldata"
+            bytes4[] storage selectors = allowedSelectorList[_target];
+            while (selectors.length > 0) {
+                bytes4 selector = selectors[selectors.length - 1];
+                selectors.pop();
+                delete allowedSelectorIndex[_target][selector];
+                emit SelectorAllowed(_target, selector, false);
+            }
+        }
+        emit TargetAllowed(_target, _allowed);
+    }
+
+    function setSelectorAllowed(address _target, bytes4 _selector, bool _allowed) public onlyOwner {
+        require(allowedTargetIndex[_target] != 0, "Target is not allowed");
+        bytes4[] storage selectors = allowedSelectorList[_target];
+        mapping(bytes4 => uint256) storage index = allowedSelectorIndex[_target];
+        if (_allowed && index[_selector] == 0) {
+            selectors.push(_selector);
+            index[_selector] = selectors.length;
+        } else if (!_allowed && index[_selector] != 0) {
+            uint256 position = index[_selector] - 1;
+            bytes4 last = selectors[selectors.length - 1];
+            selectors[position] = last;
+            index[last] = position + 1;
+            selectors.pop();
+            delete index[_selector];
+        }
+        emit SelectorAllowed(_target, _selector, _allowed);
+    }
+
+    function getAllowedTargets() public view returns (address[] memory) {
+        return allowedTargetList;
+    }
+
+    function getAllowedSelectors(address _target) public view returns (bytes4[] memory) {
+        return allowedSelectorList[_target];
+    }
+
+    function isCallAllowed(address _target, bytes4 _selector) public view returns (bool) {
+        if (!allowlistEnabled) return true;
+        if (allowedTargetIndex[_target] == 0) return false;
+        return allowedSelectorList[_target].length == 0 || allowedSelectorIndex[_target][_selector] != 0;
+    }
+
+    // --- Spending limits ---
+
+    // A cap of 0 removes the limit for that token
+    function setSpendingLimit(address _token, uint256 _cap, uint256 _period) public onlyOwner {
+        if (_cap == 0) {
+            if (limitedTokenIndex[_token] != 0) {
+                _removeAddress(limitedTokenList, limitedTokenIndex, _token);
+            }
+            delete spendingLimits[_token];
+            emit SpendingLimitSet(_token, 0, 0);
+            return;
+        }
+        require(_period > 0, "Period must be greater than zero");
+        if (limitedTokenIndex[_token] == 0) {
+            limitedTokenList.push(_token);
+            limitedTokenIndex[_token] = limitedTokenList.length;
+        }
+        SpendingLimit storage limit = spendingLimits[_token];
+        limit.cap = _cap;
+        limit.period = _period;
+        emit SpendingLimitSet(_token, _cap, _period);
+    }
+
+    function getLimitedTokens() public view returns (address[] memory) {
+        return limitedTokenList;
+    }
+
+    // What execute() may still spend of `_token` in the current period
+    function remainingAllowance(address _token) public view returns (uint256) {
+        SpendingLimit storage limit = spendingLimits[_token];
+        if (limit.cap == 0) return type(uint256).max;
+        if (block.timestamp >= limit.periodStart + limit.period) return limit.cap;
+        return limit.spent >= limit.cap ? 0 : limit.cap - limit.spent;
+    }
+
+    // --- Internals ---
+
+    function _execute(address _target, bytes calldata _data, uint256 _value) internal whenNotPaused returns (bytes memory) {
+        bytes4 selector = _data.length >= 4 ? bytes4(_data[:4]) : bytes4(0);
+        require(isCallAllowed(_target, selector), "Call not allowed");
+
+        uint256 count = limitedTokenList.length;
+        uint256[] memory balancesBefore = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            balancesBefore[i] = _balanceOf(limitedTokenList[i]);
+        }
+
+        (bool success, bytes memory data) = _target.call{value: _value}(_data);
         require(success, "Call failed");
+
+        for (uint256 i = 0; i < count; i++) {
+            address token = limitedTokenList[i];
+            uint256 balanceAfter = _balanceOf(token);
+            if (balanceAfter < balancesBefore[i]) {
+                _recordSpend(token, balancesBefore[i] - balanceAfter);
+            }
+        }
+
+        emit Executed(_target, selector, _value);
         return data;
     }
-}
 
+    function _recordSpend(address _token, uint256 _amount) internal {
+        SpendingLimit storage limit = spendingLimits[_token];
+        if (block.timestamp >= limit.periodStart + limit.period) {
+            limit.periodStart = block.timestamp;
+            limit.spent = 0;
+        }
+        limit.spent += _amount;
+        require(limit.spent <= limit.cap, "Spending limit exceeded");
+        emit Spent(_token, _amount, limit.spent);
+    }
+
+    function _balanceOf(address _token) internal view returns (uint256) {
+        return _token == NATIVE ? address(this).balance : IERC20Balance(_token).balanceOf(address(this));
+    }
+
+    function _removeAddress(address[] storage _list, mapping(address => uint256) storage _index, address _item) internal {
+        uint256 position = _index[_item] - 1;
+        address last = _list[_list.length - 1];
+        _list[position] = last;
+        _index[last] = position + 1;
+        _list.pop();
+        delete _index[_item];
+    }
+}
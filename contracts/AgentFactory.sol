@@ -4,19 +4,71 @@ pragma solidity ^0.8.20;
 import "./Agent.sol";
 
 contract AgentFactory {
+    struct AgentMetadata {
+        string repoUrl;
+        string branchName;
+        string commitSha;
+    }
+
     mapping(bytes32 => address) public agents;
+    // Only filled for agents registered with _storeMetadata; events carry the same data either way
+    mapping(bytes32 => AgentMetadata) public metadata;
 
     event AgentRegistered(address indexed owner, bytes32 indexed branchHash, address agentAddress);
+    // Emitted at registration (registerAgentWithMetadata) and on every redeploy (recordDeployment)
+    event AgentDeployed(bytes32 indexed branchHash, address indexed agentAddress, string repoUrl, string branchName, string commitSha);
 
     function registerAgent(bytes32 _branchHash) public returns (address agentAddress) {
         require(agents[_branchHash] == address(0), "Agent already registered");
-        
+
         agentAddress = address(new Agent(msg.sender));
         agents[_branchHash] = agentAddress;
-        
+
         emit AgentRegistered(msg.sender, _branchHash, agentAddress);
-        
+
         return agentAddress;
     }
-}
 
+    function registerAgentWithMetadata(
+        bytes32 _branchHash,
+        string calldata _repoUrl,
+        string calldata _branchName,
+        string calldata _commitSha,
+        bool _storeMetadata
+    ) public returns (address agentAddress) {
+        require(_branchHashOf(_repoUrl, _branchName) == _branchHash, "Metadata does not match branch hash");
+
+        agentAddress = registerAgent(_branchHash);
+        if (_storeMetadata) {
+            metadata[_branchHash] = AgentMetadata(_repoUrl, _branchName, _commitSha);
+        }
+
+        emit AgentDeployed(_branchHash, agentAddress, _repoUrl, _branchName, _commitSha);
+
+        return agentAddress;
+    }
+
+    function recordDeployment(
+        bytes32 _branchHash,
+        string calldata _repoUrl,
+        string calldata _branchName,
+        string calldata _commitSha
+    ) public {
+        address agentAddress = agents[_branchHash];
+        require(agentAddress != address(0), "Agent not registered");
+        require(Agent(payable(agentAddress)).owner() == msg.sender, "Only the agent owner can record deployments");
+        require(_branchHashOf(_repoUrl, _branchName) == _branchHash, "Metadata does not match branch hash");
+
+        // Agents registered with stored metadata keep their current commit on-chain too
+        if (bytes(metadata[_branchHash].repoUrl).length > 0) {
+            metadata[_branchHash].commitSha = _commitSha;
+        }
+
+        emit AgentDeployed(_branchHash, agentAddress, _repoUrl, _branchName, _commitSha);
+    }
+
+    // Same as the backend's branch_hash: keccak256(repo_url + "/" + branch_name)
+    function _branchHashOf(string calldata _repoUrl, string calldata _branchName) internal pure returns (bytes32) {
+        return keccak256(bytes(string.concat(_repoUrl, "/", _branchName)));
+    }
+}
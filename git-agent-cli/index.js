@@ -8,25 +8,207 @@ const prompt = createPromptModule();
 const chalk = require('chalk');
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
+const http = require('http');
+const nodeCrypto = require('crypto');
 
 const program = new Command();
 program.version('1.0.0');
 
 // --- Configuration ---
 // This is the *public URL* of our backend (from Day 7)
-// For local testing, use http://localhost:3005
-// For production, use your deployed backend URL
-const API_BASE_URL = 'https://somnia-git-agent.onrender.com'; // Production backend URL
+// Self-hosted or local backends are selected per profile, per repo or per shell (see selectBackend)
+const DEFAULT_API_BASE_URL = 'https://somnia-git-agent.onrender.com'; // Production backend URL
 const CONFIG_FILE = '.gitagent.json';
 
+// User-level config with named profiles (backend URL + API token per profile)
+const USER_CONFIG_FILE = process.env.SOMNIAPUSH_CONFIG || path.join(os.homedir(), '.somniapush', 'config.json');
+
+// Resolved before every command by selectBackend()
+let API_BASE_URL = DEFAULT_API_BASE_URL;
+let API_TOKEN = null;
+let ACTIVE_PROFILE = 'default';
+
+// --json: stdout carries exactly one JSON document per command; human-readable output moves to stderr
+let JSON_OUTPUT = false;
+
+// Exit codes scripts can rely on (documented in README.md)
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,            // unexpected / backend error
+  USAGE: 2,            // bad arguments, not an initialized repository, unknown profile
+  NOT_FOUND: 3,        // no agent for the branch (not pushed yet)
+  AUTH: 4,             // missing / rejected API token, or no write access
+  SECRETS: 5,          // required secrets missing or invalid
+  JOB_FAILED: 6        // a rollback or restart job failed
+};
+
+// Unknown commands/options and missing arguments from commander are usage errors too
+// (set before any command is added so every subcommand inherits it)
+program.exitOverride((err) => process.exit(err.exitCode === 0 ? EXIT_CODES.OK : EXIT_CODES.USAGE));
+
+// Explain auth failures once, whichever command hit them
+axios.interceptors.response.use(null, (err) => {
+  const status = err.response?.status;
+  if (status === 401) {
+    console.error(chalk.yellow(API_TOKEN
+      ? `Your API token for profile "${ACTIVE_PROFILE}" was rejected. Run: git somnia-agent login`
+      : `This command needs an API token. Run: git somnia-agent login`));
+  } else if (status === 403) {
+    console.error(chalk.yellow('Your GitHub account has no write access to this repository on the backend.'));
+  }
+  return Promise.reject(err);
+});
+
 // --- Helper Functions ---
 
+// Print a command's result in --json mode (stdout only, nothing else goes there)
+function printJson(payload) {
+  process.stdout.write(JSON.stringify(payload, null, 2) + '\n');
+}
+
+// Exit code for a failed API call
+function exitCodeFor(err) {
+  const status = err.response?.status;
+  if (status === 404) return EXIT_CODES.NOT_FOUND;
+  if (status === 401 || status === 403) return EXIT_CODES.AUTH;
+  if (status === 400) return EXIT_CODES.USAGE;
+  return EXIT_CODES.ERROR;
+}
+
+// Report a failure: red text normally, { error, exit_code, ... } on stdout with --json
+function fail(message, exitCode = EXIT_CODES.ERROR, details = {}) {
+  if (JSON_OUTPUT) {
+    printJson({ error: message, exit_code: exitCode, ...details });
+  } else {
+    console.error(chalk.red(message));
+  }
+  process.exitCode = exitCode;
+}
+
+// Trades executed per decision, as a percentage (null before the first decision)
+function successRate(stats) {
+  if (!stats || !stats.total_decisions) return null;
+  return Number((((stats.trades_executed || 0) / stats.total_decisions) * 100).toFixed(1));
+}
+
+// Reads ~/.somniapush/config.json: { current_profile, profiles: { name: { api_url, token, user } } }
+function readUserConfig() {
+  if (!fs.existsSync(USER_CONFIG_FILE)) {
+    return { current_profile: 'default', profiles: {} };
+  }
+  try {
+    const config = JSON.parse(fs.readFileSync(USER_CONFIG_FILE, 'utf8'));
+    return { current_profile: config.current_profile || 'default', profiles: config.profiles || {} };
+  } catch (err) {
+    fail(`Error: Could not read ${USER_CONFIG_FILE}: ${err.message}`, EXIT_CODES.USAGE);
+    process.exit(EXIT_CODES.USAGE);
+  }
+}
+
+// Tokens live in this file, so keep it private to the user
+function writeUserConfig(config) {
+  fs.mkdirSync(path.dirname(USER_CONFIG_FILE), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(USER_CONFIG_FILE, JSON.stringify(config, null, 2), { mode: 0o600 });
+}
+
+// Merge fields into a profile (undefined values remove the field)
+function updateProfile(name, fields) {
+  const config = readUserConfig();
+  const profile = { ...(config.profiles[name] || {}), ...fields };
+  Object.keys(profile).forEach(key => profile[key] === undefined && delete profile[key]);
+  config.profiles[name] = profile;
+  writeUserConfig(config);
+  return profile;
+}
+
+// .gitagent.json when we're inside an initialized repo (unlike getConfig, never exits)
+function readRepoConfig() {
+  try {
+    return fs.existsSync(CONFIG_FILE) ? JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8')) : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+// Pick the profile, backend URL and API token for this run
+//   profile: --profile > SOMNIAPUSH_PROFILE > .gitagent.json "profile" > current profile in the user config
+//   backend: SOMNIAPUSH_API_URL > .gitagent.json "api_url" > profile "api_url" > production backend
+//   token:   SOMNIAPUSH_TOKEN > profile "token"
+function selectBackend(options = {}, commandName = null) {
+  const userConfig = readUserConfig();
+  const repoConfig = readRepoConfig();
+
+  ACTIVE_PROFILE = options.profile || process.env.SOMNIAPUSH_PROFILE || repoConfig.profile || userConfig.current_profile || 'default';
+  const profile = userConfig.profiles[ACTIVE_PROFILE] || {};
+  // `login` is how new profiles get created; anything else on an unknown profile is probably a typo
+  if (options.profile && !userConfig.profiles[ACTIVE_PROFILE] && commandName !== 'login') {
+    fail(`Error: Unknown profile "${ACTIVE_PROFILE}". See: git somnia-agent profile list`, EXIT_CODES.USAGE);
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  API_BASE_URL = (process.env.SOMNIAPUSH_API_URL || repoConfig.api_url || profile.api_url || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+  API_TOKEN = process.env.SOMNIAPUSH_TOKEN || profile.token || null;
+
+  if (API_TOKEN) {
+    axios.defaults.headers.common['Authorization'] = `Bearer ${API_TOKEN}`;
+  } else {
+    delete axios.defaults.headers.common['Authorization'];
+  }
+}
+
+// Open a URL in the default browser (best effort - the URL is printed as well)
+function openBrowser(url) {
+  const opener = process.platform === 'darwin' ? 'open' : (process.platform === 'win32' ? 'start ""' : 'xdg-open');
+  shell.exec(`${opener} "${url}"`, { silent: true, async: true });
+}
+
+// Run the GitHub OAuth flow in the browser and catch the API token on a one-off local listener
+function browserLogin(repoUrl) {
+  const nonce = nodeCrypto.randomBytes(16).toString('hex');
+
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://127.0.0.1');
+      if (url.pathname !== '/callback') {
+        res.writeHead(404);
+        return res.end();
+      }
+      const token = url.searchParams.get('token');
+      if (url.searchParams.get('nonce') !== nonce || !token) {
+        res.writeHead(400, { 'Content-Type': 'text/html' });
+        return res.end('<h1>❌ Login failed</h1><p>This login link does not match the running CLI. Run <code>git somnia-agent login</code> again.</p>');
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end('<h1>✅ Logged in</h1><p>You can close this tab and return to the terminal.</p>');
+      clearTimeout(timer);
+      server.close();
+      resolve({ token, user: url.searchParams.get('user') });
+    });
+
+    const timer = setTimeout(() => {
+      server.close();
+      reject(new Error('Timed out waiting for the GitHub login (5 minutes)'));
+    }, 5 * 60 * 1000);
+
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const params = new URLSearchParams({ cli_port: String(server.address().port), cli_nonce: nonce });
+      if (repoUrl) params.set('repo_url', repoUrl);
+      const loginUrl = `${API_BASE_URL}/auth/github?${params}`;
+      console.log(chalk.cyan('🔐 Opening GitHub in your browser. If it does not open, visit:'));
+      console.log(`   ${chalk.underline(loginUrl)}`);
+      openBrowser(loginUrl);
+    });
+  });
+}
+
 // Reads the .gitagent.json file
 function getConfig() {
   if (!fs.existsSync(CONFIG_FILE)) {
-    console.error(chalk.red(`Error: Not a SomniaPush repository. Missing ${CONFIG_FILE}.`));
+    fail(`Error: Not a SomniaPush repository. Missing ${CONFIG_FILE}.`, EXIT_CODES.USAGE);
     console.log(chalk.yellow('Run `git somnia-agent init` to get started.'));
-    process.exit(1);
+    process.exit(EXIT_CODES.USAGE);
   }
   const config = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
   return config;
@@ -36,8 +218,8 @@ function getConfig() {
 function getCurrentBranch() {
   const branch = shell.exec('git rev-parse --abbrev-ref HEAD', { silent: true }).stdout.trim();
   if (!branch) {
-    console.error(chalk.red('Error: Could not determine git branch.'));
-    process.exit(1);
+    fail('Error: Could not determine git branch.', EXIT_CODES.USAGE);
+    process.exit(EXIT_CODES.USAGE);
   }
   return branch;
 }
@@ -49,23 +231,41 @@ function calculateBranchHash(repo_url, branch_name) {
   return ethers.id(repo_url + "/" + branch_name);
 }
 
+// Prints the restart job queued by a secret change (if any)
+function printRestartJob(data) {
+  if (data.restart_job_ids) {
+    console.log(chalk.cyan(`🔄 Restart queued for ${data.restart_job_ids.length} agent(s) inheriting this secret`));
+  } else if (data.restart_job_id) {
+    console.log(chalk.cyan(`🔄 Restart queued as job ${data.restart_job_id} (${API_BASE_URL}${data.status_url})`));
+  } else {
+    console.log(chalk.gray('   The running agent keeps its current environment until the next restart or push.'));
+  }
+}
+
+// Signed dollar amount, green for gains and red for losses
+function formatPnl(value) {
+  const text = `${value < 0 ? '-' : '+'}$${Math.abs(value).toFixed(4)}`;
+  return value < 0 ? chalk.red(text) : chalk.green(text);
+}
+
 // Helper function to fetch stats for a specific branch
+// On failure returns { branch_name, error, exit_code } instead of the stats payload
 async function getStats(repo_url, branch_name) {
   try {
     const branch_hash = calculateBranchHash(repo_url, branch_name);
     const url = `${API_BASE_URL}/api/stats/${branch_hash}`;
     const { data } = await axios.get(url);
-    return { ...data, branch_name, repo_url };
+    return { ...data, branch_name, repo_url, success_rate: successRate(data.stats) };
   } catch (err) {
     const errorMsg = err.response?.data?.error || err.message;
     if (err.response?.status === 404) {
       console.error(chalk.red(`Agent not found for branch "${branch_name}"`));
       console.log(chalk.yellow(`  → Make sure you've pushed this branch: ${chalk.cyan(`git push origin ${branch_name}`)}`));
       console.log(chalk.yellow(`  → The backend webhook will deploy it automatically`));
-    } else {
-      console.error(chalk.red(`Error fetching stats for ${branch_name}: ${errorMsg}`));
+      return { branch_name, error: `Agent not found for branch "${branch_name}"`, exit_code: EXIT_CODES.NOT_FOUND };
     }
-    return null;
+    console.error(chalk.red(`Error fetching stats for ${branch_name}: ${errorMsg}`));
+    return { branch_name, error: errorMsg, exit_code: exitCodeFor(err) };
   }
 }
 
@@ -80,11 +280,14 @@ program
   .description('Initialize SomniaPush in the current repository')
   .action(async () => {
     if (fs.existsSync(CONFIG_FILE)) {
+      if (JSON_OUTPUT) return printJson({ created: false, config_file: CONFIG_FILE, config: readRepoConfig() });
       console.log(chalk.yellow(`This project is already initialized.`));
       return;
     }
 
-    const answers = await prompt([
+    // Keep stdout clean for the JSON result
+    const ask = JSON_OUTPUT ? createPromptModule({ output: process.stderr }) : prompt;
+    const answers = await ask([
       {
         type: 'input',
         name: 'repo_url',
@@ -94,13 +297,23 @@ program
     ]);
 
     if (!answers.repo_url) {
-      console.error(chalk.red('Error: Repository URL is required.'));
-      return;
+      return fail('Error: Repository URL is required.', EXIT_CODES.USAGE);
     }
 
     const config = { repo_url: answers.repo_url };
     fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
 
+    if (JSON_OUTPUT) {
+      return printJson({
+        created: true,
+        config_file: CONFIG_FILE,
+        config,
+        oauth_url: `${API_BASE_URL}/auth/github?repo_url=${encodeURIComponent(config.repo_url)}`,
+        webhook_url: `${API_BASE_URL}/webhook/github/push`,
+        dashboard_url: `${API_BASE_URL}/dashboard`
+      });
+    }
+
     console.log(chalk.green(`✅ ${CONFIG_FILE} created.`));
     console.log('');
     console.log(chalk.bold('📋 Next Steps:'));
@@ -108,16 +321,17 @@ program
     
     // Show OAuth URL for automatic setup
     const repoUrl = answers.repo_url;
-    const oauthUrl = `https://somnia-git-agent.onrender.com/auth/github?repo_url=${encodeURIComponent(repoUrl)}`;
+    const oauthUrl = `${API_BASE_URL}/auth/github?repo_url=${encodeURIComponent(repoUrl)}`;
     
     console.log(chalk.cyan('🚀 Option A: Automatic Webhook Setup (Recommended)'));
     console.log(`   Visit: ${chalk.underline(oauthUrl)}`);
     console.log(`   This will automatically configure the webhook for you!`);
+    console.log(`   Then log the CLI in: ${chalk.cyan('git somnia-agent login')}`);
     console.log('');
     
     console.log(chalk.yellow('⚙️  Option B: Manual Webhook Setup'));
     console.log(`   Go to: GitHub → ${answers.repo_url.split('/').slice(-2).join('/')} → Settings → Webhooks`);
-    console.log(`   Payload URL: ${chalk.cyan('https://somnia-git-agent.onrender.com/webhook/github/push')}`);
+    console.log(`   Payload URL: ${chalk.cyan(`${API_BASE_URL}/webhook/github/push`)}`);
     console.log(`   Content type: application/json`);
     console.log(`   Events: Just the push event`);
     console.log('');
@@ -135,7 +349,7 @@ program
     console.log(chalk.bold('📊 Monitor:'));
     console.log(`   ${chalk.cyan('git somnia-agent stats')} - View agent metrics`);
     console.log(`   ${chalk.cyan('git somnia-agent logs')} - View agent logs`);
-    console.log(`   Dashboard: ${chalk.underline('https://somnia-git-agent.onrender.com/dashboard')}`);
+    console.log(`   Dashboard: ${chalk.underline(`${API_BASE_URL}/dashboard`)}`);
   });
 
 /**
@@ -149,14 +363,17 @@ const secretsCommand = program
 secretsCommand
   .command('set <KEY_VALUE>')
   .description('Set a secret for the current branch (e.g., KEY=VALUE)')
-  .action(async (keyValue) => {
+  .option('-r, --restart', 'Restart the agent so it picks up the new value')
+  .option('--repo', 'Set the secret for every branch of this repository (branch values still override it)')
+  .action(async (keyValue, options) => {
     // Handle the case where commander might parse this incorrectly
-    const fullCommand = process.argv.slice(2).join(' ');
+    const args = process.argv.slice(2);
+    const fullCommand = args.filter((arg, i) => !['--restart', '-r', '--repo', '--json', '--profile', '-p'].includes(arg)
+      && !['--profile', '-p'].includes(args[i - 1])).join(' ');
     const match = fullCommand.match(/secrets set (.+)/);
     
     if (!match) {
-      console.error(chalk.red('Error: Invalid format. Use KEY=VALUE'));
-      return;
+      return fail('Error: Invalid format. Use KEY=VALUE', EXIT_CODES.USAGE);
     }
     
     const keyValueStr = match[1];
@@ -164,27 +381,102 @@ secretsCommand
     const value = valueParts.join('=');
 
     if (!key || !value) {
-      console.error(chalk.red('Error: Invalid format. Use KEY=VALUE'));
-      return;
+      return fail('Error: Invalid format. Use KEY=VALUE', EXIT_CODES.USAGE);
     }
 
     const config = getConfig();
     const branch_name = getCurrentBranch();
 
     try {
-      console.log(chalk.cyan(`Setting secret ${key} for branch ${branch_name}...`));
-      await axios.post(`${API_BASE_URL}/api/secrets`, {
+      const target = options.repo ? `repository ${config.repo_url} (all branches)` : `branch ${branch_name}`;
+      console.log(chalk.cyan(`Setting secret ${key} for ${target}...`));
+      const { data } = await axios.post(`${API_BASE_URL}/api/secrets`, {
         repo_url: config.repo_url,
         branch_name: branch_name,
         key: key,
         value: value,
+        restart: !!options.restart,
+        scope: options.repo ? 'repo' : 'branch',
       });
+      if (JSON_OUTPUT) return printJson({ ...data, key, scope: options.repo ? 'repo' : 'branch', branch_name });
       console.log(chalk.green(`✅ Secret ${key} set.`));
+      printRestartJob(data);
     } catch (err) {
-      console.error(chalk.red(`Error setting secret: ${err.response?.data?.error || err.message}`));
+      // 400 here means the value failed the pattern declared in the manifest
+      const exitCode = err.response?.status === 400 ? EXIT_CODES.SECRETS : exitCodeFor(err);
+      fail(`Error setting secret: ${err.response?.data?.error || err.message}`, exitCode, { key, response: err.response?.data });
+      if (err.response?.data?.description) {
+        console.log(chalk.yellow(`  → ${key}: ${err.response.data.description}`));
+      }
     }
   });
 
+// SECRETS LIST - Show which secret names are stored (values are never returned)
+secretsCommand
+  .command('list')
+  .description('List the secrets stored for the current branch (names and timestamps only)')
+  .action(async () => {
+    const config = getConfig();
+    const branch_name = getCurrentBranch();
+    const branch_hash = calculateBranchHash(config.repo_url, branch_name);
+
+    try {
+      const { data } = await axios.get(`${API_BASE_URL}/api/secrets/${branch_hash}`);
+      if (JSON_OUTPUT) return printJson({ ...data, branch_name, branch_hash });
+      console.log(chalk.bold(`\n--- Secrets for ${branch_name} ---`));
+      if (data.secrets.length === 0) {
+        console.log(chalk.gray('  No secrets set.'));
+        return;
+      }
+      data.secrets.forEach(secret => {
+        const source = secret.source === 'repo'
+          ? chalk.magenta('repo  ')
+          : (secret.overrides_repo ? chalk.cyan('branch') + chalk.gray('*') : chalk.cyan('branch'));
+        console.log(`  ${chalk.bold(secret.key.padEnd(24))} ${source} ${chalk.gray(`updated ${secret.updated_at}  (created ${secret.created_at})`)}`);
+      });
+      if (data.secrets.some(secret => secret.overrides_repo)) {
+        console.log(chalk.gray('\n  * overrides the repository-level value'));
+      }
+    } catch (err) {
+      if (err.response?.status === 404) {
+        fail(`Agent not found for branch "${branch_name}"`, EXIT_CODES.NOT_FOUND, { branch_name });
+      } else {
+        fail(`Error listing secrets: ${err.response?.data?.error || err.message}`, exitCodeFor(err));
+      }
+    }
+  });
+
+// SECRETS UNSET - Delete a secret
+secretsCommand
+  .command('unset <KEY>')
+  .description('Delete a secret for the current branch')
+  .option('-r, --restart', 'Restart the agent without the secret')
+  .option('--repo', 'Delete the repository-level secret shared by every branch')
+  .action(async (key, options) => {
+    const config = getConfig();
+    const branch_name = getCurrentBranch();
+    const branch_hash = calculateBranchHash(config.repo_url, branch_name);
+
+    try {
+      const params = new URLSearchParams();
+      if (options.restart) params.set('restart', 'true');
+      if (options.repo) params.set('scope', 'repo');
+      const query = params.toString() ? `?${params}` : '';
+      const { data } = await axios.delete(`${API_BASE_URL}/api/secrets/${branch_hash}/${encodeURIComponent(key)}${query}`);
+      if (JSON_OUTPUT) return printJson({ ...data, key, scope: options.repo ? 'repo' : 'branch', branch_name });
+      console.log(chalk.green(`✅ Secret ${key} removed${options.repo ? ' from the repository' : ''}.`));
+      printRestartJob(data);
+    } catch (err) {
+      fail(`Error removing secret: ${err.response?.data?.error || err.message}`, exitCodeFor(err), { key });
+    }
+  });
+
+// Where a secret's value comes from, for `secrets check`
+function sourceLabel(secret) {
+  if (!secret.set || !secret.source) return '';
+  return chalk.gray(secret.source === 'repo' ? ' (from repo)' : ' (from branch)');
+}
+
 // SECRETS CHECK - Check which secrets are set
 secretsCommand
   .command('check')
@@ -197,75 +489,206 @@ secretsCommand
     try {
       console.log(chalk.cyan(`🔍 Checking secrets for branch: ${chalk.bold(branch_name)}...`));
       const { data } = await axios.get(`${API_BASE_URL}/api/secrets/check/${branch_hash}`);
+      // Anything but "ready" means the agent won't be started
+      if (data.status !== 'ready') process.exitCode = EXIT_CODES.SECRETS;
+      if (JSON_OUTPUT) return printJson({ ...data, branch_name, branch_hash, ready: data.status === 'ready' });
       
       console.log(chalk.bold(`\n--- Secrets Status for ${branch_name} ---`));
       
+      // Declared by the agent's deploy manifest (somnia.json / .gitagent.json) or the defaults
+      console.log(chalk.gray(`Declared in: ${data.manifest_source}`));
+
       // Required secrets
       console.log(chalk.bold('\n📋 Required Secrets:'));
       data.secrets.required.forEach(secret => {
-        const status = secret.set ? chalk.green('✅ Set') : chalk.red('❌ Missing');
-        console.log(`  ${status} ${chalk.bold(secret.key)}`);
+        const status = !secret.set ? chalk.red('❌ Missing') : (secret.valid === false ? chalk.red('❌ Invalid') : chalk.green('✅ Set'));
+        console.log(`  ${status} ${chalk.bold(secret.key)}${sourceLabel(secret)}`);
+        if (secret.description) {
+          console.log(chalk.gray(`       ${secret.description}`));
+        }
       });
       
       // Optional secrets
       if (data.secrets.optional.length > 0) {
         console.log(chalk.bold('\n⚙️  Optional Secrets:'));
         data.secrets.optional.forEach(secret => {
-          const status = secret.set ? chalk.cyan('✓ Set') : chalk.gray('○ Not set');
-          console.log(`  ${status} ${secret.key}`);
+          const status = !secret.set ? chalk.gray('○ Not set') : (secret.valid === false ? chalk.red('✗ Invalid') : chalk.cyan('✓ Set'));
+          console.log(`  ${status} ${secret.key}${sourceLabel(secret)}`);
+          if (secret.description) {
+            console.log(chalk.gray(`       ${secret.description}`));
+          }
         });
       }
       
       // Overall status
       console.log(chalk.bold('\n📊 Status:'));
-      if (data.all_required_set) {
+      if (data.status === 'ready') {
         console.log(chalk.green(`  ✅ All required secrets are set! Agent is ready to run.`));
       } else {
-        console.log(chalk.red(`  ❌ Missing required secrets: ${chalk.bold(data.missing.join(', '))}`));
-        console.log(chalk.yellow(`\n💡 Set missing secrets with:`));
-        data.missing.forEach(key => {
+        if (data.missing.length > 0) {
+          console.log(chalk.red(`  ❌ Missing required secrets: ${chalk.bold(data.missing.join(', '))}`));
+        }
+        if (data.invalid && data.invalid.length > 0) {
+          console.log(chalk.red(`  ❌ Invalid secrets: ${chalk.bold(data.invalid.join(', '))}`));
+        }
+        console.log(chalk.yellow(`\n💡 Set them with:`));
+        data.missing.concat(data.invalid || []).forEach(key => {
           console.log(chalk.cyan(`     git somnia-agent secrets set ${key}=YOUR_VALUE`));
         });
+        console.log(chalk.yellow(`  The agent will not be started until these are fixed.`));
       }
       
     } catch (err) {
       if (err.response?.status === 404) {
-        console.error(chalk.red(`Agent not found for branch "${branch_name}"`));
+        fail(`Agent not found for branch "${branch_name}"`, EXIT_CODES.NOT_FOUND, { branch_name });
         console.log(chalk.yellow(`  → Make sure you've pushed this branch: ${chalk.cyan(`git push origin ${branch_name}`)}`));
       } else {
-        console.error(chalk.red(`Error checking secrets: ${err.response?.data?.error || err.message}`));
+        fail(`Error checking secrets: ${err.response?.data?.error || err.message}`, exitCodeFor(err));
       }
     }
   });
 
 /**
  * 4. STATS
- * Gets stats for the current branch
+ * Gets stats for the current branch (all time, or a recent period with --since)
  */
+const DURATION_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const PERIOD_WINDOWS = ['1m', '5m', '15m', '1h', '4h', '1d', '1w'];
+const MAX_PERIOD_BUCKETS = 60;
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+function durationMs(value) {
+  const match = String(value).trim().match(/^(\d+)([smhdw])$/i);
+  return match ? Number(match[1]) * DURATION_MS[match[2].toLowerCase()] : null;
+}
+
+// Start of a --since period: a duration ago ("24h") or a date; null if it is neither
+function parseSince(value, now = Date.now()) {
+  const ms = durationMs(value);
+  const date = ms !== null ? new Date(now - ms) : new Date(value);
+  return isNaN(date.getTime()) || date.getTime() > now ? null : date;
+}
+
+// The smallest bucket window that splits the period into at most MAX_PERIOD_BUCKETS
+function windowFor(periodMs) {
+  return PERIOD_WINDOWS.find(window => periodMs / durationMs(window) <= MAX_PERIOD_BUCKETS) || PERIOD_WINDOWS[PERIOD_WINDOWS.length - 1];
+}
+
+function sparkline(values) {
+  const present = values.filter(value => value !== null);
+  if (present.length === 0) return '';
+  const min = Math.min(...present);
+  const range = Math.max(...present) - min;
+  return values.map(value => value === null ? ' '
+    : SPARK_CHARS[range === 0 ? 3 : Math.round(((value - min) / range) * (SPARK_CHARS.length - 1))]).join('');
+}
+
+// Totals of GET /api/metrics/:branch_hash/buckets over the whole period
+function summarizeBuckets(data) {
+  const buckets = data.buckets;
+  const priced = buckets.filter(bucket => bucket.open !== null);
+  const actions = {};
+  for (const bucket of buckets) {
+    for (const [action, count] of Object.entries(bucket.actions)) {
+      actions[action] = (actions[action] || 0) + count;
+    }
+  }
+  const open = priced.length > 0 ? priced[0].open : null;
+  const close = priced.length > 0 ? priced[priced.length - 1].close : null;
+  return {
+    from: data.from,
+    to: data.to,
+    window: data.window,
+    decisions: buckets.reduce((total, bucket) => total + bucket.decisions, 0),
+    actions,
+    trades_executed: buckets.reduce((total, bucket) => total + bucket.trades_executed, 0),
+    open,
+    high: priced.length > 0 ? Math.max(...priced.map(bucket => bucket.high)) : null,
+    low: priced.length > 0 ? Math.min(...priced.map(bucket => bucket.low)) : null,
+    close,
+    change_pct: open ? Number((((close - open) / open) * 100).toFixed(2)) : null,
+    buckets
+  };
+}
+
+async function periodStats(config, branch_name, since) {
+  const from = parseSince(since);
+  if (!from) {
+    return fail(`--since must be a duration like 1h, 24h or 7d, or a past date (got "${since}")`, EXIT_CODES.USAGE);
+  }
+  const branch_hash = calculateBranchHash(config.repo_url, branch_name);
+  const window = windowFor(Date.now() - from.getTime());
+
+  console.log(chalk.cyan(`📊 Fetching stats for ${branch_name} since ${from.toISOString()}...`));
+  let data;
+  try {
+    ({ data } = await axios.get(`${API_BASE_URL}/api/metrics/${branch_hash}/buckets`, {
+      params: { from: from.toISOString(), window }
+    }));
+  } catch (err) {
+    if (err.response?.status === 404) return agentNotFound(branch_name);
+    return fail(`Error fetching stats for ${branch_name}: ${err.response?.data?.error || err.message}`, exitCodeFor(err), { branch_name });
+  }
+
+  const period = summarizeBuckets(data);
+  if (JSON_OUTPUT) return printJson({ branch_name, repo_url: config.repo_url, since, period });
+
+  console.log(chalk.bold(`\n--- Agent Performance: ${branch_name} (since ${since}) ---`));
+  console.log(chalk.green(`  Decisions:       ${period.decisions}`));
+  console.log(chalk.cyan(`  BUY Signals:     ${period.actions.BUY || 0}`));
+  console.log(chalk.red(`  SELL Signals:    ${period.actions.SELL || 0}`));
+  console.log(chalk.yellow(`  HOLD Signals:    ${period.actions.HOLD || 0}`));
+  console.log(chalk.gray(`  CLOSE Signals:   ${period.actions.CLOSE || 0}`));
+  console.log(chalk.magenta(`  Trades Executed: ${period.trades_executed}`));
+
+  if (period.decisions === 0) {
+    console.log(chalk.yellow(`\n⚠️  No decisions recorded in this period.`));
+    return;
+  }
+  if (period.open !== null) {
+    const change = period.change_pct >= 0 ? chalk.green(`+${period.change_pct}%`) : chalk.red(`${period.change_pct}%`);
+    console.log(`\n  Price (${period.window} buckets):`);
+    console.log(`    Open:  $${period.open.toFixed(4)}   Close: $${period.close.toFixed(4)}   ${change}`);
+    console.log(`    High:  $${period.high.toFixed(4)}   Low:   $${period.low.toFixed(4)}`);
+    console.log(`    ${chalk.cyan(sparkline(period.buckets.map(bucket => bucket.close)))}`);
+  }
+}
+
 program
   .command('stats')
   .description('Get performance stats for the agent on the current branch')
-  .action(async () => {
+  .option('--since <time>', 'Only a recent period: a duration like 1h, 24h or 7d, or an ISO date')
+  .action(async (options) => {
     const config = getConfig();
     const branch_name = getCurrentBranch();
+    if (options.since) return periodStats(config, branch_name, options.since);
 
     console.log(chalk.cyan(`📊 Fetching stats for ${branch_name}...`));
     const result = await getStats(config.repo_url, branch_name);
 
-    if (!result) {
+    if (result.error) {
+      if (JSON_OUTPUT) return fail(result.error, result.exit_code, { branch_name });
       console.log(chalk.yellow(`\n⚠️  Could not fetch stats for "${branch_name}"`));
       console.log(chalk.yellow(`   The agent may not be deployed yet, or there was an error.`));
+      process.exitCode = result.exit_code;
       return;
     }
 
-    if (result && result.stats) {
+    if (JSON_OUTPUT) return printJson(result);
+
+    if (result.stats) {
       const s = result.stats;
       const totalDecisions = s.total_decisions || 0;
       
       console.log(chalk.bold(`\n--- Agent Performance: ${branch_name} ---`));
       console.log(chalk.green(`  Total Decisions:  ${totalDecisions}`));
       console.log(chalk.cyan(`  BUY Signals:     ${s.buy_count || 0}`));
+      console.log(chalk.red(`  SELL Signals:    ${s.sell_count || 0}`));
       console.log(chalk.yellow(`  HOLD Signals:    ${s.hold_count || 0}`));
+      console.log(chalk.gray(`  CLOSE Signals:   ${s.close_count || 0}`));
+      if (s.unclassified_count > 0) {
+        console.log(chalk.gray(`  Unclassified:    ${s.unclassified_count}`));
+      }
       console.log(chalk.magenta(`  Trades Executed: ${s.trades_executed || 0}`));
       
       if (totalDecisions === 0) {
@@ -275,6 +698,16 @@ program
         return;
       }
       
+      const actions = Object.entries(s.by_action || {}).filter(([, a]) => a.count > 0);
+      if (actions.some(([, a]) => a.avg_confidence !== null || a.avg_latency_ms !== null)) {
+        console.log(`\n  By Action:`);
+        for (const [action, a] of actions) {
+          const confidence = a.avg_confidence !== null ? `${(a.avg_confidence * 100).toFixed(0)}% avg confidence` : 'no confidence';
+          const latency = a.avg_latency_ms !== null ? `, ${Math.round(a.avg_latency_ms)}ms avg latency` : '';
+          console.log(`    ${action.padEnd(6)} ${String(a.count).padStart(5)} decisions, ${a.trades_executed} trades, ${confidence}${latency}`);
+        }
+      }
+
       if (s.avg_price) {
         console.log(`\n  Price Statistics:`);
         console.log(`    Average: $${parseFloat(s.avg_price).toFixed(4)}`);
@@ -288,9 +721,22 @@ program
         console.log(`    Last Decision:  ${s.last_decision}`);
       }
       
+      if (s.pnl && s.pnl.trades > 0) {
+        const p = s.pnl;
+        console.log(`\n  Position & PnL:`);
+        console.log(`    Position:       ${p.position}${p.avg_entry_price !== null ? ` @ $${p.avg_entry_price.toFixed(4)} avg entry` : ''}`);
+        console.log(`    Realized PnL:   ${formatPnl(p.realized_pnl)}`);
+        console.log(`    Unrealized PnL: ${formatPnl(p.unrealized_pnl)}${p.mark_price ? chalk.gray(` (mark $${p.mark_price.toFixed(4)})`) : ''}`);
+        console.log(`    Fees:           $${p.fees.toFixed(4)}`);
+        console.log(`    Total PnL:      ${formatPnl(p.total_pnl)}`);
+        console.log(`    Max Drawdown:   ${chalk.red(`$${p.max_drawdown.toFixed(4)}`)}`);
+        if (p.skipped_trades > 0) {
+          console.log(chalk.yellow(`    ${p.skipped_trades} executed trade(s) without a BUY/SELL decision, price or amount were left out`));
+        }
+      }
+
       if (s.trades_executed > 0 && totalDecisions > 0) {
-        const successRate = ((s.trades_executed / totalDecisions) * 100).toFixed(1);
-        console.log(chalk.green(`\n  Success Rate: ${successRate}%`));
+        console.log(chalk.green(`\n  Success Rate: ${result.success_rate.toFixed(1)}%`));
       }
     } else {
       console.log(chalk.yellow('No metrics available yet. Make some decisions first!'));
@@ -299,19 +745,129 @@ program
 
 /**
  * 5. LOGS
- * Gets logs for the current branch
+ * Gets logs for the current branch (or follows them live with --follow)
  */
+const LOG_LEVELS = ['error', 'warn', 'info'];
+const LOG_EVENT_TYPES = ['log', 'metric'];
+const ACTION_LABELS = {
+  BUY: chalk.green('🟢 BUY'),
+  SELL: chalk.red('🔴 SELL'),
+  HOLD: chalk.yellow('🟡 HOLD'),
+  CLOSE: chalk.gray('⚪ CLOSE')
+};
+
+// One line of the live stream, in the same shape as the snapshot lines
+function formatLogEvent(event) {
+  const time = new Date(event.timestamp).toISOString().replace('T', ' ').substring(0, 19);
+  if (event.type === 'metric') {
+    const label = ACTION_LABELS[event.action] || String(event.decision || '');
+    const confidence = typeof event.confidence === 'number' ? chalk.gray(` (${Math.round(event.confidence * 100)}% confidence)`) : '';
+    const price = typeof event.price === 'number' ? `$${event.price.toFixed(4)}` : 'N/A';
+    const trade = event.trade_executed && event.trade_tx_hash ? chalk.magenta(` [Trade: ${event.trade_tx_hash.substring(0, 10)}...]`) : '';
+    return `[${time}] ${label}${confidence} - Price: ${price}${trade}`;
+  }
+  const color = event.level === 'error' ? chalk.red : (event.level === 'warn' ? chalk.yellow : (text) => text);
+  return chalk.gray(`[${time}] `) + color(event.message);
+}
+
+// Tail GET /api/logs/:branch_hash/stream until interrupted, reconnecting if the backend drops the connection
+async function followLogs(branch_hash, branch_name, filters) {
+  let reconnecting = false;
+  console.log(chalk.bold(`--- Following logs: ${branch_name} (Ctrl+C to stop) ---`));
+
+  for (;;) {
+    const params = new URLSearchParams();
+    if (filters.level) params.set('level', filters.level);
+    if (filters.decision) params.set('decision', filters.decision);
+    if (filters.type) params.set('type', filters.type);
+    if (reconnecting) params.set('backlog', '0'); // we've already shown the recent decisions
+
+    let response;
+    try {
+      response = await axios.get(`${API_BASE_URL}/api/logs/${branch_hash}/stream?${params}`, {
+        responseType: 'stream',
+        headers: { 'Accept': 'text/event-stream' },
+        timeout: 0
+      });
+    } catch (err) {
+      // Keep retrying while the backend restarts; real answers (404, 401, ...) end the command
+      if (!reconnecting || err.response) throw err;
+      await new Promise(resolve => setTimeout(resolve, 3000));
+      continue;
+    }
+
+    await new Promise((resolve) => {
+      let buffer = '';
+      response.data.setEncoding('utf8');
+      response.data.on('data', (chunk) => {
+        buffer += chunk;
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.substring(0, boundary);
+          buffer = buffer.substring(boundary + 2);
+          const type = (block.match(/^event: (.+)$/m) || [])[1];
+          const data = (block.match(/^data: (.+)$/m) || [])[1];
+          if (!type || !data) continue; // comments / heartbeats
+
+          const event = JSON.parse(data);
+          if (JSON_OUTPUT) {
+            // One JSON object per line (NDJSON) so scripts can process events as they arrive
+            process.stdout.write(JSON.stringify({ event: type, ...event }) + '\n');
+          } else if (type === 'status') {
+            if (!event.pm2) console.log(chalk.gray('   Console output is not available from this backend; showing decisions only.'));
+          } else {
+            console.log(formatLogEvent(event));
+          }
+        }
+      });
+      response.data.on('end', resolve);
+      response.data.on('error', resolve);
+    });
+
+    console.log(chalk.yellow('⚠️  Log stream disconnected, reconnecting...'));
+    reconnecting = true;
+    await new Promise(resolve => setTimeout(resolve, 3000));
+  }
+}
+
 program
   .command('logs')
   .description('Get logs for the agent on the current branch')
-  .action(async () => {
+  .option('-f, --follow', 'Stream new console output and decisions as they happen')
+  .option('--level <level>', `With --follow: minimum console level (${LOG_LEVELS.join(', ')})`)
+  .option('--decision <types>', 'With --follow: only these decision types, e.g. BUY,SELL')
+  .option('--type <type>', `With --follow: only "log" lines or only "metric" decisions`)
+  .action(async (options) => {
     const config = getConfig();
     const branch_name = getCurrentBranch();
 
+    if (options.follow) {
+      if (options.level && !LOG_LEVELS.includes(options.level.toLowerCase())) {
+        return fail(`Error: --level must be one of: ${LOG_LEVELS.join(', ')}`, EXIT_CODES.USAGE);
+      }
+      if (options.type && !LOG_EVENT_TYPES.includes(options.type.toLowerCase())) {
+        return fail(`Error: --type must be one of: ${LOG_EVENT_TYPES.join(', ')}`, EXIT_CODES.USAGE);
+      }
+      const branch_hash = calculateBranchHash(config.repo_url, branch_name);
+      try {
+        await followLogs(branch_hash, branch_name, {
+          level: options.level && options.level.toLowerCase(),
+          decision: options.decision,
+          type: options.type && options.type.toLowerCase()
+        });
+      } catch (err) {
+        // Streamed error bodies aren't parsed, so describe the status instead
+        const message = err.response?.status === 404 ? `Agent not found for branch "${branch_name}"` : `Error following logs: ${err.message}`;
+        fail(message, exitCodeFor(err), { branch_name });
+      }
+      return;
+    }
+
     try {
       console.log(chalk.cyan(`Fetching logs for ${branch_name}...`));
       const url = `${API_BASE_URL}/api/logs/${encodeURIComponent(config.repo_url)}/${encodeURIComponent(branch_name)}`;
       const { data } = await axios.get(url);
+      if (JSON_OUTPUT) return printJson({ ...data, branch_name });
 
       console.log(chalk.bold(`--- Last 50 Logs: ${branch_name} ---`));
       if (data.logs && data.logs.length > 0) {
@@ -320,7 +876,7 @@ program
         console.log(chalk.yellow('No logs found.'));
       }
     } catch (err) {
-      console.error(chalk.red(`Error fetching logs: ${err.response?.data?.error || err.message}`));
+      fail(`Error fetching logs: ${err.response?.data?.error || err.message}`, exitCodeFor(err), { branch_name });
     }
   });
 
@@ -328,6 +884,35 @@ program
  * 6. COMPARE
  * Compares two branches side-by-side
  */
+
+// Which branch leads on a metric (null on a tie or when either side has no data)
+function leader(branch1, v1, branch2, v2) {
+  if (v1 === null || v1 === undefined || v2 === null || v2 === undefined || v1 === v2) return null;
+  return v1 > v2 ? branch1 : branch2;
+}
+
+// A PnL summary field of a stats payload (null without PnL data)
+function pnlOf(result, field) {
+  const pnl = result.stats && result.stats.pnl;
+  return pnl ? pnl[field] : null;
+}
+const negate = value => value === null || value === undefined ? value : -value;
+
+// Both stats payloads plus the winner analysis, for `compare --json`
+function comparisonSummary(result1, result2) {
+  const s1 = result1.stats || {};
+  const s2 = result2.stats || {};
+  return {
+    branches: [result1, result2],
+    winner: {
+      trades_executed: leader(result1.branch_name, s1.trades_executed || 0, result2.branch_name, s2.trades_executed || 0),
+      success_rate: leader(result1.branch_name, result1.success_rate, result2.branch_name, result2.success_rate),
+      total_pnl: leader(result1.branch_name, pnlOf(result1, 'total_pnl'), result2.branch_name, pnlOf(result2, 'total_pnl')),
+      // Smaller drawdown wins
+      max_drawdown: leader(result1.branch_name, negate(pnlOf(result1, 'max_drawdown')), result2.branch_name, negate(pnlOf(result2, 'max_drawdown')))
+    }
+  };
+}
 program
   .command('compare <branch1> <branch2>')
   .description('Compare the performance of two agent branches')
@@ -341,19 +926,27 @@ program
       getStats(config.repo_url, branch2)
     ]);
 
-    if (!result1 || !result2) {
-      console.error(chalk.red('Could not fetch stats for comparison.'));
-      if (!result1) {
+    if (result1.error || result2.error) {
+      // Not found beats other errors so "push the branch first" is what scripts see
+      const exitCode = [result1, result2].some(r => r.exit_code === EXIT_CODES.NOT_FOUND)
+        ? EXIT_CODES.NOT_FOUND
+        : (result1.exit_code || result2.exit_code);
+      fail('Could not fetch stats for comparison.', exitCode, {
+        branches: [result1, result2].filter(r => r.error).map(r => ({ branch_name: r.branch_name, error: r.error }))
+      });
+      if (result1.error) {
         console.log(chalk.yellow(`  ${branch1}: Agent not found or error occurred`));
         console.log(chalk.yellow(`    → Make sure you've pushed: ${chalk.cyan(`git push origin ${branch1}`)}`));
       }
-      if (!result2) {
+      if (result2.error) {
         console.log(chalk.yellow(`  ${branch2}: Agent not found or error occurred`));
         console.log(chalk.yellow(`    → Make sure you've pushed: ${chalk.cyan(`git push origin ${branch2}`)}`));
       }
       return;
     }
 
+    if (JSON_OUTPUT) return printJson(comparisonSummary(result1, result2));
+
     if (!result1.stats || !result2.stats) {
       console.log(chalk.yellow('\n⚠️  One or both agents have no metrics yet.'));
       if (!result1.stats) console.log(chalk.yellow(`  ${branch1}: Waiting for first decision...`));
@@ -384,14 +977,19 @@ program
     const metrics = [
       { label: 'Total Decisions', v1: s1.total_decisions || 0, v2: s2.total_decisions || 0, format: (v) => v.toString() },
       { label: 'BUY Signals', v1: s1.buy_count || 0, v2: s2.buy_count || 0, format: (v) => chalk.cyan(v.toString()) },
+      { label: 'SELL Signals', v1: s1.sell_count || 0, v2: s2.sell_count || 0, format: (v) => chalk.red(v.toString()) },
       { label: 'HOLD Signals', v1: s1.hold_count || 0, v2: s2.hold_count || 0, format: (v) => chalk.yellow(v.toString()) },
+      { label: 'CLOSE Signals', v1: s1.close_count || 0, v2: s2.close_count || 0, format: (v) => chalk.gray(v.toString()) },
       { label: 'Trades Executed', v1: s1.trades_executed || 0, v2: s2.trades_executed || 0, format: (v) => chalk.magenta(v.toString()) },
       { label: 'Avg Price', v1: s1.avg_price || 0, v2: s2.avg_price || 0, format: (v) => `$${parseFloat(v).toFixed(4)}` },
       { label: 'Success Rate', 
-        v1: s1.total_decisions ? ((s1.trades_executed / s1.total_decisions) * 100).toFixed(1) : '0.0', 
-        v2: s2.total_decisions ? ((s2.trades_executed / s2.total_decisions) * 100).toFixed(1) : '0.0',
+        v1: (result1.success_rate || 0).toFixed(1), 
+        v2: (result2.success_rate || 0).toFixed(1),
         format: (v) => chalk.green(`${v}%`)
       },
+      { label: 'Realized PnL', v1: pnlOf(result1, 'realized_pnl') || 0, v2: pnlOf(result2, 'realized_pnl') || 0, format: formatPnl },
+      { label: 'Total PnL', v1: pnlOf(result1, 'total_pnl') || 0, v2: pnlOf(result2, 'total_pnl') || 0, format: formatPnl },
+      { label: 'Max Drawdown', v1: pnlOf(result1, 'max_drawdown') || 0, v2: pnlOf(result2, 'max_drawdown') || 0, format: (v) => chalk.red(`$${v.toFixed(4)}`) },
     ];
 
     // Header row
@@ -422,17 +1020,351 @@ program
     }
 
     if (s1.total_decisions && s2.total_decisions) {
-      const rate1 = (s1.trades_executed / s1.total_decisions) * 100;
-      const rate2 = (s2.trades_executed / s2.total_decisions) * 100;
+      const rate1 = result1.success_rate;
+      const rate2 = result2.success_rate;
       if (rate1 > rate2) {
         console.log(chalk.green(`  ${branch1} has better success rate (${rate1.toFixed(1)}% vs ${rate2.toFixed(1)}%)`));
       } else if (rate2 > rate1) {
         console.log(chalk.green(`  ${branch2} has better success rate (${rate2.toFixed(1)}% vs ${rate1.toFixed(1)}%)`));
       }
     }
+
+    const { winner } = comparisonSummary(result1, result2);
+    if (winner.total_pnl) {
+      const [best, other] = winner.total_pnl === branch1 ? [result1, result2] : [result2, result1];
+      console.log(chalk.green(`  ${best.branch_name} has higher total PnL (${stripAnsi(formatPnl(pnlOf(best, 'total_pnl')))} vs ${stripAnsi(formatPnl(pnlOf(other, 'total_pnl')))})`));
+    }
+    if (winner.max_drawdown) {
+      console.log(chalk.green(`  ${winner.max_drawdown} has the smaller max drawdown`));
+    }
+  });
+
+/**
+ * 7. ROLLBACK
+ * Rolls the agent on the current branch back to an earlier commit
+ */
+program
+  .command('rollback [sha]')
+  .description('Roll the agent on the current branch back to a commit (default: the previous deployment)')
+  .option('-d, --deployment <id>', 'Roll back to the commit of a specific deployment id')
+  .action(async (sha, options) => {
+    const config = getConfig();
+    const branch_name = getCurrentBranch();
+    const branch_hash = calculateBranchHash(config.repo_url, branch_name);
+
+    const body = {};
+    if (options.deployment) {
+      body.deployment_id = options.deployment;
+    } else if (sha) {
+      // Let git expand short SHAs / refs like HEAD~1 when we're inside the repo
+      const resolved = shell.exec(`git rev-parse --verify --quiet "${sha}^{commit}"`, { silent: true }).stdout.trim();
+      body.commit_sha = resolved || sha;
+    }
+
+    try {
+      const target = body.deployment_id ? `deployment ${body.deployment_id}` : (body.commit_sha ? body.commit_sha.substring(0, 7) : 'the previous deployment');
+      console.log(chalk.cyan(`⏪ Rolling back ${chalk.bold(branch_name)} to ${target}...`));
+      const { data } = await axios.post(`${API_BASE_URL}/api/agents/${branch_hash}/rollback`, body);
+      console.log(chalk.green(`✅ ${data.message}`));
+      if (data.rollback_from) {
+        console.log(`   From: ${data.rollback_from.substring(0, 7)} → To: ${data.commit_sha.substring(0, 7)}`);
+      }
+
+      // Follow the job until it finishes (or give up after ~2 minutes)
+      for (let i = 0; i < 40; i++) {
+        await new Promise(resolve => setTimeout(resolve, 3000));
+        const { data: jobData } = await axios.get(`${API_BASE_URL}/api/jobs/${data.job_id}`);
+        const job = jobData.job;
+        if (job.status === 'succeeded') {
+          if (JSON_OUTPUT) return printJson({ ...data, job });
+          console.log(chalk.green(`🚀 Agent is now running ${data.commit_sha.substring(0, 7)}`));
+          return;
+        }
+        if (job.status === 'failed' || job.status === 'cancelled') {
+          return fail(`❌ Rollback ${job.status}: ${job.error || 'unknown error'}`, EXIT_CODES.JOB_FAILED, { ...data, job });
+        }
+      }
+      if (JSON_OUTPUT) return printJson({ ...data, job: { id: data.job_id, status: 'in_progress' } });
+      console.log(chalk.yellow(`⏳ Rollback still in progress. Check ${API_BASE_URL}${data.status_url}`));
+    } catch (err) {
+      if (err.response?.status === 404) {
+        fail(`Agent not found for branch "${branch_name}"`, EXIT_CODES.NOT_FOUND, { branch_name });
+        console.log(chalk.yellow(`  → Make sure you've pushed this branch: ${chalk.cyan(`git push origin ${branch_name}`)}`));
+      } else {
+        fail(`Error rolling back: ${err.response?.data?.error || err.message}`, exitCodeFor(err), { branch_name });
+      }
+    }
+  });
+
+/**
+ * 8. LOGIN / LOGOUT / WHOAMI
+ * API token for the selected profile, via the GitHub OAuth flow
+ */
+program
+  .command('login')
+  .description('Log in with GitHub and save an API token to the current profile')
+  .option('--token <token>', 'Save an existing API token instead of opening the browser')
+  .option('--api-url <url>', 'Backend URL to store in the profile before logging in')
+  .action(async (options) => {
+    if (options.apiUrl) {
+      updateProfile(ACTIVE_PROFILE, { api_url: options.apiUrl.replace(/\/+$/, '') });
+      selectBackend(program.opts(), 'login');
+    }
+
+    try {
+      let token = options.token;
+      if (!token) {
+        ({ token } = await browserLogin(readRepoConfig().repo_url));
+      }
+
+      // Confirm the token works against this backend before saving it
+      const { data } = await axios.get(`${API_BASE_URL}/api/auth/me`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      updateProfile(ACTIVE_PROFILE, { token, user: data.user || undefined });
+      if (JSON_OUTPUT) return printJson({ profile: ACTIVE_PROFILE, api_url: API_BASE_URL, user: data.user, repos: data.repos || [] });
+      console.log(chalk.green(`✅ Logged in to ${API_BASE_URL} as ${chalk.bold(data.user || 'unknown')} (profile "${ACTIVE_PROFILE}")`));
+      if (data.repos && data.repos.length > 0) {
+        const writable = data.repos.filter(repo => ['admin', 'maintain', 'push'].includes(repo.permission));
+        console.log(chalk.gray(`   Write access to ${writable.length} of ${data.repos.length} known repositories`));
+      }
+    } catch (err) {
+      fail(`Login failed: ${err.response?.data?.error || err.message}`, err.response ? exitCodeFor(err) : EXIT_CODES.AUTH);
+    }
+  });
+
+program
+  .command('logout')
+  .description('Revoke and forget the API token of the current profile')
+  .action(async () => {
+    const profile = readUserConfig().profiles[ACTIVE_PROFILE];
+    if (!profile || !profile.token) {
+      if (JSON_OUTPUT) return printJson({ profile: ACTIVE_PROFILE, logged_out: false, revoked: false });
+      console.log(chalk.yellow(`Profile "${ACTIVE_PROFILE}" is not logged in.`));
+      return;
+    }
+    let revoked = true;
+    try {
+      await axios.delete(`${API_BASE_URL}/api/auth/token`, {
+        headers: { 'Authorization': `Bearer ${profile.token}` }
+      });
+    } catch (err) {
+      // The token may already be revoked or the backend unreachable - forget it locally either way
+      revoked = false;
+      console.log(chalk.gray(`   Could not revoke the token on the backend: ${err.response?.data?.error || err.message}`));
+    }
+    updateProfile(ACTIVE_PROFILE, { token: undefined, user: undefined });
+    if (JSON_OUTPUT) return printJson({ profile: ACTIVE_PROFILE, logged_out: true, revoked });
+    console.log(chalk.green(`✅ Logged out of profile "${ACTIVE_PROFILE}".`));
+  });
+
+program
+  .command('whoami')
+  .description('Show the selected profile, backend and GitHub user')
+  .action(async () => {
+    if (!API_TOKEN) {
+      // Not being logged in is an answer, not an error, but scripts can tell from the exit code
+      process.exitCode = EXIT_CODES.AUTH;
+      if (JSON_OUTPUT) return printJson({ profile: ACTIVE_PROFILE, api_url: API_BASE_URL, logged_in: false });
+    }
+    console.log(`Profile: ${chalk.bold(ACTIVE_PROFILE)}`);
+    console.log(`Backend: ${chalk.bold(API_BASE_URL)}`);
+    if (!API_TOKEN) {
+      console.log(chalk.yellow('Not logged in. Run: git somnia-agent login'));
+      return;
+    }
+    try {
+      const { data } = await axios.get(`${API_BASE_URL}/api/auth/me`);
+      if (JSON_OUTPUT) return printJson({ profile: ACTIVE_PROFILE, api_url: API_BASE_URL, logged_in: true, ...data });
+      console.log(`User:    ${chalk.bold(data.user || 'unknown')}${data.admin ? chalk.magenta(' (admin)') : ''}`);
+      (data.repos || []).forEach(repo => {
+        console.log(chalk.gray(`   ${repo.repo_full_name} (${repo.permission})`));
+      });
+    } catch (err) {
+      fail(`Error: ${err.response?.data?.error || err.message}`, exitCodeFor(err), { profile: ACTIVE_PROFILE, api_url: API_BASE_URL });
+    }
+  });
+
+/**
+ * 9. PROFILES
+ * Named backend + token pairs in ~/.somniapush/config.json
+ */
+const profileCommand = program
+  .command('profile')
+  .description('Manage backend profiles');
+
+profileCommand
+  .command('list')
+  .description('List profiles')
+  .action(() => {
+    const config = readUserConfig();
+    const names = Object.keys(config.profiles);
+    if (JSON_OUTPUT) {
+      // Never print saved tokens
+      return printJson({
+        current_profile: config.current_profile,
+        profiles: names.map(name => ({
+          name,
+          api_url: config.profiles[name].api_url || DEFAULT_API_BASE_URL,
+          user: config.profiles[name].user || null,
+          logged_in: !!config.profiles[name].token
+        }))
+      });
+    }
+    if (names.length === 0) {
+      console.log(chalk.gray(`No profiles yet. Using ${API_BASE_URL}`));
+      return;
+    }
+    names.forEach(name => {
+      const profile = config.profiles[name];
+      const marker = name === config.current_profile ? chalk.green('*') : ' ';
+      const login = profile.token ? chalk.gray(`logged in${profile.user ? ` as ${profile.user}` : ''}`) : chalk.yellow('not logged in');
+      console.log(`${marker} ${chalk.bold(name.padEnd(16))} ${profile.api_url || DEFAULT_API_BASE_URL}  ${login}`);
+    });
+  });
+
+profileCommand
+  .command('add <name> <api_url>')
+  .description('Add (or update) a profile pointing at a backend URL')
+  .action((name, apiUrl) => {
+    const profile = updateProfile(name, { api_url: apiUrl.replace(/\/+$/, '') });
+    if (JSON_OUTPUT) return printJson({ name, api_url: profile.api_url });
+    console.log(chalk.green(`✅ Profile "${name}" → ${apiUrl}`));
+    console.log(chalk.gray(`   Log in with: git somnia-agent --profile ${name} login`));
+  });
+
+profileCommand
+  .command('use <name>')
+  .description('Make a profile the default for every command')
+  .action((name) => {
+    const config = readUserConfig();
+    if (!config.profiles[name]) {
+      return fail(`Error: Unknown profile "${name}".`, EXIT_CODES.USAGE);
+    }
+    config.current_profile = name;
+    writeUserConfig(config);
+    if (JSON_OUTPUT) return printJson({ current_profile: name });
+    console.log(chalk.green(`✅ Now using profile "${name}"`));
+  });
+
+profileCommand
+  .command('remove <name>')
+  .description('Delete a profile (and its saved token)')
+  .action((name) => {
+    const config = readUserConfig();
+    if (!config.profiles[name]) {
+      return fail(`Error: Unknown profile "${name}".`, EXIT_CODES.USAGE);
+    }
+    delete config.profiles[name];
+    if (config.current_profile === name) config.current_profile = 'default';
+    writeUserConfig(config);
+    if (JSON_OUTPUT) return printJson({ removed: name, current_profile: config.current_profile });
+    console.log(chalk.green(`✅ Removed profile "${name}"`));
+  });
+
+/**
+ * 10. BALANCE / FUND / WITHDRAW
+ * The agent contract's SOMI and ERC-20 balances (tokens: "native", a symbol from the backend's AGENT_TOKENS, or an address)
+ */
+function agentNotFound(branch_name) {
+  fail(`Agent not found for branch "${branch_name}"`, EXIT_CODES.NOT_FOUND, { branch_name });
+  console.log(chalk.yellow(`  → Make sure you've pushed this branch: ${chalk.cyan(`git push origin ${branch_name}`)}`));
+}
+
+function printTransfer(verb, data) {
+  console.log(chalk.green(`✅ ${verb} ${data.amount} ${data.symbol || data.token}`));
+  console.log(`   From: ${data.from}`);
+  console.log(`   To:   ${data.to}`);
+  console.log(chalk.gray(`   Tx:   https://shannon-explorer.somnia.network/tx/${data.tx_hash}`));
+}
+
+program
+  .command('balance')
+  .description('Show the SOMI and token balances of the agent contract on the current branch')
+  .option('-t, --tokens <tokens>', 'Extra tokens to include (comma-separated symbols or addresses)')
+  .action(async (options) => {
+    const config = getConfig();
+    const branch_name = getCurrentBranch();
+    const branch_hash = calculateBranchHash(config.repo_url, branch_name);
+
+    try {
+      const { data } = await axios.get(`${API_BASE_URL}/api/agents/${branch_hash}/balances`, {
+        params: options.tokens ? { tokens: options.tokens } : {}
+      });
+      if (JSON_OUTPUT) return printJson({ branch_name, ...data });
+
+      console.log(chalk.bold(`\n--- Balances: ${branch_name} ---`));
+      console.log(chalk.gray(`  Agent contract: ${data.agent_address}`));
+      data.balances.forEach((entry) => {
+        const label = (entry.symbol || entry.token).padEnd(8);
+        if (entry.error) {
+          console.log(`  ${label} ${chalk.red(`could not read (${entry.error})`)}`);
+        } else {
+          console.log(`  ${label} ${chalk.green(entry.balance)}`);
+        }
+      });
+    } catch (err) {
+      if (err.response?.status === 404) return agentNotFound(branch_name);
+      fail(`Error fetching balances: ${err.response?.data?.error || err.message}`, exitCodeFor(err), { branch_name });
+    }
+  });
+
+program
+  .command('fund <amount> [token]')
+  .description('Send SOMI (default) or an ERC-20 token from the backend wallet to the agent contract (admin token required)')
+  .action(async (amount, token) => {
+    const config = getConfig();
+    const branch_name = getCurrentBranch();
+    const branch_hash = calculateBranchHash(config.repo_url, branch_name);
+
+    try {
+      console.log(chalk.cyan(`💰 Funding ${chalk.bold(branch_name)} with ${amount} ${token || 'SOMI'}...`));
+      const { data } = await axios.post(`${API_BASE_URL}/api/agents/${branch_hash}/fund`, { token: token || 'native', amount });
+      if (JSON_OUTPUT) return printJson({ branch_name, ...data });
+      printTransfer('Sent', data);
+    } catch (err) {
+      if (err.response?.status === 404) return agentNotFound(branch_name);
+      fail(`Error funding agent: ${err.response?.data?.error || err.message}`, exitCodeFor(err), { branch_name });
+    }
+  });
+
+program
+  .command('withdraw <amount> [token]')
+  .description('Withdraw SOMI (default) or an ERC-20 token from the agent contract; amount can be "all"')
+  .option('--to <address>', 'Recipient (default: the backend wallet; other addresses than AGENT_SWEEP_ADDRESS need the admin token)')
+  .action(async (amount, token, options) => {
+    const config = getConfig();
+    const branch_name = getCurrentBranch();
+    const branch_hash = calculateBranchHash(config.repo_url, branch_name);
+
+    try {
+      console.log(chalk.cyan(`💸 Withdrawing ${amount} ${token || 'SOMI'} from ${chalk.bold(branch_name)}...`));
+      const body = { token: token || 'native', amount };
+      if (options.to) body.to = options.to;
+      const { data } = await axios.post(`${API_BASE_URL}/api/agents/${branch_hash}/withdraw`, body);
+      if (JSON_OUTPUT) return printJson({ branch_name, ...data });
+      printTransfer('Withdrew', data);
+    } catch (err) {
+      if (err.response?.status === 404) return agentNotFound(branch_name);
+      fail(`Error withdrawing: ${err.response?.data?.error || err.message}`, exitCodeFor(err), { branch_name });
+    }
   });
 
 // --- Parse and Run ---
+program
+  .option('-p, --profile <name>', 'Use a named profile from ~/.somniapush/config.json')
+  .option('--json', 'Print machine-readable JSON on stdout (messages go to stderr)');
+
+// Every command talks to the backend chosen here
+program.hook('preAction', (thisCommand, actionCommand) => {
+  JSON_OUTPUT = !!program.opts().json;
+  if (JSON_OUTPUT) {
+    // Progress messages and hints stay visible on stderr without corrupting the JSON on stdout
+    console.log = console.error;
+  }
+  selectBackend(program.opts(), actionCommand.name());
+});
+
 program.parse(process.argv);
 
 
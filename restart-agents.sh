@@ -1,24 +1,31 @@
 #!/bin/bash
 # Script to restart all agents via API
+# Requires the backend's admin token: ADMIN_API_TOKEN=... ./restart-agents.sh
 
 API_BASE="https://somnia-git-agent.onrender.com"
 
+if [ -z "$ADMIN_API_TOKEN" ]; then
+  echo "❌ Set ADMIN_API_TOKEN to the backend's admin API token"
+  exit 1
+fi
+
 echo "🔄 Restarting all agents..."
 echo "Calling ${API_BASE}/api/agents/restart-all..."
 echo ""
 
 response=$(curl -X POST "${API_BASE}/api/agents/restart-all" \
   -H "Content-Type: application/json" \
+  -H "Authorization: Bearer ${ADMIN_API_TOKEN}" \
   --max-time 60 \
   -s -w "\nHTTP_STATUS:%{http_code}")
 
 http_status=$(echo "$response" | grep "HTTP_STATUS" | cut -d: -f2)
 body=$(echo "$response" | sed '/HTTP_STATUS/d')
 
-if [ "$http_status" -eq 200 ]; then
+if [ "$http_status" -ge 200 ] && [ "$http_status" -lt 300 ]; then
   echo "$body" | jq '.' 2>/dev/null || echo "$body"
   echo ""
-  echo "✅ Restart request successful. Agents should restart within a few seconds."
+  echo "✅ Restart request successful. Restart jobs are queued; agents restart one by one."
 else
   echo "❌ Error: HTTP $http_status"
   echo "$body" | jq '.' 2>/dev/null || echo "$body"
@@ -17,7 +17,8 @@ async function main() {
   await factory.waitForDeployment();
   
   const factoryAddress = await factory.getAddress();
-  console.log("✅ AgentFactory deployed to:", factoryAddress);
+  const deployBlock = (await factory.deploymentTransaction().wait()).blockNumber;
+  console.log("✅ AgentFactory deployed to:", factoryAddress, "in block", deployBlock);
   
   // Verify deployment by checking if we can call a function
   try {
@@ -35,6 +36,7 @@ async function main() {
   console.log("\n🎉 Deployment completed successfully!");
   console.log("📋 Contract addresses:");
   console.log("   AgentFactory:", factoryAddress);
+  console.log(`\n⚙️  Backend .env: AGENT_FACTORY_ADDRESS=${factoryAddress} AGENT_FACTORY_START_BLOCK=${deployBlock}`);
   console.log("\n💡 To interact with the contracts, use the AgentFactory address above.");
 }
 
@@ -0,0 +1,251 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const NATIVE = ethers.ZeroAddress;
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+describe("Agent", function () {
+  async function deployAgentFixture() {
+    const [owner, other, recipient] = await ethers.getSigners();
+
+    const Agent = await ethers.getContractFactory("Agent");
+    const agent = await Agent.deploy(owner.address);
+    await owner.sendTransaction({ to: await agent.getAddress(), value: ethers.parseEther("10") });
+
+    const TestToken = await ethers.getContractFactory("TestToken");
+    const token = await TestToken.deploy();
+    await token.mint(await agent.getAddress(), 1000);
+
+    const TestTarget = await ethers.getContractFactory("TestTarget");
+    const target = await TestTarget.deploy();
+
+    return { agent, token, target, owner, other, recipient };
+  }
+
+  // Calldata for token.transfer(to, amount)
+  function transferData(token, to, amount) {
+    return token.interface.encodeFunctionData("transfer", [to, amount]);
+  }
+
+  describe("Spending limits", function () {
+    it("caps native spending per period and starts over once the period has passed", async function () {
+      const { agent, recipient } = await loadFixture(deployAgentFixture);
+      await agent.setSpendingLimit(NATIVE, ethers.parseEther("1"), HOUR);
+
+      await expect(agent.executeWithValue(recipient.address, "0x", ethers.parseEther("0.6")))
+        .to.emit(agent, "Spent")
+        .withArgs(NATIVE, ethers.parseEther("0.6"), ethers.parseEther("0.6"));
+      expect(await agent.remainingAllowance(NATIVE)).to.equal(ethers.parseEther("0.4"));
+
+      await expect(agent.executeWithValue(recipient.address, "0x", ethers.parseEther("0.5")))
+        .to.be.revertedWith("Spending limit exceeded");
+
+      await agent.executeWithValue(recipient.address, "0x", ethers.parseEther("0.4"));
+      expect(await agent.remainingAllowance(NATIVE)).to.equal(0);
+
+      await time.increase(HOUR);
+      expect(await agent.remainingAllowance(NATIVE)).to.equal(ethers.parseEther("1"));
+      await expect(agent.executeWithValue(recipient.address, "0x", ethers.parseEther("0.7")))
+        .to.emit(agent, "Spent")
+        .withArgs(NATIVE, ethers.parseEther("0.7"), ethers.parseEther("0.7"));
+    });
+
+    it("caps ERC-20 spending per period and starts over once the period has passed", async function () {
+      const { agent, token, recipient } = await loadFixture(deployAgentFixture);
+      const tokenAddress = await token.getAddress();
+      await agent.setSpendingLimit(tokenAddress, 100, DAY);
+
+      await expect(agent.execute(tokenAddress, transferData(token, recipient.address, 60)))
+        .to.emit(agent, "Spent")
+        .withArgs(tokenAddress, 60, 60);
+      expect(await agent.remainingAllowance(tokenAddress)).to.equal(40);
+
+      await expect(agent.execute(tokenAddress, transferData(token, recipient.address, 50)))
+        .to.be.revertedWith("Spending limit exceeded");
+      expect(await token.balanceOf(recipient.address)).to.equal(60);
+
+      await time.increase(DAY);
+      await expect(agent.execute(tokenAddress, transferData(token, recipient.address, 50)))
+        .to.emit(agent, "Spent")
+        .withArgs(tokenAddress, 50, 50);
+      expect(await token.balanceOf(recipient.address)).to.equal(110);
+    });
+
+    it("only counts tokens that have a limit", async function () {
+      const { agent, token, recipient } = await loadFixture(deployAgentFixture);
+      await agent.setSpendingLimit(NATIVE, 1, HOUR);
+
+      await expect(agent.execute(await token.getAddress(), transferData(token, recipient.address, 500)))
+        .to.not.emit(agent, "Spent");
+      expect(await agent.remainingAllowance(await token.getAddress())).to.equal(ethers.MaxUint256);
+    });
+
+    it("removes a limit with a cap of 0", async function () {
+      const { agent, recipient } = await loadFixture(deployAgentFixture);
+      await agent.setSpendingLimit(NATIVE, ethers.parseEther("1"), HOUR);
+      expect(await agent.getLimitedTokens()).to.deep.equal([NATIVE]);
+
+      await expect(agent.setSpendingLimit(NATIVE, 0, 0))
+        .to.emit(agent, "SpendingLimitSet")
+        .withArgs(NATIVE, 0, 0);
+      expect(await agent.getLimitedTokens()).to.deep.equal([]);
+      expect(await agent.remainingAllowance(NATIVE)).to.equal(ethers.MaxUint256);
+      await agent.executeWithValue(recipient.address, "0x", ethers.parseEther("5"));
+    });
+
+    it("rejects a limit without a period", async function () {
+      const { agent } = await loadFixture(deployAgentFixture);
+      await expect(agent.setSpendingLimit(NATIVE, 1, 0)).to.be.revertedWith("Period must be greater than zero");
+    });
+  });
+
+  describe("Allowlist", function () {
+    it("allows any call while it is disabled", async function () {
+      const { agent, target } = await loadFixture(deployAgentFixture);
+      const data = target.interface.encodeFunctionData("testFunction");
+
+      expect(await agent.isCallAllowed(await target.getAddress(), data.slice(0, 10))).to.equal(true);
+      await expect(agent.execute(await target.getAddress(), data)).to.emit(agent, "Executed");
+    });
+
+    it("rejects targets that are not allowed", async function () {
+      const { agent, target, recipient } = await loadFixture(deployAgentFixture);
+      await agent.setAllowlistEnabled(true);
+
+      await expect(agent.execute(await target.getAddress(), target.interface.encodeFunctionData("testFunction")))
+        .to.be.revertedWith("Call not allowed");
+      await expect(agent.executeWithValue(recipient.address, "0x", 1))
+        .to.be.revertedWith("Call not allowed");
+
+      await agent.setTargetAllowed(await target.getAddress(), true);
+      await expect(agent.execute(await target.getAddress(), target.interface.encodeFunctionData("testFunction")))
+        .to.emit(agent, "Executed");
+    });
+
+    it("rejects selectors that are not allowed on a target with a selector list", async function () {
+      const { agent, token, recipient } = await loadFixture(deployAgentFixture);
+      const tokenAddress = await token.getAddress();
+      const transferSelector = token.interface.getFunction("transfer").selector;
+      await agent.setAllowlistEnabled(true);
+      await agent.setTargetAllowed(tokenAddress, true);
+      await agent.setSelectorAllowed(tokenAddress, transferSelector, true);
+
+      await expect(agent.execute(tokenAddress, token.interface.encodeFunctionData("mint", [recipient.address, 1])))
+        .to.be.revertedWith("Call not allowed");
+      await expect(agent.execute(tokenAddress, transferData(token, recipient.address, 1)))
+        .to.emit(agent, "Executed")
+        .withArgs(tokenAddress, transferSelector, 0);
+
+      await agent.setSelectorAllowed(tokenAddress, transferSelector, false);
+      await agent.setSelectorAllowed(tokenAddress, token.interface.getFunction("mint").selector, true);
+      await expect(agent.execute(tokenAddress, transferData(token, recipient.address, 1)))
+        .to.be.revertedWith("Call not allowed");
+    });
+
+    it("forgets a target's selectors when the target is removed", async function () {
+      const { agent, token } = await loadFixture(deployAgentFixture);
+      const tokenAddress = await token.getAddress();
+      const transferSelector = token.interface.getFunction("transfer").selector;
+      await agent.setAllowlistEnabled(true);
+      await agent.setTargetAllowed(tokenAddress, true);
+      await agent.setSelectorAllowed(tokenAddress, transferSelector, true);
+
+      await expect(agent.setTargetAllowed(tokenAddress, false))
+        .to.emit(agent, "SelectorAllowed")
+        .withArgs(tokenAddress, transferSelector, false);
+      expect(await agent.getAllowedTargets()).to.deep.equal([]);
+      expect(await agent.isCallAllowed(tokenAddress, transferSelector)).to.equal(false);
+
+      await agent.setTargetAllowed(tokenAddress, true);
+      expect(await agent.getAllowedSelectors(tokenAddress)).to.deep.equal([]);
+      expect(await agent.isCallAllowed(tokenAddress, token.interface.getFunction("mint").selector)).to.equal(true);
+    });
+
+    it("only takes selectors for allowed targets", async function () {
+      const { agent, target } = await loadFixture(deployAgentFixture);
+      await expect(agent.setSelectorAllowed(await target.getAddress(), "0x12345678", true))
+        .to.be.revertedWith("Target is not allowed");
+    });
+  });
+
+  describe("Pause", function () {
+    it("blocks execute and executeWithValue while withdraw keeps working", async function () {
+      const { agent, target, owner, recipient } = await loadFixture(deployAgentFixture);
+      const data = target.interface.encodeFunctionData("testFunction");
+
+      await expect(agent.pause()).to.emit(agent, "Paused").withArgs(owner.address);
+      expect(await agent.paused()).to.equal(true);
+
+      await expect(agent.execute(await target.getAddress(), data)).to.be.revertedWith("Agent is paused");
+      await expect(agent.executeWithValue(recipient.address, "0x", 1)).to.be.revertedWith("Agent is paused");
+      await expect(agent.withdraw(recipient.address, ethers.parseEther("1")))
+        .to.changeEtherBalance(recipient, ethers.parseEther("1"));
+
+      await expect(agent.unpause()).to.emit(agent, "Unpaused").withArgs(owner.address);
+      await expect(agent.execute(await target.getAddress(), data)).to.emit(agent, "Executed");
+    });
+
+    it("rejects pausing twice and unpausing when not paused", async function () {
+      const { agent } = await loadFixture(deployAgentFixture);
+      await expect(agent.unpause()).to.be.revertedWith("Agent is not paused");
+      await agent.pause();
+      await expect(agent.pause()).to.be.revertedWith("Agent is paused");
+    });
+  });
+
+  describe("withdrawToken", function () {
+    it("moves tokens out while paused, outside the allowlist and without counting against the limit", async function () {
+      const { agent, token, recipient } = await loadFixture(deployAgentFixture);
+      const tokenAddress = await token.getAddress();
+      await agent.setSpendingLimit(tokenAddress, 10, DAY);
+      await agent.setAllowlistEnabled(true);
+      await agent.pause();
+
+      await expect(agent.execute(tokenAddress, transferData(token, recipient.address, 1)))
+        .to.be.revertedWith("Agent is paused");
+      await expect(agent.withdrawToken(tokenAddress, recipient.address, 600)).to.not.emit(agent, "Spent");
+
+      expect(await token.balanceOf(recipient.address)).to.equal(600);
+      expect(await token.balanceOf(await agent.getAddress())).to.equal(400);
+      expect(await agent.remainingAllowance(tokenAddress)).to.equal(10);
+    });
+
+    it("reverts when the token transfer fails", async function () {
+      const { agent, token, recipient } = await loadFixture(deployAgentFixture);
+      await expect(agent.withdrawToken(await token.getAddress(), recipient.address, 1001))
+        .to.be.revertedWith("Token transfer failed");
+    });
+
+    it("rejects the native token", async function () {
+      const { agent, recipient } = await loadFixture(deployAgentFixture);
+      await expect(agent.withdrawToken(NATIVE, recipient.address, 1))
+        .to.be.revertedWith("Use withdraw for the native token");
+    });
+  });
+
+  describe("Access control", function () {
+    it("only lets the owner call state-changing functions", async function () {
+      const { agent, target, other } = await loadFixture(deployAgentFixture);
+      const targetAddress = await target.getAddress();
+      const asOther = agent.connect(other);
+
+      const calls = {
+        withdraw: () => asOther.withdraw(other.address, 1),
+        withdrawToken: () => asOther.withdrawToken(targetAddress, other.address, 1),
+        execute: () => asOther.execute(targetAddress, "0x"),
+        executeWithValue: () => asOther.executeWithValue(targetAddress, "0x", 0),
+        pause: () => asOther.pause(),
+        unpause: () => asOther.unpause(),
+        setAllowlistEnabled: () => asOther.setAllowlistEnabled(true),
+        setTargetAllowed: () => asOther.setTargetAllowed(targetAddress, true),
+        setSelectorAllowed: () => asOther.setSelectorAllowed(targetAddress, "0x12345678", true),
+        setSpendingLimit: () => asOther.setSpendingLimit(NATIVE, 1, HOUR)
+      };
+      for (const [name, call] of Object.entries(calls)) {
+        await expect(call(), name).to.be.revertedWith("Only owner can call this function");
+      }
+    });
+  });
+});
@@ -0,0 +1,145 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+const REPO_URL = "https://github.com/somnia/agent";
+const BRANCH_NAME = "feature/momentum";
+const COMMIT_SHA = "0123456789abcdef0123456789abcdef01234567";
+
+// Same as the backend's branch_hash
+function branchHashOf(repoUrl, branchName) {
+  return ethers.id(repoUrl + "/" + branchName);
+}
+
+describe("AgentFactory", function () {
+  async function deployFactoryFixture() {
+    const [owner, other] = await ethers.getSigners();
+    const AgentFactory = await ethers.getContractFactory("AgentFactory");
+    const factory = await AgentFactory.deploy();
+    return { factory, owner, other, branchHash: branchHashOf(REPO_URL, BRANCH_NAME) };
+  }
+
+  // Register REPO_URL/BRANCH_NAME with metadata and return the agent's address
+  async function registerWithMetadata(factory, branchHash, storeMetadata) {
+    await factory.registerAgentWithMetadata(branchHash, REPO_URL, BRANCH_NAME, COMMIT_SHA, storeMetadata);
+    return factory.agents(branchHash);
+  }
+
+  describe("registerAgent", function () {
+    it("deploys an agent owned by the caller and emits AgentRegistered", async function () {
+      const { factory, owner, branchHash } = await loadFixture(deployFactoryFixture);
+
+      await expect(factory.registerAgent(branchHash))
+        .to.emit(factory, "AgentRegistered")
+        .withArgs(owner.address, branchHash, anyValue);
+
+      const agentAddress = await factory.agents(branchHash);
+      const agent = await ethers.getContractAt("Agent", agentAddress);
+      expect(await agent.owner()).to.equal(owner.address);
+    });
+
+    it("rejects a branch hash that is already registered", async function () {
+      const { factory, branchHash } = await loadFixture(deployFactoryFixture);
+      await factory.registerAgent(branchHash);
+      await expect(factory.registerAgent(branchHash)).to.be.revertedWith("Agent already registered");
+    });
+  });
+
+  describe("registerAgentWithMetadata", function () {
+    it("emits AgentRegistered and AgentDeployed with the agent, repo, branch and commit", async function () {
+      const { factory, owner, branchHash } = await loadFixture(deployFactoryFixture);
+
+      const tx = await factory.registerAgentWithMetadata(branchHash, REPO_URL, BRANCH_NAME, COMMIT_SHA, false);
+      const agentAddress = await factory.agents(branchHash);
+      expect(agentAddress).to.not.equal(ethers.ZeroAddress);
+
+      await expect(tx).to.emit(factory, "AgentRegistered").withArgs(owner.address, branchHash, agentAddress);
+      await expect(tx)
+        .to.emit(factory, "AgentDeployed")
+        .withArgs(branchHash, agentAddress, REPO_URL, BRANCH_NAME, COMMIT_SHA);
+    });
+
+    it("stores the metadata only when asked to", async function () {
+      const { factory, branchHash } = await loadFixture(deployFactoryFixture);
+      await registerWithMetadata(factory, branchHash, true);
+      expect(await factory.metadata(branchHash)).to.deep.equal([REPO_URL, BRANCH_NAME, COMMIT_SHA]);
+
+      const otherHash = branchHashOf(REPO_URL, "main");
+      await factory.registerAgentWithMetadata(otherHash, REPO_URL, "main", COMMIT_SHA, false);
+      expect(await factory.metadata(otherHash)).to.deep.equal(["", "", ""]);
+    });
+
+    it("rejects metadata that does not hash to the branch hash", async function () {
+      const { factory, branchHash } = await loadFixture(deployFactoryFixture);
+
+      await expect(factory.registerAgentWithMetadata(branchHash, REPO_URL, "main", COMMIT_SHA, true))
+        .to.be.revertedWith("Metadata does not match branch hash");
+      // The branch name is hashed in full, so a truncated name doesn't match either
+      await expect(factory.registerAgentWithMetadata(branchHash, REPO_URL, "momentum", COMMIT_SHA, true))
+        .to.be.revertedWith("Metadata does not match branch hash");
+      expect(await factory.agents(branchHash)).to.equal(ethers.ZeroAddress);
+    });
+
+    it("rejects a branch hash that is already registered", async function () {
+      const { factory, branchHash } = await loadFixture(deployFactoryFixture);
+      await factory.registerAgent(branchHash);
+      await expect(factory.registerAgentWithMetadata(branchHash, REPO_URL, BRANCH_NAME, COMMIT_SHA, true))
+        .to.be.revertedWith("Agent already registered");
+    });
+  });
+
+  describe("recordDeployment", function () {
+    const NEW_COMMIT = "fedcba9876543210fedcba9876543210fedcba98";
+
+    it("emits AgentDeployed with the new commit", async function () {
+      const { factory, branchHash } = await loadFixture(deployFactoryFixture);
+      const agentAddress = await registerWithMetadata(factory, branchHash, false);
+
+      await expect(factory.recordDeployment(branchHash, REPO_URL, BRANCH_NAME, NEW_COMMIT))
+        .to.emit(factory, "AgentDeployed")
+        .withArgs(branchHash, agentAddress, REPO_URL, BRANCH_NAME, NEW_COMMIT);
+      expect(await factory.metadata(branchHash)).to.deep.equal(["", "", ""]);
+    });
+
+    it("updates the stored commit of agents registered with stored metadata", async function () {
+      const { factory, branchHash } = await loadFixture(deployFactoryFixture);
+      await registerWithMetadata(factory, branchHash, true);
+
+      await factory.recordDeployment(branchHash, REPO_URL, BRANCH_NAME, NEW_COMMIT);
+      expect(await factory.metadata(branchHash)).to.deep.equal([REPO_URL, BRANCH_NAME, NEW_COMMIT]);
+    });
+
+    it("works for agents registered without metadata", async function () {
+      const { factory, branchHash } = await loadFixture(deployFactoryFixture);
+      await factory.registerAgent(branchHash);
+
+      await expect(factory.recordDeployment(branchHash, REPO_URL, BRANCH_NAME, NEW_COMMIT))
+        .to.emit(factory, "AgentDeployed")
+        .withArgs(branchHash, await factory.agents(branchHash), REPO_URL, BRANCH_NAME, NEW_COMMIT);
+    });
+
+    it("rejects branch hashes that are not registered", async function () {
+      const { factory, branchHash } = await loadFixture(deployFactoryFixture);
+      await expect(factory.recordDeployment(branchHash, REPO_URL, BRANCH_NAME, NEW_COMMIT))
+        .to.be.revertedWith("Agent not registered");
+    });
+
+    it("only lets the agent's owner record deployments", async function () {
+      const { factory, other, branchHash } = await loadFixture(deployFactoryFixture);
+      await registerWithMetadata(factory, branchHash, true);
+
+      await expect(factory.connect(other).recordDeployment(branchHash, REPO_URL, BRANCH_NAME, NEW_COMMIT))
+        .to.be.revertedWith("Only the agent owner can record deployments");
+    });
+
+    it("rejects metadata that does not hash to the branch hash", async function () {
+      const { factory, branchHash } = await loadFixture(deployFactoryFixture);
+      await registerWithMetadata(factory, branchHash, true);
+
+      await expect(factory.recordDeployment(branchHash, "https://github.com/someone/else", BRANCH_NAME, NEW_COMMIT))
+        .to.be.revertedWith("Metadata does not match branch hash");
+      expect(await factory.metadata(branchHash)).to.deep.equal([REPO_URL, BRANCH_NAME, COMMIT_SHA]);
+    });
+  });
+});